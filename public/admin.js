@@ -0,0 +1,197 @@
+// Admin console state
+const TOKEN_STORAGE_KEY = 'bhejo-admin-token';
+const REFRESH_INTERVAL_MS = 5000;
+let adminToken = sessionStorage.getItem(TOKEN_STORAGE_KEY) || '';
+let refreshTimer = null;
+
+// DOM elements
+const loginSection = document.getElementById('admin-login');
+const dashboard = document.getElementById('admin-dashboard');
+const tokenInput = document.getElementById('admin-token');
+const loginBtn = document.getElementById('admin-login-btn');
+const logoutBtn = document.getElementById('admin-logout-btn');
+const refreshBtn = document.getElementById('admin-refresh-btn');
+const maintenanceEnabled = document.getElementById('maintenance-enabled');
+const maintenanceMessage = document.getElementById('maintenance-message');
+const maintenanceSaveBtn = document.getElementById('maintenance-save-btn');
+const roomsBody = document.getElementById('rooms-body');
+const socketsBody = document.getElementById('sockets-body');
+const roomCount = document.getElementById('room-count');
+const socketCount = document.getElementById('socket-count');
+const adminStatus = document.getElementById('admin-status');
+const adminStatusText = document.getElementById('admin-status-text');
+
+loginBtn.addEventListener('click', () => {
+    adminToken = tokenInput.value.trim();
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, adminToken);
+    refresh();
+});
+tokenInput.addEventListener('keypress', (event) => {
+    if (event.key === 'Enter') {
+        loginBtn.click();
+    }
+});
+logoutBtn.addEventListener('click', signOut);
+refreshBtn.addEventListener('click', refresh);
+maintenanceSaveBtn.addEventListener('click', saveMaintenance);
+
+if (adminToken) {
+    refresh();
+}
+
+async function adminRequest(method, url, body) {
+    const response = await fetch(url, {
+        method,
+        cache: 'no-store',
+        headers: {
+            Authorization: `Bearer ${adminToken}`,
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 401) {
+        signOut();
+        throw new Error('Invalid admin token');
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(data.error || `Request failed with ${response.status}`);
+    }
+
+    return data;
+}
+
+async function refresh() {
+    try {
+        const overview = await adminRequest('GET', '/api/admin/overview');
+        loginSection.classList.add('hidden');
+        dashboard.classList.remove('hidden');
+        renderOverview(overview);
+        scheduleRefresh();
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+}
+
+function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(refresh, REFRESH_INTERVAL_MS);
+}
+
+function signOut() {
+    clearTimeout(refreshTimer);
+    adminToken = '';
+    sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+    dashboard.classList.add('hidden');
+    loginSection.classList.remove('hidden');
+}
+
+function renderOverview(overview) {
+    // Don't clobber the form while the admin is editing it
+    if (document.activeElement !== maintenanceMessage) {
+        maintenanceEnabled.checked = overview.maintenance.enabled;
+        maintenanceMessage.value = overview.maintenance.message || '';
+    }
+
+    roomCount.textContent = `(${overview.rooms.length})`;
+    roomsBody.replaceChildren(...overview.rooms.map((room) => createRow([
+        room.roomId + (room.protected ? ' 🔒' : ''),
+        formatDuration(room.ageMs),
+        `${room.peerCount}/${room.capacity}`,
+        room.transferMode,
+        room.instanceId || '-',
+        formatDuration(room.expiresAt - Date.now())
+    ], 'Close', () => closeRoom(room.roomId))));
+
+    const sockets = overview.instances.flatMap((instance) => instance.sockets
+        .map((socket) => ({ ...socket, instanceId: instance.instanceId })));
+    socketCount.textContent = `(${sockets.length} on ${overview.instances.length} instance${overview.instances.length === 1 ? '' : 's'})`;
+    socketsBody.replaceChildren(...sockets.map((socket) => createRow([
+        socket.socketId.slice(0, 8),
+        socket.roomId || '-',
+        socket.role ? `${socket.role}${socket.admitted === false ? ' (waiting)' : ''}` : '-',
+        socket.ip,
+        socket.instanceId,
+        formatDuration(Date.now() - socket.connectedAt)
+    ], 'Disconnect', () => disconnectSocket(socket.socketId))));
+}
+
+function createRow(cells, actionLabel, onAction) {
+    const row = document.createElement('tr');
+    cells.forEach((value) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+    });
+
+    const actionCell = document.createElement('td');
+    const button = document.createElement('button');
+    button.className = 'btn-text admin-danger';
+    button.textContent = actionLabel;
+    button.addEventListener('click', onAction);
+    actionCell.appendChild(button);
+    row.appendChild(actionCell);
+    return row;
+}
+
+async function closeRoom(roomId) {
+    if (!confirm(`Close room ${roomId} and disconnect everyone in it?`)) {
+        return;
+    }
+
+    try {
+        await adminRequest('DELETE', `/api/admin/rooms/${encodeURIComponent(roomId)}`);
+        showStatus(`Closed room ${roomId}`, 'connected');
+        refresh();
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+}
+
+async function disconnectSocket(socketId) {
+    if (!confirm('Disconnect this socket? Its peer will lose its room slot.')) {
+        return;
+    }
+
+    try {
+        await adminRequest('POST', `/api/admin/sockets/${encodeURIComponent(socketId)}/disconnect`);
+        showStatus('Socket disconnected', 'connected');
+        setTimeout(refresh, 500);
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+}
+
+async function saveMaintenance() {
+    try {
+        const result = await adminRequest('PUT', '/api/admin/maintenance', {
+            enabled: maintenanceEnabled.checked,
+            message: maintenanceMessage.value
+        });
+        showStatus(result.maintenance.enabled ? 'Maintenance mode on' : 'Maintenance mode off', 'connected');
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+}
+
+function showStatus(text, status) {
+    adminStatus.classList.remove('hidden');
+    adminStatus.className = 'status-bar ' + status;
+    adminStatusText.textContent = text;
+}
+
+function formatDuration(ms) {
+    const totalSeconds = Math.max(Math.round(ms / 1000), 0);
+    if (totalSeconds < 60) {
+        return `${totalSeconds}s`;
+    }
+
+    const minutes = Math.floor(totalSeconds / 60);
+    if (minutes < 60) {
+        return `${minutes}m ${totalSeconds % 60}s`;
+    }
+
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
@@ -4,10 +4,20 @@ let currentMode = 'sender'; // 'sender' or 'receiver'
 let selectedFiles = [];
 let runtimeConfig = {};
 let transferMode = 'p2p';
-let peerJoined = false;
 let relayFallbackTimer = null;
 let relayReceiveState = null;
+let receivers = new Map(); // Sender side: Map<peerId, receiver state>
+let receiverCounter = 0;
+let roomExpiryTimer = null;
+let senderClaim = null; // { roomId, senderToken } for a room created through the REST API
 let sendFilesNow = () => {};
+let fileListItems = new WeakMap(); // Sender: File -> its entry in the file list
+let sentChecksums = new WeakMap(); // Sender: File -> SHA-256 from its last transfer
+let incomingFileItems = new WeakMap(); // Receiver: incoming file -> its entry
+
+// Longer than the server's reconnect grace period, so a receiver that comes back
+// in time can still resume a relay transfer
+const RELAY_STALL_TIMEOUT_MS = 60 * 1000;
 
 // DOM elements
 const senderView = document.getElementById('sender-view');
@@ -43,6 +53,18 @@ const qrScannerModal = document.getElementById('qr-scanner-modal');
 const qrScannerVideo = document.getElementById('qr-scanner-video');
 const qrScannerCloseBtn = document.getElementById('qr-scanner-close');
 const qrScannerStatus = document.getElementById('qr-scanner-status');
+const roomOptions = document.getElementById('room-options');
+const roomSecretInput = document.getElementById('room-secret');
+const includeSecretInLink = document.getElementById('include-secret-in-link');
+const roomSecretHint = document.getElementById('room-secret-hint');
+const joinSecretSection = document.getElementById('join-secret-section');
+const joinSecretInput = document.getElementById('join-secret');
+const receiverList = document.getElementById('receiver-list');
+const receiverItemsContainer = document.getElementById('receiver-items-container');
+const roomExpiry = document.getElementById('room-expiry');
+const roomExpiryCountdown = document.getElementById('room-expiry-countdown');
+const extendRoomBtn = document.getElementById('extend-room-btn');
+const maintenanceBanner = document.getElementById('maintenance-banner');
 
 // Initialize
 init().catch((error) => {
@@ -52,8 +74,14 @@ init().catch((error) => {
 async function init() {
     setupEventListeners();
     await loadRuntimeConfig();
+    applyRoomCodeLength();
+    document.getElementById('drop-off-hint').classList.toggle('hidden', !runtimeConfig.drop?.enabled);
     initializeWebRTC();
     checkForRoomParameter();
+    // Installed up front so received files can stream to disk later
+    registerDownloadWorker();
+    pruneIncomingFiles();
+    pruneResumableTransfers();
 }
 
 async function loadRuntimeConfig() {
@@ -72,6 +100,16 @@ async function loadRuntimeConfig() {
     }
 }
 
+function getRoomCodeLength() {
+    return Number(runtimeConfig.roomCodeLength) || 6;
+}
+
+function applyRoomCodeLength() {
+    const length = getRoomCodeLength();
+    joinCodeInput.maxLength = length;
+    joinCodeInput.placeholder = `Enter ${length}-character code`;
+}
+
 function sanitizeIceUrls(urls) {
     if (Array.isArray(urls)) {
         return urls
@@ -123,13 +161,29 @@ function checkForRoomParameter() {
     // Check if URL has room parameter for auto-join
     const urlParams = new URLSearchParams(window.location.search);
     const roomId = urlParams.get('room');
-    
-    if (roomId && roomId.length === 6) {
+    // The passphrase travels in the fragment so it never reaches the server
+    const hashParams = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+    const secret = hashParams.get('secret');
+    const senderToken = hashParams.get('sender');
+
+    if (roomId && roomId.length === getRoomCodeLength() && senderToken) {
+        // A sender link for a pre-created room: pick files, then open the room
+        console.log(`[App] Sender link found for room: ${roomId}`);
+        senderClaim = { roomId: roomId.toUpperCase(), senderToken };
+        switchMode('sender');
+        history.replaceState(null, '', window.location.pathname);
+        return;
+    }
+
+    if (roomId && roomId.length === getRoomCodeLength()) {
         console.log(`[App] Room parameter found in URL: ${roomId}`);
         // Switch to receiver mode
         switchMode('receiver');
         // Set the room code
         joinCodeInput.value = roomId.toUpperCase();
+        if (secret) {
+            joinSecretInput.value = secret;
+        }
         // Auto-join after a short delay to ensure WebRTC is initialized
         setTimeout(() => {
             joinRoom();
@@ -157,9 +211,10 @@ function setupEventListeners() {
     // Share section
     copyBtn.addEventListener('click', copyRoomCode);
     cancelBtn.addEventListener('click', cancelTransfer);
+    extendRoomBtn.addEventListener('click', extendRoom);
     if (sendFilesBtn) {
         sendFilesBtn.addEventListener('click', () => {
-            if (webrtc && webrtc.dataChannel && webrtc.dataChannel.readyState === 'open') {
+            if (getReadyReceiverIds().length > 0) {
                 console.log('📤 Manual send triggered');
                 sendFilesNow();
             } else {
@@ -175,6 +230,11 @@ function setupEventListeners() {
             joinRoom();
         }
     });
+    joinSecretInput.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+            joinRoom();
+        }
+    });
     joinCodeInput.addEventListener('input', (e) => {
         e.target.value = e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, '');
     });
@@ -211,20 +271,24 @@ function resetSenderView() {
     fileList.classList.add('hidden');
     shareSection.classList.add('hidden');
     dropZone.classList.remove('hidden');
-    peerJoined = false;
+    roomOptions.classList.toggle('hidden', Boolean(senderClaim));
+    roomSecretHint.classList.add('hidden');
+    stopRoomCountdown();
     transferMode = 'p2p';
     clearRelayFallbackTimer();
+    clearReceivers();
     updateConnectionStatus('', '');
 }
 
 function resetReceiverView() {
     receiverStatus.classList.add('hidden');
+    joinSecretSection.classList.add('hidden');
     incomingFiles.classList.add('hidden');
     filesList.innerHTML = '';
     receiverProgressFill.style.width = '0%';
     receiverProgressPercent.textContent = '0%';
     receiverProgressSpeed.textContent = '';
-    relayReceiveState = null;
+    discardRelayReceive();
     clearRelayFallbackTimer();
     updateConnectionStatus('', '');
 }
@@ -260,9 +324,9 @@ function addFiles(files) {
         console.log(`[App]   ${index + 1}. ${file.name} - ${formatFileSize(file.size)} (${file.type || 'unknown type'})`);
     });
     
-    // If data channel is already open, send files immediately
-    if (webrtc && webrtc.dataChannel && webrtc.dataChannel.readyState === 'open' && currentMode === 'sender') {
-        console.log(`[App] Data channel already open, sending files immediately`);
+    // If receivers are already connected, send files immediately
+    if (webrtc && currentMode === 'sender' && getReadyReceiverIds().length > 0) {
+        console.log(`[App] Receivers already connected, sending files immediately`);
         sendFilesNow();
     } else {
         // Otherwise, create room and wait for connection
@@ -291,9 +355,34 @@ function displayFiles() {
             </div>
         `;
         fileItemsContainer.appendChild(fileItem);
+        fileListItems.set(file, fileItem);
+        showFileChecksum(fileItem, sentChecksums.get(file));
     });
 }
 
+// Both sides show the file's SHA-256 so people can compare it themselves
+function showFileChecksum(fileItem, checksum, verified = null) {
+    if (!fileItem || !checksum) {
+        return;
+    }
+
+    let line = fileItem.querySelector('.file-checksum');
+    if (!line) {
+        line = document.createElement('div');
+        line.className = 'file-checksum';
+        (fileItem.querySelector('.file-details') || fileItem.querySelector('.file-info')).appendChild(line);
+    }
+
+    let note = '';
+    if (verified === true) {
+        note = ' (matches sender)';
+    } else if (verified === false) {
+        note = ' (does not match sender!)';
+    }
+    line.textContent = `SHA-256 ${checksum}${note}`;
+    line.classList.toggle('mismatch', verified === false);
+}
+
 function getFileIcon(type, name) {
     const ext = name.split('.').pop().toLowerCase();
     
@@ -323,6 +412,7 @@ function clearAllFiles() {
     fileList.classList.add('hidden');
     shareSection.classList.add('hidden');
     dropZone.classList.remove('hidden');
+    roomOptions.classList.toggle('hidden', Boolean(senderClaim));
     if (webrtc) {
         webrtc.disconnect();
         initializeWebRTC();
@@ -360,11 +450,19 @@ function sendTelemetry(event) {
 function getRelayConfig() {
     return runtimeConfig.relay || {
         enabled: false,
-        maxFileSizeBytes: 10 * 1024 * 1024,
-        chunkSizeBytes: 12 * 1024
+        maxFileSizeBytes: 100 * 1024 * 1024,
+        chunkSizeBytes: 64 * 1024,
+        ackWindowBytes: 1024 * 1024
     };
 }
 
+// Relay chunks use at most half of the server's per-socket message budget,
+// leaving the rest for signaling.
+function getRelayChunkIntervalMs() {
+    const maxMessagesPerSecond = Number(runtimeConfig.limits?.maxMessagesPerSecond);
+    return maxMessagesPerSecond > 0 ? Math.ceil(2000 / maxMessagesPerSecond) : 0;
+}
+
 function getShareBaseUrl() {
     if (runtimeConfig.publicBaseUrl) {
         return runtimeConfig.publicBaseUrl.replace(/\/$/, '');
@@ -374,7 +472,14 @@ function getShareBaseUrl() {
 }
 
 function getShareUrl(roomId) {
-    return `${getShareBaseUrl()}${window.location.pathname}?room=${roomId}`;
+    const shareUrl = `${getShareBaseUrl()}${window.location.pathname}?room=${roomId}`;
+    const secret = roomSecretInput.value;
+
+    if (secret && includeSecretInLink.checked) {
+        return `${shareUrl}#secret=${encodeURIComponent(secret)}`;
+    }
+
+    return shareUrl;
 }
 
 function clearRelayFallbackTimer() {
@@ -384,12 +489,14 @@ function clearRelayFallbackTimer() {
     }
 }
 
-function updateProgressUI(percent, bytesTransferred, startTime, mode) {
+function updateProgressUI(percent, bytesTransferred, startTime, mode, peerId) {
     const elapsed = Math.max((Date.now() - startTime) / 1000, 0.1);
     const speed = bytesTransferred / elapsed;
     const speedText = formatFileSize(speed) + '/s';
 
-    if (mode === 'sender') {
+    if (mode === 'sender' && peerId) {
+        updateReceiverProgress(peerId, percent, speedText);
+    } else if (mode === 'sender') {
         progressFill.style.width = percent + '%';
         progressPercent.textContent = Math.round(percent) + '%';
         progressSpeed.textContent = speedText;
@@ -400,6 +507,192 @@ function updateProgressUI(percent, bytesTransferred, startTime, mode) {
     }
 }
 
+function addReceiver(peerId, details = {}) {
+    if (receivers.has(peerId)) {
+        return receivers.get(peerId);
+    }
+
+    receiverCounter += 1;
+    const row = document.createElement('div');
+    row.className = 'receiver-item';
+    row.innerHTML = `
+        <div class="receiver-item-header">
+            <span class="receiver-name"></span>
+            <span class="receiver-state">Connecting...</span>
+        </div>
+        <div class="receiver-admission hidden">
+            <button class="btn-primary receiver-admit-btn">Admit</button>
+            <button class="btn-secondary receiver-deny-btn">Deny</button>
+        </div>
+        <div class="progress-bar">
+            <div class="progress-fill"></div>
+        </div>
+        <div class="progress-text">
+            <span class="receiver-percent">0%</span>
+            <span class="receiver-speed"></span>
+        </div>
+    `;
+    // Device names come from the other browser, so never render them as HTML
+    row.querySelector('.receiver-name').textContent = details.deviceName
+        ? `${details.deviceName} · ${details.browser || 'Unknown browser'}`
+        : `Receiver ${receiverCounter}`;
+    row.querySelector('.receiver-admit-btn').addEventListener('click', () => admitReceiver(peerId));
+    row.querySelector('.receiver-deny-btn').addEventListener('click', () => denyReceiver(peerId));
+    receiverItemsContainer.appendChild(row);
+    receiverList.classList.remove('hidden');
+
+    const receiver = {
+        peerId,
+        admitted: false,
+        mode: 'p2p',
+        relayFallbackTimer: null,
+        relayTransfer: null,
+        sending: false,
+        percent: 0,
+        row
+    };
+    receivers.set(peerId, receiver);
+    return receiver;
+}
+
+function setReceiverState(peerId, text, status) {
+    const receiver = receivers.get(peerId);
+    if (!receiver) {
+        return;
+    }
+
+    const stateLabel = receiver.row.querySelector('.receiver-state');
+    stateLabel.textContent = text;
+    stateLabel.className = 'receiver-state ' + (status || '');
+}
+
+function showJoinRequest(request) {
+    const receiver = addReceiver(request.peerId, request);
+    receiver.row.querySelector('.receiver-admission').classList.remove('hidden');
+    setReceiverState(request.peerId, 'Wants to join', 'connecting');
+}
+
+function admitReceiver(peerId) {
+    const receiver = receivers.get(peerId);
+    if (!receiver || receiver.admitted) {
+        return;
+    }
+
+    try {
+        webrtc.admitPeer(peerId);
+    } catch (error) {
+        setReceiverState(peerId, 'Error: ' + error.message, 'error');
+        return;
+    }
+
+    receiver.admitted = true;
+    receiver.row.querySelector('.receiver-admission').classList.add('hidden');
+    setReceiverState(peerId, 'Connecting...', 'connecting');
+    updateConnectionStatus(`Receiver admitted (${getAdmittedReceiverCount()} in room). Preparing connection...`, 'connecting');
+    scheduleRelayFallback(peerId);
+}
+
+function denyReceiver(peerId) {
+    try {
+        webrtc.denyPeer(peerId);
+    } catch (error) {
+        setReceiverState(peerId, 'Error: ' + error.message, 'error');
+        return;
+    }
+
+    removeReceiver(peerId);
+}
+
+function getAdmittedReceiverCount() {
+    return Array.from(receivers.values()).filter((receiver) => receiver.admitted).length;
+}
+
+function updateReceiverProgress(peerId, percent, speedText) {
+    const receiver = receivers.get(peerId);
+    if (!receiver) {
+        return;
+    }
+
+    receiver.percent = percent;
+    receiver.row.querySelector('.progress-fill').style.width = percent + '%';
+    receiver.row.querySelector('.receiver-percent').textContent = Math.round(percent) + '%';
+    receiver.row.querySelector('.receiver-speed').textContent = speedText;
+
+    // The main bar tracks the average across every receiver in the room
+    const all = Array.from(receivers.values());
+    const average = all.reduce((sum, entry) => sum + entry.percent, 0) / all.length;
+    progressFill.style.width = average + '%';
+    progressPercent.textContent = Math.round(average) + '%';
+    progressSpeed.textContent = all.length > 1 ? `${all.length} receivers` : speedText;
+}
+
+function removeReceiver(peerId) {
+    const receiver = receivers.get(peerId);
+    if (!receiver) {
+        return;
+    }
+
+    clearReceiverFallbackTimer(receiver);
+    if (receiver.relayTransfer) {
+        finishRelayTransfer(receiver.relayTransfer, new Error('Receiver left the room'));
+    }
+    receiver.row.remove();
+    receivers.delete(peerId);
+    if (receivers.size === 0) {
+        receiverList.classList.add('hidden');
+    }
+}
+
+function clearReceivers() {
+    receivers.forEach((receiver) => {
+        clearReceiverFallbackTimer(receiver);
+        if (receiver.relayTransfer) {
+            finishRelayTransfer(receiver.relayTransfer, new Error('Transfer cancelled'));
+        }
+    });
+    receivers = new Map();
+    receiverCounter = 0;
+    if (receiverItemsContainer) {
+        receiverItemsContainer.innerHTML = '';
+    }
+    if (receiverList) {
+        receiverList.classList.add('hidden');
+    }
+}
+
+function clearReceiverFallbackTimer(receiver) {
+    if (receiver.relayFallbackTimer) {
+        clearTimeout(receiver.relayFallbackTimer);
+        receiver.relayFallbackTimer = null;
+    }
+}
+
+function getReadyReceiverIds() {
+    if (!webrtc) {
+        return [];
+    }
+
+    return Array.from(receivers.values())
+        .filter((receiver) => receiver.admitted)
+        .filter((receiver) => receiver.mode === 'relay' || webrtc.isPeerOpen(receiver.peerId))
+        .map((receiver) => receiver.peerId);
+}
+
+function enableReceiverRelay(peerId, reason) {
+    const receiver = receivers.get(peerId);
+    if (!receiver || !receiver.admitted || !getRelayConfig().enabled || receiver.mode === 'relay') {
+        return;
+    }
+
+    receiver.mode = 'relay';
+    clearReceiverFallbackTimer(receiver);
+    console.log(`[Relay] Switching ${peerId} to relay mode: ${reason}`);
+    setReceiverState(peerId, 'Relay', 'connecting');
+    if (selectedFiles.length > 0) {
+        sendFilesNow(peerId);
+    }
+}
+
 function enableRelayMode(reason) {
     const relay = getRelayConfig();
     if (!relay.enabled) {
@@ -420,19 +713,18 @@ function enableRelayMode(reason) {
     }
 }
 
-function scheduleRelayFallback() {
+function scheduleRelayFallback(peerId) {
     const relay = getRelayConfig();
-    if (!relay.enabled || currentMode !== 'sender') {
+    const receiver = receivers.get(peerId);
+    if (!relay.enabled || currentMode !== 'sender' || !receiver) {
         return;
     }
 
-    clearRelayFallbackTimer();
-    relayFallbackTimer = setTimeout(() => {
-        if (!webrtc?.dataChannel || webrtc.dataChannel.readyState !== 'open') {
-            enableRelayMode('direct connection unavailable');
-            if (peerJoined && selectedFiles.length > 0) {
-                sendFilesNow();
-            }
+    clearReceiverFallbackTimer(receiver);
+    receiver.relayFallbackTimer = setTimeout(() => {
+        receiver.relayFallbackTimer = null;
+        if (!webrtc?.isPeerOpen(peerId)) {
+            enableReceiverRelay(peerId, 'direct connection unavailable');
         }
     }, 8000);
 }
@@ -446,23 +738,20 @@ function base64ToArrayBuffer(base64) {
     return bytes.buffer;
 }
 
-function arrayBufferToBase64(buffer) {
-    const bytes = new Uint8Array(buffer);
-    let binary = '';
-    for (let index = 0; index < bytes.byteLength; index += 1) {
-        binary += String.fromCharCode(bytes[index]);
-    }
-    return btoa(binary);
-}
-
 async function startTransfer() {
     try {
         updateConnectionStatus('Creating room...', 'connecting');
         
-        const roomId = await webrtc.createRoom();
+        const roomId = await webrtc.createRoom(senderClaim || {
+            capacity: runtimeConfig.maxRoomSize,
+            secret: roomSecretInput.value
+        });
+        senderClaim = null;
         roomCodeInput.value = roomId;
+        roomSecretHint.classList.toggle('hidden', !roomSecretInput.value);
         shareSection.classList.remove('hidden');
         dropZone.classList.add('hidden');
+        roomOptions.classList.add('hidden');
         
         await generateQRCode(roomId);
         updateConnectionStatus('Waiting for receiver...', 'connecting');
@@ -639,7 +928,7 @@ function handleScannedQr(value) {
     }
 
     const roomId = String(value || '').trim().toUpperCase();
-    if (roomId.length === 6) {
+    if (roomId.length === getRoomCodeLength()) {
         switchMode('receiver');
         joinCodeInput.value = roomId;
         joinRoom();
@@ -649,11 +938,26 @@ function handleScannedQr(value) {
     alert('This QR code does not contain a valid Bhejo room link.');
 }
 
+function getDeviceName() {
+    const ua = navigator.userAgent;
+    const platforms = [
+        [/iPhone/, 'iPhone'],
+        [/iPad/, 'iPad'],
+        [/Android/, /Mobile/.test(ua) ? 'Android phone' : 'Android tablet'],
+        [/Windows/, 'Windows PC'],
+        [/Macintosh|Mac OS X/, 'Mac'],
+        [/CrOS/, 'Chromebook'],
+        [/Linux/, 'Linux PC']
+    ];
+    const match = platforms.find(([pattern]) => pattern.test(ua));
+    return match ? match[1] : 'Unknown device';
+}
+
 async function joinRoom() {
     const roomId = joinCodeInput.value.trim().toUpperCase();
     
-    if (roomId.length !== 6) {
-        alert('Please enter a valid 6-character code');
+    if (roomId.length !== getRoomCodeLength()) {
+        alert(`Please enter a valid ${getRoomCodeLength()}-character code`);
         return;
     }
 
@@ -663,12 +967,26 @@ async function joinRoom() {
         receiverStatus.classList.remove('hidden');
         receiverStatusText.textContent = 'Connecting to sender...';
         
-        await webrtc.joinRoom(roomId);
+        await webrtc.joinRoom(roomId, joinSecretInput.value, getDeviceName());
+        if (!webrtc.isAdmitted) {
+            updateConnectionStatus('Waiting for the sender to admit you', 'connecting');
+            receiverStatusText.textContent = 'Waiting for the sender to let you in...';
+        }
     } catch (error) {
         console.error('Error joining room:', error);
+        joinBtn.disabled = false;
+
+        if (error.code === 'secret-required' || error.code === 'secret-invalid') {
+            joinSecretSection.classList.remove('hidden');
+            joinSecretInput.value = '';
+            joinSecretInput.focus();
+            updateConnectionStatus(error.message, 'error');
+            receiverStatusText.textContent = 'Enter the passphrase from the sender, then join again';
+            return;
+        }
+
         updateConnectionStatus('Error: ' + error.message, 'error');
         receiverStatusText.textContent = 'Connection failed: ' + error.message;
-        joinBtn.disabled = false;
     }
 }
 
@@ -710,6 +1028,50 @@ async function copyRoomCode() {
     }
 }
 
+function startRoomCountdown(expiresAt, canExtend) {
+    if (currentMode !== 'sender' || !expiresAt) {
+        return;
+    }
+
+    roomExpiry.classList.remove('hidden');
+    roomExpiry.dataset.expiresAt = String(expiresAt);
+    extendRoomBtn.disabled = !canExtend;
+    extendRoomBtn.title = canExtend ? '' : 'This room has reached its maximum lifetime';
+    renderRoomCountdown();
+
+    if (!roomExpiryTimer) {
+        roomExpiryTimer = setInterval(renderRoomCountdown, 1000);
+    }
+}
+
+function renderRoomCountdown() {
+    const remainingMs = Math.max(Number(roomExpiry.dataset.expiresAt) - Date.now(), 0);
+    const totalSeconds = Math.ceil(remainingMs / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    roomExpiryCountdown.textContent = `${minutes}:${seconds}`;
+    roomExpiry.classList.toggle('expiring', remainingMs <= 60 * 1000);
+}
+
+function stopRoomCountdown() {
+    if (roomExpiryTimer) {
+        clearInterval(roomExpiryTimer);
+        roomExpiryTimer = null;
+    }
+
+    roomExpiry.classList.add('hidden');
+    roomExpiry.classList.remove('expiring');
+    delete roomExpiry.dataset.expiresAt;
+}
+
+function extendRoom() {
+    try {
+        webrtc.extendRoom();
+    } catch (error) {
+        updateConnectionStatus('Error: ' + error.message, 'error');
+    }
+}
+
 function cancelTransfer() {
     webrtc.disconnect();
     resetSenderView();
@@ -727,17 +1089,86 @@ function updateConnectionStatus(text, status) {
     connectionStatus.className = 'status-bar ' + status;
 }
 
-function downloadReceivedFile(fileName, fileType, chunks) {
-    const blob = new Blob(chunks, { type: fileType || 'application/octet-stream' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = fileName;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-    return blob.size;
+// Relay receiver: chunks go to a file sink as they arrive (see file-sink.js)
+function openRelaySink(state) {
+    state.hasher = new FileHasher();
+    state.writes = createFileSink({ name: state.name, size: state.size, type: state.type })
+        .then((sink) => {
+            state.sink = sink;
+        })
+        .catch((error) => failRelayReceive(state, error));
+}
+
+function writeRelayChunk(state, offset, data) {
+    // Hashed before the sink may take ownership of the buffer
+    state.hasher.update(offset, data);
+    state.writes = state.writes.then(() => {
+        if (state.sink && !state.error) {
+            return state.sink.write(offset, data);
+        }
+    }).catch((error) => failRelayReceive(state, error));
+}
+
+function failRelayReceive(state, error) {
+    if (state.error) {
+        return;
+    }
+
+    state.error = error;
+    console.error(`[Relay] Could not save ${state.name}:`, error.message || error);
+    if (state.sink) {
+        state.sink.abort().catch(() => {});
+    }
+    state.hasher.close();
+    updateConnectionStatus(error.message, 'error');
+}
+
+function discardRelayReceive() {
+    const state = relayReceiveState;
+    relayReceiveState = null;
+    if (state && !state.error) {
+        state.error = new Error('Transfer interrupted');
+        state.writes.then(() => state.sink && state.sink.abort()).catch(() => {});
+        state.hasher.close();
+    }
+}
+
+async function finishRelayReceive(state, expectedChecksum) {
+    await state.writes;
+    if (state.error) {
+        return;
+    }
+
+    const checksum = await state.hasher.digest().catch((error) => {
+        console.warn('[Relay] Could not compute checksum:', error.message || error);
+        return null;
+    });
+    state.hasher.close();
+
+    // A file that doesn't match the sender's never reaches the downloads
+    const verified = expectedChecksum ? checksum === expectedChecksum : null;
+    showFileChecksum(state.fileItem, checksum, verified);
+    if (verified === false) {
+        failRelayReceive(state, new Error(`${state.name} does not match the sender's checksum and was discarded`));
+        return;
+    }
+
+    try {
+        await state.sink.close();
+    } catch (error) {
+        failRelayReceive(state, error);
+        return;
+    }
+
+    console.log(`[Relay] Download triggered for ${state.name} (${formatFileSize(state.size)}) - SHA-256: ${checksum || 'unknown'}`);
+    receiverStatusText.textContent = `Received: ${state.name}`;
+    updateConnectionStatus('File received through relay!', 'connected');
+    sendTelemetry({
+        type: 'file-received-relay',
+        role: 'receiver',
+        totalBytes: state.size,
+        fileName: state.name
+    });
 }
 
 function handleRelayMessage(message) {
@@ -749,14 +1180,29 @@ function handleRelayMessage(message) {
     }
 
     if (message.type === 'relay-file-metadata') {
+        // A sender back from a dropped connection announces its transfer again
+        if (relayReceiveState && message.transferId && relayReceiveState.transferId === message.transferId) {
+            return;
+        }
+
+        discardRelayReceive();
         relayReceiveState = {
+            transferId: message.transferId || null,
+            from: message.from,
             name: message.name,
             type: message.mimeType,
             size: message.size,
-            chunks: [],
+            sink: null,
+            writes: null,
+            error: null,
+            hasher: null,
+            fileItem: null,
             bytesTransferred: 0,
+            ackedOffset: 0,
+            resumeRequestedAt: null,
             startTime: Date.now()
         };
+        openRelaySink(relayReceiveState);
 
         receiverStatus.classList.add('hidden');
         incomingFiles.classList.remove('hidden');
@@ -771,6 +1217,7 @@ function handleRelayMessage(message) {
             </div>
         `;
         filesList.appendChild(fileItem);
+        relayReceiveState.fileItem = fileItem;
         updateConnectionStatus('Receiving via relay...', 'connecting');
         return;
     }
@@ -780,32 +1227,95 @@ function handleRelayMessage(message) {
     }
 
     if (message.type === 'relay-chunk') {
-        const chunkBuffer = base64ToArrayBuffer(message.payload);
-        relayReceiveState.chunks.push(chunkBuffer);
-        relayReceiveState.bytesTransferred += chunkBuffer.byteLength;
+        // Without acks the sender stalls and gives up instead of using up the relay allowance
+        if (relayReceiveState.error) {
+            return;
+        }
+
+        // Binary frames carry the chunk as-is; base64 `payload` is the legacy JSON format
+        const chunkBuffer = message.data || base64ToArrayBuffer(message.payload);
+        const offset = typeof message.offset === 'number' ? message.offset : relayReceiveState.bytesTransferred;
+        if (offset > relayReceiveState.bytesTransferred) {
+            // Chunks went missing while one of us was reconnecting
+            acknowledgeRelayChunks(true);
+            return;
+        }
+
+        // After a rewind the sender repeats bytes we may already hold
+        const freshBytes = chunkBuffer.slice(relayReceiveState.bytesTransferred - offset);
+        if (freshBytes.byteLength === 0) {
+            return;
+        }
+
+        const freshOffset = relayReceiveState.bytesTransferred;
+        relayReceiveState.bytesTransferred += freshBytes.byteLength;
+        writeRelayChunk(relayReceiveState, freshOffset, freshBytes);
         const percent = Math.min((relayReceiveState.bytesTransferred / relayReceiveState.size) * 100, 100);
         updateProgressUI(percent, relayReceiveState.bytesTransferred, relayReceiveState.startTime, 'receiver');
+        acknowledgeRelayChunks(false);
         return;
     }
 
     if (message.type === 'relay-complete') {
-        const receivedSize = downloadReceivedFile(relayReceiveState.name, relayReceiveState.type, relayReceiveState.chunks);
-        console.log(`[Relay] Download triggered for ${relayReceiveState.name} (${formatFileSize(receivedSize)})`);
-        receiverStatusText.textContent = `Received: ${relayReceiveState.name}`;
-        updateConnectionStatus('File received through relay!', 'connected');
-        sendTelemetry({
-            type: 'file-received-relay',
-            role: 'receiver',
-            totalBytes: relayReceiveState.size,
-            fileName: relayReceiveState.name
-        });
+        if (relayReceiveState.bytesTransferred !== relayReceiveState.size) {
+            discardRelayReceive();
+            updateConnectionStatus('Relay transfer ended before the whole file arrived', 'error');
+            return;
+        }
+
+        const state = relayReceiveState;
         relayReceiveState = null;
+        finishRelayReceive(state, message.checksum).catch((error) => {
+            console.error('[Relay] Failed to finish download:', error);
+        });
+    }
+}
+
+// Receiver: acknowledge every half window so the sender never stalls, and at the
+// end. A `resume` ack asks the sender to continue from what we hold.
+function acknowledgeRelayChunks(resume) {
+    const state = relayReceiveState;
+    if (!state || !state.transferId) {
+        return;
+    }
+
+    if (resume) {
+        if (state.resumeRequestedAt === state.bytesTransferred) {
+            return;
+        }
+    } else {
+        const ackInterval = getRelayConfig().ackWindowBytes / 2;
+        if (state.bytesTransferred - state.ackedOffset < ackInterval && state.bytesTransferred < state.size) {
+            return;
+        }
+    }
+
+    try {
+        webrtc.sendSignal({
+            type: 'relay-ack',
+            to: state.from,
+            transferId: state.transferId,
+            offset: state.bytesTransferred,
+            resume
+        });
+    } catch (error) {
+        // Offline; we ask to resume once signaling is back
+        return;
+    }
+
+    state.ackedOffset = state.bytesTransferred;
+    if (resume) {
+        state.resumeRequestedAt = state.bytesTransferred;
     }
 }
 
-function sendFileViaRelay(file) {
+// Sender: chunks carry their byte offset and we stay at most one ack window
+// ahead of the receiver. If either side's signaling drops, the transfer picks
+// up from the last acknowledged offset instead of starting over.
+function sendFileViaRelay(file, peerId) {
     return new Promise((resolve, reject) => {
         const relay = getRelayConfig();
+        const receiver = receivers.get(peerId);
 
         if (!relay.enabled) {
             reject(new Error('Relay mode is disabled'));
@@ -822,73 +1332,229 @@ function sendFileViaRelay(file) {
             return;
         }
 
-        webrtc.sendSignal({
-            type: 'relay-file-metadata',
-            name: file.name,
-            size: file.size,
-            mimeType: file.type,
-            lastModified: file.lastModified
+        if (!receiver) {
+            reject(new Error('Receiver left the room'));
+            return;
+        }
+
+        const transfer = {
+            transferId: generateTransferId(),
+            file,
+            peerId,
+            offset: 0,
+            ackedOffset: 0,
+            awaitingResume: false,
+            reading: false,
+            finished: false,
+            chunkTimer: null,
+            stallTimer: null,
+            startTime: Date.now(),
+            hasher: new FileHasher(),
+            checksum: null,
+            hashed: false,
+            error: null, // Set when the server refuses this transfer
+            resolve,
+            reject
+        };
+        receiver.relayTransfer = transfer;
+        announceRelayTransfer(transfer);
+        pumpRelayTransfer(transfer);
+    });
+}
+
+function generateTransferId() {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)))
+        .map((byte) => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+function announceRelayTransfer(transfer) {
+    webrtc.sendSignal({
+        type: 'relay-file-metadata',
+        to: transfer.peerId,
+        transferId: transfer.transferId,
+        name: transfer.file.name,
+        size: transfer.file.size,
+        mimeType: transfer.file.type,
+        lastModified: transfer.file.lastModified
+    });
+}
+
+async function pumpRelayTransfer(transfer) {
+    if (transfer.finished || transfer.reading || transfer.chunkTimer) {
+        return;
+    }
+
+    if (transfer.error) {
+        finishRelayTransfer(transfer, new Error(transfer.error));
+        return;
+    }
+
+    const { file, peerId } = transfer;
+    if (transfer.ackedOffset >= file.size) {
+        if (!transfer.hashed) {
+            transfer.reading = true;
+            transfer.checksum = await transfer.hasher.digest().catch((error) => {
+                console.warn('[Relay] Could not calculate checksum:', error.message || error);
+                return null;
+            });
+            transfer.hashed = true;
+            transfer.reading = false;
+            if (transfer.finished) {
+                return;
+            }
+        }
+
+        const complete = { type: 'relay-complete', to: peerId, name: file.name };
+        if (transfer.checksum) {
+            complete.checksum = transfer.checksum;
+        }
+
+        try {
+            webrtc.sendSignal(complete);
+        } catch (error) {
+            waitForRelayProgress(transfer);
+            return;
+        }
+
+        sendTelemetry({
+            type: 'file-sent-relay',
+            role: 'sender',
+            totalBytes: file.size,
+            fileName: file.name
         });
+        finishRelayTransfer(transfer);
+        return;
+    }
 
-        const reader = new FileReader();
-        const chunkSize = relay.chunkSizeBytes || (12 * 1024);
-        let offset = 0;
-        let bytesTransferred = 0;
-        const startTime = Date.now();
+    const relay = getRelayConfig();
+    const chunkBytes = Math.min(relay.chunkSizeBytes || (64 * 1024), file.size - transfer.offset);
+    const windowFull = transfer.offset + chunkBytes - transfer.ackedOffset > relay.ackWindowBytes;
+    if (transfer.awaitingResume || chunkBytes <= 0 || windowFull || !webrtc.isSignalingReady()) {
+        waitForRelayProgress(transfer);
+        return;
+    }
 
-        reader.onload = (event) => {
-            try {
-                const chunk = event.target.result;
-                bytesTransferred += chunk.byteLength;
+    const offset = transfer.offset;
+    let chunk;
+    transfer.reading = true;
+    try {
+        chunk = await file.slice(offset, offset + chunkBytes).arrayBuffer();
+    } catch (error) {
+        finishRelayTransfer(transfer, new Error('Failed to read file for relay transfer'));
+        return;
+    } finally {
+        transfer.reading = false;
+    }
 
-                webrtc.sendSignal({
-                    type: 'relay-chunk',
-                    payload: arrayBufferToBase64(chunk)
-                });
+    // A resume ack may have moved us while the chunk was being read
+    if (transfer.finished || transfer.offset !== offset) {
+        pumpRelayTransfer(transfer);
+        return;
+    }
 
-                const percent = Math.min((bytesTransferred / file.size) * 100, 100);
-                updateProgressUI(percent, bytesTransferred, startTime, 'sender');
+    if (!webrtc.sendRelayChunk(peerId, chunk, offset)) {
+        waitForRelayProgress(transfer);
+        return;
+    }
 
-                offset += chunk.byteLength;
-                if (offset < file.size) {
-                    readNextChunk();
-                    return;
-                }
+    // Bytes resent after a resume are skipped by the hasher
+    transfer.hasher.update(offset, chunk);
 
-                webrtc.sendSignal({
-                    type: 'relay-complete',
-                    name: file.name
-                });
+    clearRelayStallTimer(transfer);
+    transfer.offset = offset + chunk.byteLength;
+    updateProgressUI(Math.min((transfer.offset / file.size) * 100, 100), transfer.offset, transfer.startTime, 'sender', peerId);
+    transfer.chunkTimer = setTimeout(() => {
+        transfer.chunkTimer = null;
+        pumpRelayTransfer(transfer);
+    }, getRelayChunkIntervalMs());
+}
 
-                sendTelemetry({
-                    type: 'file-sent-relay',
-                    role: 'sender',
-                    totalBytes: file.size,
-                    fileName: file.name
-                });
+// Nothing to send until an ack or a reconnect; give up if neither comes
+function waitForRelayProgress(transfer) {
+    if (transfer.stallTimer) {
+        return;
+    }
 
-                resolve();
-            } catch (error) {
-                reject(error);
-            }
-        };
+    transfer.stallTimer = setTimeout(() => {
+        transfer.stallTimer = null;
+        finishRelayTransfer(transfer, new Error('Relay transfer stalled'));
+    }, RELAY_STALL_TIMEOUT_MS);
+}
+
+function clearRelayStallTimer(transfer) {
+    if (transfer.stallTimer) {
+        clearTimeout(transfer.stallTimer);
+        transfer.stallTimer = null;
+    }
+}
+
+function handleRelayAck(message) {
+    const receiver = receivers.get(message.from);
+    const transfer = receiver && receiver.relayTransfer;
+    if (!transfer || transfer.transferId !== message.transferId) {
+        return;
+    }
 
-        reader.onerror = () => reject(new Error('Failed to read file for relay transfer'));
+    clearRelayStallTimer(transfer);
+    transfer.ackedOffset = message.offset;
+    if (message.resume) {
+        console.log(`[Relay] Resuming ${transfer.file.name} for ${transfer.peerId} at ${formatFileSize(message.offset)}`);
+        transfer.awaitingResume = false;
+        transfer.offset = message.offset;
+    }
 
-        function readNextChunk() {
-            const slice = file.slice(offset, offset + chunkSize);
-            reader.readAsArrayBuffer(slice);
+    pumpRelayTransfer(transfer);
+}
+
+// After our own signaling reconnect the server matches the announcement to the
+// transfer it kept and answers with a `resume` ack; send nothing until then.
+function resumeRelayTransfers() {
+    receivers.forEach((receiver) => {
+        const transfer = receiver.relayTransfer;
+        if (!transfer) {
+            return;
         }
 
-        readNextChunk();
+        transfer.awaitingResume = true;
+        try {
+            announceRelayTransfer(transfer);
+        } catch (error) {
+            waitForRelayProgress(transfer);
+        }
     });
 }
 
+function finishRelayTransfer(transfer, error) {
+    if (transfer.finished) {
+        return;
+    }
+
+    transfer.finished = true;
+    transfer.hasher.close();
+    clearRelayStallTimer(transfer);
+    if (transfer.chunkTimer) {
+        clearTimeout(transfer.chunkTimer);
+        transfer.chunkTimer = null;
+    }
+
+    const receiver = receivers.get(transfer.peerId);
+    if (receiver && receiver.relayTransfer === transfer) {
+        receiver.relayTransfer = null;
+    }
+
+    if (error) {
+        transfer.reject(error);
+    } else {
+        transfer.resolve(transfer.checksum);
+    }
+}
+
 function initializeWebRTC() {
-    webrtc = new WebRTCManager(runtimeConfig.rtcConfig);
+    webrtc = new WebRTCManager(runtimeConfig.rtcConfig, runtimeConfig.iceCredentialsExpiresAt);
     transferMode = 'p2p';
-    peerJoined = false;
     clearRelayFallbackTimer();
+    clearReceivers();
     
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const wsUrl = `${protocol}//${window.location.host}`;
@@ -915,51 +1581,147 @@ function initializeWebRTC() {
         updateConnectionStatus('Signaling server connected', 'connected');
     };
 
-    webrtc.onPeerJoined = (data) => {
-        peerJoined = (data.peerCount || 0) > 1 || data.role === 'receiver';
-        if (currentMode === 'sender' && peerJoined) {
-            updateConnectionStatus('Receiver joined. Preparing connection...', 'connecting');
-            scheduleRelayFallback();
+    webrtc.onJoinRequest = (request) => {
+        if (currentMode !== 'sender') {
+            return;
         }
+
+        showJoinRequest(request);
+        updateConnectionStatus(`${request.deviceName} wants to join`, 'connecting');
     };
 
-    webrtc.onPeerReady = () => {
-        peerJoined = true;
+    webrtc.onAdmitted = () => {
+        updateConnectionStatus('Admitted by the sender. Connecting...', 'connecting');
+        receiverStatusText.textContent = 'Admitted! Connecting to sender...';
+    };
+
+    webrtc.onSignalingReconnecting = (attempt) => {
+        updateConnectionStatus(`Connection lost. Reconnecting (attempt ${attempt})...`, 'connecting');
+    };
+
+    webrtc.onReconnected = (data) => {
+        updateConnectionStatus('Reconnected to the room', 'connected');
+        if (currentMode === 'receiver' && data.status === 'waiting') {
+            receiverStatusText.textContent = 'Waiting for the sender to let you in...';
+        }
+
+        // Relay chunks sent while we were away are gone; pick up where we left off
+        if (currentMode === 'sender') {
+            resumeRelayTransfers();
+        } else if (relayReceiveState) {
+            relayReceiveState.resumeRequestedAt = null;
+            acknowledgeRelayChunks(true);
+        }
+    };
+
+    webrtc.onReconnectFailed = (error) => {
+        updateConnectionStatus('Could not rejoin the room: ' + error.message, 'error');
+        if (currentMode === 'receiver') {
+            receiverStatusText.textContent = 'Lost the room. Ask the sender for a new code.';
+            joinBtn.disabled = false;
+        }
+    };
+
+    webrtc.onPeerReconnecting = (peerId) => {
+        if (currentMode === 'sender') {
+            setReceiverState(peerId, 'Reconnecting...', 'connecting');
+        } else {
+            updateConnectionStatus('The sender lost connection. Waiting for it to come back...', 'connecting');
+        }
+    };
+
+    webrtc.onPeerReconnected = (peerId) => {
+        if (currentMode === 'sender') {
+            const receiver = receivers.get(peerId);
+            if (receiver && !receiver.admitted) {
+                setReceiverState(peerId, 'Wants to join', 'connecting');
+                return;
+            }
+
+            const connected = webrtc.isPeerOpen(peerId) || receiver?.mode === 'relay';
+            setReceiverState(peerId, connected ? 'Connected' : 'Connecting...', connected ? 'connected' : 'connecting');
+        } else {
+            updateConnectionStatus('The sender is back', 'connected');
+        }
+    };
+
+    webrtc.onRoomExpiryChange = (expiresAt, canExtend) => {
+        startRoomCountdown(expiresAt, canExtend);
+    };
+
+    webrtc.onRoomExpiring = (expiresAt) => {
+        const minutes = Math.max(Math.ceil((expiresAt - Date.now()) / 60000), 1);
+        if (currentMode === 'sender') {
+            updateConnectionStatus(`Room closes in ${minutes} minute${minutes === 1 ? '' : 's'}. Keep it open if you need more time`, 'connecting');
+        } else {
+            receiverStatusText.textContent = `This room closes in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+        }
+    };
+
+    webrtc.onSignalingError = (error) => {
+        if (error.code === 'extend-limit') {
+            extendRoomBtn.disabled = true;
+            updateConnectionStatus(error.message, 'error');
+            return;
+        }
+
+        if (error.code === 'kicked' || error.code === 'too-many-connections') {
+            stopRoomCountdown();
+            updateConnectionStatus(error.message, 'error');
+            return;
+        }
+
+        if (error.code !== 'join-denied') {
+            return;
+        }
+
+        updateConnectionStatus(error.message, 'error');
+        receiverStatusText.textContent = error.message;
+        joinBtn.disabled = false;
+        // The server closes a denied socket; open a fresh one for another attempt
+        setTimeout(initializeWebRTC, 500);
     };
 
     webrtc.onRelayMessage = (message) => {
         if (currentMode === 'receiver') {
             handleRelayMessage(message);
+        } else if (message.type === 'relay-ack') {
+            handleRelayAck(message);
         } else if (message.type === 'relay-error') {
             updateConnectionStatus(message.message || 'Relay error', 'error');
+            const transfer = receivers.get(message.to)?.relayTransfer;
+            if (transfer && (!message.transferId || message.transferId === transfer.transferId)) {
+                transfer.error = message.message || 'Relay error';
+                pumpRelayTransfer(transfer);
+            }
         }
     };
 
     // Set up event handlers
-    webrtc.onDataChannelOpen = () => {
-        console.log(`[App] Data channel opened - state: ${webrtc.dataChannel?.readyState}, peerConnection: ${webrtc.peerConnection?.connectionState}, ICE: ${webrtc.peerConnection?.iceConnectionState}, files: ${selectedFiles?.length || 0}`);
+    webrtc.onDataChannelOpen = (peerId) => {
+        const peer = webrtc.getPeer(peerId);
+        console.log(`[App] Data channel opened (${peerId}) - state: ${peer?.dataChannel?.readyState}, peerConnection: ${peer?.peerConnection?.connectionState}, ICE: ${peer?.peerConnection?.iceConnectionState}, files: ${selectedFiles?.length || 0}`);
         
         clearRelayFallbackTimer();
         transferMode = 'p2p';
         updateConnectionStatus('Connected! Transferring...', 'connected');
         
         if (currentMode === 'sender') {
+            const receiver = receivers.get(peerId) || addReceiver(peerId);
+            clearReceiverFallbackTimer(receiver);
+            receiver.mode = 'p2p';
+            setReceiverState(peerId, 'Connected', 'connected');
+
             // Double-check data channel is actually open
-            if (!webrtc.dataChannel) {
-                console.error(`[App] Data channel is null`);
-                updateConnectionStatus('Data channel not available', 'error');
-                return;
-            }
-            
-            if (webrtc.dataChannel.readyState !== 'open') {
-                console.error(`[App] Data channel not open - state: ${webrtc.dataChannel.readyState}, waiting...`);
+            if (!webrtc.isPeerOpen(peerId)) {
+                console.error(`[App] Data channel not open - state: ${peer?.dataChannel?.readyState}, waiting...`);
                 // Wait a bit and try again
                 setTimeout(() => {
-                    if (webrtc.dataChannel && webrtc.dataChannel.readyState === 'open') {
+                    if (webrtc.isPeerOpen(peerId)) {
                         console.log(`[App] Data channel opened after wait, retrying`);
-                        webrtc.onDataChannelOpen();
+                        webrtc.onDataChannelOpen(peerId);
                     } else {
-                        updateConnectionStatus('Data channel failed to open', 'error');
+                        setReceiverState(peerId, 'Data channel failed', 'error');
                     }
                 }, 1000);
                 return;
@@ -972,7 +1734,7 @@ function initializeWebRTC() {
                 return;
             }
             
-            console.log(`[App] Preparing to send ${selectedFiles.length} file(s) - dataChannel state: ${webrtc.dataChannel.readyState}, buffered: ${webrtc.dataChannel.bufferedAmount} bytes`);
+            console.log(`[App] Preparing to send ${selectedFiles.length} file(s) to ${peerId} - buffered: ${peer.dataChannel.bufferedAmount} bytes`);
             selectedFiles.forEach((f, i) => {
                 console.log(`[App]   ${i + 1}. ${f.name} - ${formatFileSize(f.size)}`);
             });
@@ -983,56 +1745,104 @@ function initializeWebRTC() {
             }
             
             // Send files immediately - data channel is ready
-            sendFilesNow();
+            sendFilesNow(peerId);
         } else {
             receiverStatusText.textContent = 'Connected! Waiting for files...';
-            console.log(`[App] Receiver ready - dataChannel state: ${webrtc.dataChannel?.readyState}, waiting for files`);
+            console.log(`[App] Receiver ready - dataChannel state: ${peer?.dataChannel?.readyState}, waiting for files`);
         }
     };
     
-    // Function to send files (can be called from multiple places)
-    sendFilesNow = function () {
+    // Function to send files (can be called from multiple places).
+    // Without a peerId every ready receiver gets the current selection.
+    sendFilesNow = function (peerId) {
         if (!selectedFiles || selectedFiles.length === 0) {
             console.warn(`[App] No files to send`);
             return;
         }
 
-        const useRelay = transferMode === 'relay';
-        if (!useRelay && (!webrtc.dataChannel || webrtc.dataChannel.readyState !== 'open')) {
-            console.error(`[App] Cannot send files - data channel not open (state: ${webrtc.dataChannel?.readyState})`);
+        const targets = peerId ? [peerId] : getReadyReceiverIds();
+        if (targets.length === 0) {
+            updateConnectionStatus('Waiting for receiver...', 'connecting');
             return;
         }
 
-        if (useRelay && !peerJoined) {
-            updateConnectionStatus('Waiting for receiver before relay transfer...', 'connecting');
+        targets.forEach((targetId) => sendFilesToReceiver(targetId));
+    };
+
+    function sendFilesToReceiver(peerId) {
+        const receiver = receivers.get(peerId);
+        if (!receiver || receiver.sending) {
             return;
         }
-        
-        // Send files sequentially to avoid overwhelming the connection
+
+        const useRelay = receiver.mode === 'relay';
+        if (!useRelay && !webrtc.isPeerOpen(peerId)) {
+            console.error(`[App] Cannot send files to ${peerId} - data channel not open`);
+            return;
+        }
+
+        // Snapshot the selection so each receiver gets a consistent batch
+        const files = [...selectedFiles];
         let fileIndex = 0;
+        let inFlight = 0;
+        let failed = 0;
+        let stopped = false;
+        receiver.sending = true;
+
+        // Peers that multiplex take a few files at once; everyone else gets
+        // them one at a time so the connection isn't overwhelmed
+        const concurrency = useRelay ? 1 : webrtc.getFileConcurrency(peerId);
+        const nextFileDelay = concurrency > 1 ? 0 : 100;
         
-        const sendNextFile = () => {
-            if (fileIndex >= selectedFiles.length) {
-                console.log(`[App] All ${selectedFiles.length} file(s) sent successfully`);
+        const finishSending = () => {
+            receiver.sending = false;
+            if (failed > 0) {
+                return;
+            }
+
+            console.log(`[App] All ${files.length} file(s) sent successfully to ${peerId}`);
+            setReceiverState(peerId, 'All files sent', 'connected');
+            if (Array.from(receivers.values()).every((entry) => !entry.sending)) {
                 updateConnectionStatus('All files sent!', 'connected');
+            }
+        };
+
+        const sendNextFile = () => {
+            if (stopped) {
+                return;
+            }
+
+            if (fileIndex >= files.length) {
+                if (inFlight === 0) {
+                    finishSending();
+                }
                 return;
             }
             
             // Check data channel is still open
-            if (!useRelay && (!webrtc.dataChannel || webrtc.dataChannel.readyState !== 'open')) {
-                console.error(`[App] Data channel closed during transfer (state: ${webrtc.dataChannel?.readyState})`);
-                updateConnectionStatus('Connection lost during transfer', 'error');
+            if (!useRelay && !webrtc.isPeerOpen(peerId)) {
+                console.error(`[App] Data channel to ${peerId} closed during transfer`);
+                stopped = true;
+                receiver.sending = false;
+                setReceiverState(peerId, 'Connection lost during transfer', 'error');
                 return;
             }
             
-            const file = selectedFiles[fileIndex];
-            console.log(`[App] Sending file ${fileIndex + 1}/${selectedFiles.length}: ${file.name} (${formatFileSize(file.size)}) - mode: ${useRelay ? 'relay' : 'p2p'}`);
+            const file = files[fileIndex];
+            const number = ++fileIndex;
+            inFlight++;
+            console.log(`[App] Sending file ${number}/${files.length} to ${peerId}: ${file.name} (${formatFileSize(file.size)}) - mode: ${useRelay ? 'relay' : 'p2p'}`);
+            setReceiverState(peerId, inFlight > 1 ? `Sending ${inFlight} files (${number}/${files.length})` : `Sending ${number}/${files.length}`, 'connecting');
             
-            const sendPromise = useRelay ? sendFileViaRelay(file) : webrtc.sendFile(file);
+            const sendPromise = useRelay ? sendFileViaRelay(file, peerId) : webrtc.sendFile(file, peerId);
 
             sendPromise
-                .then(() => {
-                    console.log(`[App] File ${fileIndex + 1} sent successfully: ${file.name}`);
+                .then((checksum) => {
+                    console.log(`[App] File ${number} sent successfully to ${peerId}: ${file.name}`);
+                    if (checksum) {
+                        sentChecksums.set(file, checksum);
+                        showFileChecksum(fileListItems.get(file), checksum);
+                    }
                     if (!useRelay) {
                         sendTelemetry({
                             type: 'file-sent',
@@ -1041,31 +1851,39 @@ function initializeWebRTC() {
                             fileName: file.name
                         });
                     }
-                    fileIndex++;
-                    // Small delay before sending next file
-                    setTimeout(sendNextFile, 100);
                 })
                 .catch(error => {
-                    console.error(`[App] Error sending file ${fileIndex + 1}:`, error);
-                    updateConnectionStatus('Transfer error: ' + error.message, 'error');
+                    console.error(`[App] Error sending file ${number} to ${peerId}:`, error);
+                    failed++;
+                    setReceiverState(peerId, 'Transfer error: ' + error.message, 'error');
+                })
+                .finally(() => {
                     // Continue with next file even if one fails
-                    fileIndex++;
-                    if (fileIndex < selectedFiles.length) {
-                        setTimeout(sendNextFile, 100);
-                    }
+                    inFlight--;
+                    setTimeout(sendNextFile, nextFileDelay);
                 });
         };
         
         // Start sending files
-        sendNextFile();
-    };
+        for (let i = 0; i < Math.min(concurrency, files.length); i++) {
+            sendNextFile();
+        }
+        if (files.length === 0) {
+            finishSending();
+        }
+    }
+
+    webrtc.onDataChannelClose = (peerId) => {
+        if (currentMode === 'sender') {
+            setReceiverState(peerId, 'Connection closed', 'error');
+            return;
+        }
 
-    webrtc.onDataChannelClose = () => {
         updateConnectionStatus('Connection closed', 'error');
     };
 
-    webrtc.onConnectionStateChange = (state) => {
-        console.log('🔗 WebRTC connection state:', state);
+    webrtc.onConnectionStateChange = (state, peerId) => {
+        console.log('🔗 WebRTC connection state:', state, peerId);
         
         if (currentMode === 'receiver') {
             if (state === 'connecting') {
@@ -1094,39 +1912,26 @@ function initializeWebRTC() {
         } else {
             if (state === 'failed') {
                 if (getRelayConfig().enabled) {
-                    enableRelayMode('direct connection failed');
-                    if (peerJoined && selectedFiles.length > 0) {
-                        sendFilesNow();
-                    }
+                    enableReceiverRelay(peerId, 'direct connection failed');
                 } else {
+                    setReceiverState(peerId, 'Connection failed', 'error');
                     updateConnectionStatus('Connection failed - may need TURN server', 'error');
                     setTimeout(() => {
                         alert('Connection failed!\n\nThis usually happens when:\n1. Both devices are behind restrictive NATs\n2. Firewall is blocking WebRTC\n3. Network doesn\'t allow direct P2P\n\nSolution: Try on same Wi-Fi network, or configure a TURN server.');
                     }, 1000);
                 }
             } else if (state === 'disconnected') {
-                updateConnectionStatus('Connection lost', 'error');
+                setReceiverState(peerId, 'Connection lost', 'error');
             } else if (state === 'connected') {
+                setReceiverState(peerId, 'Connected', 'connected');
                 updateConnectionStatus('Peer connection established', 'connected');
             }
         }
     };
 
-    webrtc.onProgress = (progress, bytesTransferred, startTime) => {
+    webrtc.onProgress = (progress, bytesTransferred, startTime, peerId) => {
         const percent = Math.min(progress, 100);
-        const elapsed = (Date.now() - startTime) / 1000; // seconds
-        const speed = bytesTransferred / elapsed; // bytes per second
-        const speedText = formatFileSize(speed) + '/s';
-        
-        if (currentMode === 'sender') {
-            progressFill.style.width = percent + '%';
-            progressPercent.textContent = Math.round(percent) + '%';
-            progressSpeed.textContent = speedText;
-        } else {
-            receiverProgressFill.style.width = percent + '%';
-            receiverProgressPercent.textContent = Math.round(percent) + '%';
-            receiverProgressSpeed.textContent = speedText;
-        }
+        updateProgressUI(percent, bytesTransferred, startTime, currentMode, currentMode === 'sender' ? peerId : null);
     };
 
     webrtc.onFileMetadata = (metadata) => {
@@ -1143,12 +1948,14 @@ function initializeWebRTC() {
                 </div>
             `;
             filesList.appendChild(fileItem);
+            incomingFileItems.set(metadata, fileItem);
         }
     };
 
     webrtc.onFileReceived = (file) => {
         if (currentMode === 'receiver') {
             receiverStatusText.textContent = `Received: ${file.name}`;
+            showFileChecksum(incomingFileItems.get(file), file.checksum, file.verified);
             updateConnectionStatus('File received!', 'connected');
             sendTelemetry({
                 type: 'file-received',
@@ -1159,16 +1966,49 @@ function initializeWebRTC() {
         }
     };
 
-    webrtc.onError = (error) => {
+    webrtc.onError = (error, peerId) => {
         console.error('WebRTC error:', error);
+        if (currentMode === 'sender' && peerId && receivers.has(peerId)) {
+            setReceiverState(peerId, 'Error: ' + error.message, 'error');
+            return;
+        }
+
         updateConnectionStatus('Error: ' + error.message, 'error');
     };
 
-    webrtc.onPeerDisconnected = () => {
+    webrtc.onPeerDisconnected = (peerId) => {
+        if (currentMode === 'sender') {
+            const wasAdmitted = receivers.get(peerId)?.admitted;
+            removeReceiver(peerId);
+            if (!wasAdmitted) {
+                return;
+            }
+
+            const remaining = getAdmittedReceiverCount();
+            updateConnectionStatus(
+                remaining > 0 ? `Receiver left (${remaining} still connected)` : 'Receiver disconnected',
+                remaining > 0 ? 'connected' : 'error'
+            );
+            return;
+        }
+
         updateConnectionStatus('Peer disconnected', 'error');
     };
 
+    webrtc.onMaintenance = (state) => {
+        maintenanceBanner.textContent = state.message
+            || 'Bhejo is under maintenance. New rooms are paused; transfers in progress can finish.';
+        maintenanceBanner.classList.toggle('hidden', !state.enabled);
+    };
+
+    webrtc.onRoomClosed = () => {
+        stopRoomCountdown();
+        updateConnectionStatus('Room closed', 'error');
+        alert('This room was closed by the service that created it.');
+    };
+
     webrtc.onRoomExpired = () => {
+        stopRoomCountdown();
         updateConnectionStatus('Room expired', 'error');
         alert('The room has expired. Please create a new one.');
     };
@@ -0,0 +1,92 @@
+// Serves received files as download streams. The page opens a stream over a
+// MessagePort, points a hidden frame at its URL and posts chunks as they arrive,
+// so the file goes straight to the browser's downloads instead of into memory.
+//
+// The page only sends a chunk when the stream pulls for one, so a slow disk or a
+// paused download holds the page back instead of piling the file up here.
+const DOWNLOAD_STREAM_PATH = '/download-stream/';
+const STREAM_QUEUE_BYTES = 4 * 1024 * 1024;
+
+const streams = new Map(); // Map<id, { stream, name, size, mimeType }>
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+    // Pages post `keep-alive` while a download is open; receiving it is enough
+    // to stop the browser from shutting the worker down mid-stream
+    if (!event.data || event.data.type !== 'download-stream' || !event.ports[0]) {
+        return;
+    }
+
+    const port = event.ports[0];
+    const { id, name, size, mimeType } = event.data;
+    let chunkArrived = null; // Settles the pull waiting for the page's next chunk
+    const stream = new ReadableStream({
+        start(controller) {
+            port.onmessage = ({ data }) => {
+                if (data.type === 'chunk') {
+                    controller.enqueue(new Uint8Array(data.data));
+                    if (chunkArrived) {
+                        chunkArrived();
+                        chunkArrived = null;
+                    }
+                } else if (data.type === 'end') {
+                    controller.close();
+                    port.close();
+                } else if (data.type === 'abort') {
+                    controller.error(new Error('Transfer aborted'));
+                    streams.delete(id);
+                    port.close();
+                }
+            };
+        },
+        // Called while the queue is below STREAM_QUEUE_BYTES; each pull lets the
+        // page send one chunk
+        pull() {
+            return new Promise((resolve) => {
+                chunkArrived = resolve;
+                port.postMessage({ type: 'pull' });
+            });
+        },
+        cancel() {
+            // The user cancelled the download
+            streams.delete(id);
+            port.postMessage({ type: 'cancelled' });
+        }
+    }, new ByteLengthQueuingStrategy({ highWaterMark: STREAM_QUEUE_BYTES }));
+
+    streams.set(id, { stream, name, size, mimeType });
+    port.postMessage({ type: 'ready' });
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (url.origin !== self.location.origin || !url.pathname.startsWith(DOWNLOAD_STREAM_PATH)) {
+        return;
+    }
+
+    // Each stream can only be read once
+    const id = url.pathname.slice(DOWNLOAD_STREAM_PATH.length);
+    const download = streams.get(id);
+    streams.delete(id);
+
+    if (!download) {
+        event.respondWith(new Response('Download not found', { status: 404 }));
+        return;
+    }
+
+    event.respondWith(new Response(download.stream, {
+        headers: {
+            'Content-Type': download.mimeType || 'application/octet-stream',
+            'Content-Length': String(download.size),
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.name)}`,
+            'X-Content-Type-Options': 'nosniff'
+        }
+    }));
+});
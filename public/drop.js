@@ -0,0 +1,351 @@
+// Drop-off: files are encrypted here with AES-GCM before upload. The key only
+// ever lives in the download link's URL fragment, which browsers never send
+// to the server. Files are sealed in 1 MiB records, each with its own IV
+// (the record index), so a download can be decrypted as it streams in.
+const RECORD_SIZE = 1024 * 1024;
+const TAG_BYTES = 16;
+const METADATA_RECORD_INDEX = 0xffffffff;
+const EXPIRY_CHOICES = [
+    { label: '1 hour', ms: 60 * 60 * 1000 },
+    { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+    { label: '3 days', ms: 3 * 24 * 60 * 60 * 1000 },
+    { label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 }
+];
+// Revoking a blob URL straight after clicking it can cancel the download in
+// Firefox, so the decrypted file stays reachable for a while
+const SAVED_BLOB_URL_TTL_MS = 60 * 1000;
+
+let dropConfig = null;
+let dropInfo = null;
+
+// DOM elements
+const uploadView = document.getElementById('drop-upload-view');
+const downloadView = document.getElementById('drop-download-view');
+const dropZone = document.getElementById('drop-zone');
+const fileInput = document.getElementById('drop-file-input');
+const limitHint = document.getElementById('drop-limit-hint');
+const expirySelect = document.getElementById('drop-expiry');
+const maxDownloadsInput = document.getElementById('drop-max-downloads');
+const passphraseInput = document.getElementById('drop-passphrase');
+const shareSection = document.getElementById('drop-share');
+const linkInput = document.getElementById('drop-link');
+const copyBtn = document.getElementById('drop-copy-btn');
+const shareHint = document.getElementById('drop-share-hint');
+const fileNameLabel = document.getElementById('drop-file-name');
+const fileDetails = document.getElementById('drop-file-details');
+const downloadSecretSection = document.getElementById('drop-download-secret');
+const downloadPassphraseInput = document.getElementById('drop-download-passphrase');
+const downloadBtn = document.getElementById('drop-download-btn');
+const progressFill = document.getElementById('drop-progress-fill');
+const progressPercent = document.getElementById('drop-progress-percent');
+const statusBar = document.getElementById('drop-status');
+const statusText = document.getElementById('drop-status-text');
+
+init().catch((error) => {
+    console.error('[Drop] Failed to initialize:', error);
+    showStatus(error.message, 'error');
+});
+
+async function init() {
+    const dropId = window.location.pathname.match(/^\/d\/([A-Za-z0-9_-]+)$/)?.[1];
+    if (dropId) {
+        await showDownload(dropId);
+        return;
+    }
+
+    const response = await fetch('/api/config', { cache: 'no-store' });
+    dropConfig = (await response.json()).drop;
+    if (!dropConfig?.enabled) {
+        showStatus('Drop-off is not enabled on this server', 'error');
+        return;
+    }
+
+    showUpload();
+}
+
+function showUpload() {
+    uploadView.classList.remove('hidden');
+    limitHint.textContent = `Up to ${formatFileSize(dropConfig.maxFileSizeBytes)}. The link works until it expires or runs out of downloads.`;
+    maxDownloadsInput.max = dropConfig.maxDownloads;
+
+    EXPIRY_CHOICES
+        .filter((choice) => choice.ms <= dropConfig.maxTtlMs)
+        .forEach((choice) => {
+            const option = document.createElement('option');
+            option.value = choice.ms;
+            option.textContent = choice.label;
+            option.selected = choice.ms === dropConfig.defaultTtlMs;
+            expirySelect.appendChild(option);
+        });
+
+    dropZone.addEventListener('click', () => fileInput.click());
+    dropZone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+    dropZone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        dropZone.classList.remove('dragover');
+        if (event.dataTransfer.files[0]) {
+            uploadFile(event.dataTransfer.files[0]);
+        }
+    });
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) {
+            uploadFile(fileInput.files[0]);
+        }
+    });
+    copyBtn.addEventListener('click', async () => {
+        await navigator.clipboard.writeText(linkInput.value);
+        copyBtn.textContent = 'Copied!';
+        setTimeout(() => {
+            copyBtn.textContent = 'Copy';
+        }, 2000);
+    });
+}
+
+async function uploadFile(file) {
+    if (file.size === 0) {
+        showStatus('Empty files cannot be dropped off', 'error');
+        return;
+    }
+
+    if (getEncryptedSize(file.size) > dropConfig.maxFileSizeBytes) {
+        showStatus(`Drop-off supports files up to ${formatFileSize(dropConfig.maxFileSizeBytes)}`, 'error');
+        return;
+    }
+
+    try {
+        dropZone.classList.add('hidden');
+        showStatus('Encrypting...', 'connecting');
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const metadata = await sealRecord(key, METADATA_RECORD_INDEX, new TextEncoder().encode(JSON.stringify({
+            name: file.name,
+            type: file.type,
+            size: file.size
+        })));
+        const body = await encryptFile(file, key);
+
+        showStatus('Uploading...', 'connecting');
+        const query = new URLSearchParams({
+            expiresIn: expirySelect.value,
+            maxDownloads: maxDownloadsInput.value
+        });
+        const drop = await sendUpload(`/api/drops?${query}`, body, {
+            'Content-Type': 'application/octet-stream',
+            'X-Drop-Metadata': toBase64Url(metadata),
+            ...(passphraseInput.value ? { 'X-Drop-Passphrase': encodeURIComponent(passphraseInput.value) } : {})
+        });
+
+        const rawKey = await crypto.subtle.exportKey('raw', key);
+        linkInput.value = `${drop.downloadUrl}#${toBase64Url(rawKey)}`;
+        shareHint.textContent = `Expires ${new Date(drop.expiresAt).toLocaleString()} • ${drop.downloadsRemaining} download${drop.downloadsRemaining === 1 ? '' : 's'}`
+            + (drop.protected ? ' • Passphrase required' : '');
+        shareSection.classList.remove('hidden');
+        showStatus('File dropped off. Share the link below.', 'connected');
+    } catch (error) {
+        console.error('[Drop] Upload failed:', error);
+        dropZone.classList.remove('hidden');
+        showStatus(`Upload failed: ${error.message}`, 'error');
+    }
+}
+
+// XHR rather than fetch, for upload progress
+function sendUpload(url, body, headers) {
+    return new Promise((resolve, reject) => {
+        const request = new XMLHttpRequest();
+        request.open('POST', url);
+        Object.entries(headers).forEach(([name, value]) => request.setRequestHeader(name, value));
+        request.upload.onprogress = (event) => updateProgress(event.loaded, event.total);
+        request.onload = () => {
+            const data = JSON.parse(request.responseText || '{}');
+            if (request.status === 201) {
+                resolve(data);
+            } else {
+                reject(new Error(data.error || `Request failed with ${request.status}`));
+            }
+        };
+        request.onerror = () => reject(new Error('Network error'));
+        request.send(body);
+    });
+}
+
+async function showDownload(dropId) {
+    downloadView.classList.remove('hidden');
+    const keyText = window.location.hash.slice(1);
+    if (!keyText) {
+        showStatus('This link is missing its decryption key', 'error');
+        downloadBtn.disabled = true;
+        return;
+    }
+
+    const response = await fetch(`/api/drops/${dropId}`, { cache: 'no-store' });
+    const data = await response.json();
+    if (!response.ok) {
+        showStatus(data.error, 'error');
+        downloadBtn.disabled = true;
+        return;
+    }
+
+    const key = await crypto.subtle.importKey('raw', fromBase64Url(keyText), { name: 'AES-GCM' }, false, ['decrypt']);
+    let metadata;
+    try {
+        metadata = JSON.parse(new TextDecoder().decode(await openRecord(key, METADATA_RECORD_INDEX, fromBase64Url(data.metadata))));
+    } catch (error) {
+        showStatus('The decryption key in this link is wrong', 'error');
+        downloadBtn.disabled = true;
+        return;
+    }
+
+    dropInfo = { id: dropId, key, metadata, ...data };
+    fileNameLabel.textContent = metadata.name;
+    fileDetails.textContent = `${formatFileSize(metadata.size)} • Expires ${new Date(data.expiresAt).toLocaleString()} • `
+        + `${data.downloadsRemaining} download${data.downloadsRemaining === 1 ? '' : 's'} left`;
+    downloadSecretSection.classList.toggle('hidden', !data.protected);
+    downloadBtn.addEventListener('click', downloadFile);
+}
+
+async function downloadFile() {
+    downloadBtn.disabled = true;
+    try {
+        showStatus('Downloading...', 'connecting');
+        const response = await fetch(`/api/drops/${dropInfo.id}/content`, {
+            cache: 'no-store',
+            headers: dropInfo.protected
+                ? { 'X-Drop-Passphrase': encodeURIComponent(downloadPassphraseInput.value) }
+                : {}
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `Request failed with ${response.status}`);
+        }
+
+        const parts = await decryptStream(response.body, dropInfo.key, dropInfo.size);
+        const blob = new Blob(parts, { type: dropInfo.metadata.type || 'application/octet-stream' });
+        if (blob.size !== dropInfo.metadata.size) {
+            throw new Error('The download was incomplete');
+        }
+
+        saveBlob(blob, dropInfo.metadata.name);
+        showStatus(`Downloaded ${dropInfo.metadata.name}`, 'connected');
+    } catch (error) {
+        console.error('[Drop] Download failed:', error);
+        showStatus(`Download failed: ${error.message}`, 'error');
+        downloadBtn.disabled = false;
+    }
+}
+
+async function encryptFile(file, key) {
+    const records = [];
+    for (let offset = 0, index = 0; offset < file.size; offset += RECORD_SIZE, index += 1) {
+        const plaintext = await file.slice(offset, offset + RECORD_SIZE).arrayBuffer();
+        records.push(await sealRecord(key, index, plaintext));
+        updateProgress(Math.min(offset + RECORD_SIZE, file.size), file.size);
+    }
+
+    return new Blob(records);
+}
+
+// Decrypts records as the response streams in
+async function decryptStream(stream, key, totalBytes) {
+    const reader = stream.getReader();
+    const parts = [];
+    let pending = new Uint8Array(0);
+    let received = 0;
+    let index = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (value) {
+            received += value.byteLength;
+            updateProgress(received, totalBytes);
+            pending = concatBytes(pending, value);
+        }
+
+        while (pending.byteLength >= RECORD_SIZE + TAG_BYTES || (done && pending.byteLength > 0)) {
+            const recordLength = Math.min(pending.byteLength, RECORD_SIZE + TAG_BYTES);
+            parts.push(await openRecord(key, index, pending.subarray(0, recordLength)));
+            pending = pending.slice(recordLength);
+            index += 1;
+        }
+
+        if (done) {
+            return parts;
+        }
+    }
+}
+
+function sealRecord(key, index, plaintext) {
+    return crypto.subtle.encrypt({ name: 'AES-GCM', iv: getRecordIv(index) }, key, plaintext);
+}
+
+function openRecord(key, index, ciphertext) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: getRecordIv(index) }, key, ciphertext);
+}
+
+function getRecordIv(index) {
+    const iv = new Uint8Array(12);
+    new DataView(iv.buffer).setUint32(8, index);
+    return iv;
+}
+
+function getEncryptedSize(size) {
+    return size + Math.ceil(size / RECORD_SIZE) * TAG_BYTES;
+}
+
+function concatBytes(first, second) {
+    const combined = new Uint8Array(first.byteLength + second.byteLength);
+    combined.set(first, 0);
+    combined.set(second, first.byteLength);
+    return combined;
+}
+
+function toBase64Url(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    for (let index = 0; index < bytes.byteLength; index += 1) {
+        binary += String.fromCharCode(bytes[index]);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = new Uint8Array(binary.length);
+    for (let index = 0; index < binary.length; index += 1) {
+        bytes[index] = binary.charCodeAt(index);
+    }
+    return bytes;
+}
+
+function saveBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), SAVED_BLOB_URL_TTL_MS);
+}
+
+function updateProgress(loaded, total) {
+    const percent = total > 0 ? Math.min(Math.round((loaded / total) * 100), 100) : 0;
+    progressFill.style.width = `${percent}%`;
+    progressPercent.textContent = `${percent}%`;
+}
+
+function showStatus(text, status) {
+    statusBar.classList.remove('hidden');
+    statusBar.className = 'status-bar ' + status;
+    statusText.textContent = text;
+}
+
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+}
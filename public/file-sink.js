@@ -0,0 +1,389 @@
+// Received files are written out as chunks arrive instead of being held in
+// memory until the end. Where the File System Access API can write to the
+// origin private file system we stream into a file there and hand the finished
+// file to the browser's downloader; elsewhere a service worker turns the chunks
+// into a download stream. Browsers with neither assemble a Blob as before.
+//
+// Every sink takes positional writes, `write(offset, data)`, so chunks may
+// arrive out of order. `close()` fills any gaps with zeros up to the declared
+// size and resolves with the Blob when the file was assembled in memory.
+// The download stream can't seek, so chunks written past a gap wait in memory
+// there; callers write in order (webrtc.js reorders received chunks itself),
+// and a write that would hold more than STREAM_SINK_MAX_PENDING_BYTES fails.
+// Its writes also wait until the service worker's stream pulls for more, so
+// they resolve no faster than the download takes the file.
+
+const DOWNLOAD_WORKER_URL = '/download-sw.js';
+const DOWNLOAD_STREAM_PATH = '/download-stream/';
+const DOWNLOAD_WORKER_TIMEOUT_MS = 3000;
+const INCOMING_DIRECTORY = 'incoming';
+
+// Finished files stay in origin storage until the browser has copied them out
+const INCOMING_FILE_TTL_MS = 10 * 60 * 1000;
+
+// Leave some of the quota for everything else the page stores
+const STORAGE_HEADROOM_BYTES = 64 * 1024 * 1024;
+
+const SINK_PADDING_BYTES = 64 * 1024;
+const STREAM_SINK_MAX_PENDING_BYTES = 32 * 1024 * 1024;
+
+// Browsers stop idle service workers after about 30 seconds
+const DOWNLOAD_KEEP_ALIVE_MS = 10 * 1000;
+
+let downloadWorkerReady = null;
+
+function registerDownloadWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return Promise.resolve(null);
+    }
+
+    if (!downloadWorkerReady) {
+        downloadWorkerReady = navigator.serviceWorker.register(DOWNLOAD_WORKER_URL)
+            .then(() => navigator.serviceWorker.ready)
+            .then((registration) => registration.active)
+            .catch((error) => {
+                console.warn('[FileSink] Download worker unavailable:', error.message || error);
+                return null;
+            });
+    }
+
+    return downloadWorkerReady;
+}
+
+function getDownloadWorker() {
+    // `ready` never settles while the first install is still running
+    const timeout = new Promise((resolve) => setTimeout(() => resolve(null), DOWNLOAD_WORKER_TIMEOUT_MS));
+    return Promise.race([registerDownloadWorker(), timeout]);
+}
+
+function supportsOriginFiles() {
+    return Boolean(navigator.storage && navigator.storage.getDirectory)
+        && typeof FileSystemFileHandle !== 'undefined'
+        && 'createWritable' in FileSystemFileHandle.prototype;
+}
+
+// Resolves with the bytes we can use, or null when the browser won't say
+async function estimateFreeSpace() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+        return null;
+    }
+
+    try {
+        const { quota, usage } = await navigator.storage.estimate();
+        if (typeof quota !== 'number') {
+            return null;
+        }
+
+        return quota - (usage || 0) - STORAGE_HEADROOM_BYTES;
+    } catch (error) {
+        console.warn('[FileSink] Could not estimate free space:', error.message || error);
+        return null;
+    }
+}
+
+function triggerDownload(blob, fileName, revokeAfterMs = 0) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link); // Required for some browsers
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), revokeAfterMs);
+}
+
+// `file` is { name, size, type }. Rejects with code 'insufficient-storage' when
+// the device doesn't have room for it.
+async function createFileSink(file) {
+    const freeBytes = await estimateFreeSpace();
+    const fits = (bytes) => freeBytes === null || freeBytes >= bytes;
+    if (!fits(file.size)) {
+        const error = new Error(`Not enough free space to receive ${file.name}`);
+        error.code = 'insufficient-storage';
+        throw error;
+    }
+
+    // A finished origin file is copied out to the downloads folder and kept
+    // for a while, so that route needs room for the file twice
+    if (supportsOriginFiles() && fits(2 * file.size)) {
+        try {
+            return await OriginFileSink.open(file);
+        } catch (error) {
+            console.warn('[FileSink] Origin file system unavailable:', error.message || error);
+        }
+    }
+
+    const worker = await getDownloadWorker();
+    if (worker) {
+        try {
+            return await StreamDownloadSink.open(file, worker);
+        } catch (error) {
+            console.warn('[FileSink] Download stream unavailable:', error.message || error);
+        }
+    }
+
+    console.warn(`[FileSink] Buffering ${file.name} in memory`);
+    return new MemoryFileSink(file);
+}
+
+// Removes files a previous page left behind once their download had time to finish.
+async function pruneIncomingFiles() {
+    if (!supportsOriginFiles()) {
+        return;
+    }
+
+    try {
+        const root = await navigator.storage.getDirectory();
+        const directory = await root.getDirectoryHandle(INCOMING_DIRECTORY, { create: true });
+        const cutoff = Date.now() - INCOMING_FILE_TTL_MS;
+        for await (const name of directory.keys()) {
+            if (Number(name.split('-')[0]) < cutoff) {
+                // Fails for a file another tab is still writing, which is what we want
+                await directory.removeEntry(name).catch(() => {});
+            }
+        }
+    } catch (error) {
+        console.warn('[FileSink] Could not prune incoming files:', error.message || error);
+    }
+}
+
+class OriginFileSink {
+    constructor(file, directory, entryName, handle, writable) {
+        this.file = file;
+        this.directory = directory;
+        this.entryName = entryName;
+        this.handle = handle;
+        this.writable = writable;
+    }
+
+    static async open(file) {
+        const root = await navigator.storage.getDirectory();
+        const directory = await root.getDirectoryHandle(INCOMING_DIRECTORY, { create: true });
+        const entryName = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        const handle = await directory.getFileHandle(entryName, { create: true });
+        const writable = await handle.createWritable();
+        console.log(`[FileSink] Writing ${file.name} to the origin file system`);
+        return new OriginFileSink(file, directory, entryName, handle, writable);
+    }
+
+    write(offset, data) {
+        return this.writable.write({ type: 'write', position: offset, data });
+    }
+
+    async close() {
+        // Truncating up to the declared size zero-fills anything we never got
+        await this.writable.truncate(this.file.size);
+        await this.writable.close();
+
+        const stored = await this.handle.getFile();
+        triggerDownload(new File([stored], this.file.name, { type: this.file.type || '' }), this.file.name, INCOMING_FILE_TTL_MS);
+        setTimeout(() => this.removeEntry(), INCOMING_FILE_TTL_MS);
+        return null;
+    }
+
+    async abort() {
+        await this.writable.abort().catch(() => {});
+        await this.removeEntry();
+    }
+
+    removeEntry() {
+        return this.directory.removeEntry(this.entryName).catch((error) => {
+            console.warn(`[FileSink] Could not remove ${this.entryName}:`, error.message || error);
+        });
+    }
+}
+
+// The download is a single stream, so chunks wait here until the gap before them
+// fills, up to STREAM_SINK_MAX_PENDING_BYTES. Each `pull` from the worker lets
+// one chunk through.
+class StreamDownloadSink {
+    constructor(file, port, frame, worker) {
+        this.file = file;
+        this.port = port;
+        this.frame = frame;
+        this.position = 0;
+        this.pending = new Map(); // Map<offset, ArrayBuffer>
+        this.pendingBytes = 0;
+        this.pulls = 0;
+        this.wakeWriter = null;
+        this.cancelled = false;
+
+        this.port.onmessage = (event) => {
+            const type = event.data && event.data.type;
+            if (type === 'pull') {
+                this.pulls++;
+            } else if (type === 'cancelled') {
+                this.cancelled = true;
+            } else {
+                return;
+            }
+
+            if (this.wakeWriter) {
+                this.wakeWriter();
+                this.wakeWriter = null;
+            }
+        };
+
+        this.keepAliveTimer = setInterval(() => {
+            worker.postMessage({ type: 'keep-alive' });
+        }, DOWNLOAD_KEEP_ALIVE_MS);
+    }
+
+    static open(file, worker) {
+        const channel = new MessageChannel();
+        const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+
+        return new Promise((resolve, reject) => {
+            channel.port1.onmessage = (event) => {
+                if (!event.data || event.data.type !== 'ready') {
+                    reject(new Error('Download worker refused the stream'));
+                    return;
+                }
+
+                const frame = document.createElement('iframe');
+                frame.hidden = true;
+                frame.src = DOWNLOAD_STREAM_PATH + id;
+                document.body.appendChild(frame);
+                console.log(`[FileSink] Streaming ${file.name} to the browser's downloads`);
+                resolve(new StreamDownloadSink(file, channel.port1, frame, worker));
+            };
+
+            worker.postMessage({
+                type: 'download-stream',
+                id,
+                name: file.name,
+                size: file.size,
+                mimeType: file.type
+            }, [channel.port2]);
+        });
+    }
+
+    async write(offset, data) {
+        if (this.cancelled) {
+            throw new Error('The download was cancelled');
+        }
+
+        if (offset < this.position) {
+            return;
+        }
+
+        if (offset > this.position) {
+            if (this.pendingBytes + data.byteLength > STREAM_SINK_MAX_PENDING_BYTES) {
+                throw new Error('Too much of the file arrived out of order to stream it to disk');
+            }
+
+            const replaced = this.pending.get(offset);
+            this.pending.set(offset, data);
+            this.pendingBytes += data.byteLength - (replaced ? replaced.byteLength : 0);
+            return;
+        }
+
+        await this.push(data);
+        while (this.pending.has(this.position)) {
+            const chunk = this.pending.get(this.position);
+            this.pending.delete(this.position);
+            this.pendingBytes -= chunk.byteLength;
+            await this.push(chunk);
+        }
+    }
+
+    async push(chunk) {
+        while (this.pulls === 0) {
+            if (this.cancelled) {
+                throw new Error('The download was cancelled');
+            }
+
+            await new Promise((resolve) => {
+                this.wakeWriter = resolve;
+            });
+        }
+
+        this.pulls--;
+        this.position += chunk.byteLength;
+        this.port.postMessage({ type: 'chunk', data: chunk }, [chunk]);
+    }
+
+    async pad(until) {
+        while (this.position < until) {
+            await this.push(new ArrayBuffer(Math.min(until - this.position, SINK_PADDING_BYTES)));
+        }
+    }
+
+    async close() {
+        if (this.cancelled) {
+            throw new Error('The download was cancelled');
+        }
+
+        const offsets = Array.from(this.pending.keys()).sort((a, b) => a - b);
+        for (const offset of offsets) {
+            await this.pad(offset);
+            await this.push(this.pending.get(offset));
+        }
+        this.pending.clear();
+        this.pendingBytes = 0;
+        await this.pad(this.file.size);
+
+        this.port.postMessage({ type: 'end' });
+        // Removing the frame right away can cancel the download in some browsers,
+        // and the worker still has the end of the file queued
+        setTimeout(() => {
+            clearInterval(this.keepAliveTimer);
+            this.frame.remove();
+        }, INCOMING_FILE_TTL_MS);
+        return null;
+    }
+
+    async abort() {
+        this.pending.clear();
+        this.pendingBytes = 0;
+        this.cancelled = true;
+        if (this.wakeWriter) {
+            this.wakeWriter();
+            this.wakeWriter = null;
+        }
+        clearInterval(this.keepAliveTimer);
+        this.port.postMessage({ type: 'abort' });
+        this.frame.remove();
+    }
+}
+
+class MemoryFileSink {
+    constructor(file) {
+        this.file = file;
+        this.chunks = new Map(); // Map<offset, ArrayBuffer>
+    }
+
+    async write(offset, data) {
+        this.chunks.set(offset, data);
+    }
+
+    async close() {
+        const parts = [];
+        let position = 0;
+        Array.from(this.chunks.keys())
+            .sort((a, b) => a - b)
+            .forEach((offset) => {
+                if (offset < position) {
+                    return;
+                }
+                if (offset > position) {
+                    parts.push(new ArrayBuffer(offset - position));
+                }
+                const chunk = this.chunks.get(offset);
+                parts.push(chunk);
+                position = offset + chunk.byteLength;
+            });
+        if (position < this.file.size) {
+            parts.push(new ArrayBuffer(this.file.size - position));
+        }
+
+        const blob = new Blob(parts, { type: this.file.type || 'application/octet-stream' });
+        this.chunks.clear();
+        triggerDownload(blob, this.file.name);
+        return blob;
+    }
+
+    async abort() {
+        this.chunks.clear();
+    }
+}
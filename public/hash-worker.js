@@ -0,0 +1,115 @@
+// Hashes a file while it streams. Every `update` adds the bytes at `offset` to
+// a running SHA-256 of the whole file, and when the message carries a chunk
+// `index` the chunk's own SHA-256 is posted back; `chunk` only does the latter.
+// WebCrypto can't hash incrementally, so the running hash uses the plain JS
+// SHA-256 from sha256.js.
+//
+// Bytes before the running position are skipped (a resumed relay transfer sends
+// some twice); bytes past it wait until the gap before them is filled. Callers
+// send data in order, so that wait is short; past MAX_PENDING_BYTES the file
+// hash is given up on rather than held in memory.
+
+importScripts('sha256.js');
+
+async function hashChunk(bytes) {
+    // WebCrypto is faster where it exists; it's missing outside secure contexts
+    if (self.crypto && self.crypto.subtle) {
+        const digest = await self.crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    const hash = new Sha256();
+    hash.update(bytes);
+    return hash.digest();
+}
+
+// Out-of-order bytes kept beyond this give up on the file hash instead
+const MAX_PENDING_BYTES = 64 * 1024 * 1024;
+
+const fileHash = new Sha256();
+const pending = new Map(); // Map<offset, Uint8Array> waiting for the bytes before them
+let pendingBytes = 0;
+let position = 0;
+let overflowed = false;
+
+function addToFileHash(offset, bytes) {
+    if (overflowed) {
+        return;
+    }
+
+    if (offset > position) {
+        if (pendingBytes + bytes.length > MAX_PENDING_BYTES) {
+            overflowed = true;
+            pending.clear();
+            pendingBytes = 0;
+            return;
+        }
+
+        pending.set(offset, bytes);
+        pendingBytes += bytes.length;
+        return;
+    }
+
+    hashFrom(offset, bytes);
+    for (let entry = takeReachedEntry(); entry; entry = takeReachedEntry()) {
+        hashFrom(entry[0], entry[1]);
+    }
+}
+
+function hashFrom(offset, bytes) {
+    if (offset + bytes.length > position) {
+        fileHash.update(bytes.subarray(position - offset));
+        position = offset + bytes.length;
+    }
+}
+
+// Any waiting entry the running position has reached, whatever order it came in
+function takeReachedEntry() {
+    for (const entry of pending) {
+        if (entry[0] <= position) {
+            pending.delete(entry[0]);
+            pendingBytes -= entry[1].length;
+            return entry;
+        }
+    }
+
+    return null;
+}
+
+// Messages are handled one at a time so chunk hashes are posted in order and
+// before the digest.
+let queue = Promise.resolve();
+
+self.onmessage = (event) => {
+    queue = queue.then(() => handleMessage(event.data)).catch((error) => {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    });
+};
+
+async function handleMessage(message) {
+    if (message.type === 'update') {
+        const bytes = new Uint8Array(message.data);
+        addToFileHash(message.offset, bytes);
+        if (typeof message.index === 'number') {
+            self.postMessage({ type: 'chunk-hash', index: message.index, hash: await hashChunk(bytes) });
+        }
+        return;
+    }
+
+    if (message.type === 'chunk') {
+        self.postMessage({ type: 'chunk-hash', index: message.index, hash: await hashChunk(new Uint8Array(message.data)) });
+        return;
+    }
+
+    // Everything posted before this has been handled
+    if (message.type === 'flush') {
+        self.postMessage({ type: 'flushed' });
+        return;
+    }
+
+    if (message.type === 'digest') {
+        // A gap means we never saw the whole file in order
+        const complete = pending.size === 0 && !overflowed;
+        self.postMessage({ type: 'digest', checksum: complete ? fileHash.digest() : null });
+    }
+}
@@ -0,0 +1,75 @@
+// Proof-of-work solver for room creation. Finds a nonce such that
+// SHA-256("<prefix>:<nonce>") starts with `difficulty` zero bits.
+//
+// Hashes synchronously with the plain JS SHA-256: WebCrypto is missing on
+// plain-HTTP deployments, and awaiting it once per nonce is far slower.
+importScripts('sha256.js');
+
+const encoder = new TextEncoder();
+
+// Nonces tried before yielding to the event loop
+const POW_BATCH_SIZE = 100000;
+
+self.onmessage = (event) => {
+    const { prefix, difficulty } = event.data;
+    const prefixBytes = encoder.encode(`${prefix}:`);
+    const hash = new Sha256();
+    let counter = 0;
+
+    // Server prefixes are short enough that each message fits in one padded
+    // block, so a nonce costs a single compression
+    const singleBlock = prefixBytes.length + 12 <= 55;
+    const block = new Uint8Array(64);
+    const view = new DataView(block.buffer);
+    if (singleBlock) {
+        block.set(prefixBytes);
+    }
+
+    const tryNonce = (nonce) => {
+        hash.reset();
+        if (!singleBlock) {
+            hash.update(prefixBytes);
+            hash.update(encoder.encode(nonce));
+            return hash.finish();
+        }
+
+        const length = prefixBytes.length + nonce.length;
+        for (let i = 0; i < nonce.length; i++) {
+            block[prefixBytes.length + i] = nonce.charCodeAt(i);
+        }
+        block[length] = 0x80;
+        block.fill(0, length + 1, 60);
+        view.setUint32(60, length * 8);
+        hash.compress(block, 0);
+        return hash.state;
+    };
+
+    const searchBatch = () => {
+        for (const end = counter + POW_BATCH_SIZE; counter < end; counter += 1) {
+            const nonce = counter.toString(36);
+            if (countLeadingZeroBits(tryNonce(nonce)) >= difficulty) {
+                self.postMessage({ nonce });
+                return;
+            }
+        }
+
+        setTimeout(searchBatch, 0);
+    };
+
+    searchBatch();
+};
+
+// `words` are the digest as big-endian 32-bit words
+function countLeadingZeroBits(words) {
+    let bits = 0;
+    for (const word of words) {
+        if (word === 0) {
+            bits += 32;
+            continue;
+        }
+
+        return bits + Math.clz32(word);
+    }
+
+    return bits;
+}
@@ -0,0 +1,162 @@
+// Remembers the chunks a receiver has of each file in IndexedDB, so a transfer
+// cut off by a dropped connection or a page reload can pick up where it
+// stopped. Files are keyed by name, size and modification time; chunks are only
+// stored once their hash has checked out, and stop being stored when the
+// browser runs out of quota.
+//
+// `transfers` holds one record per file, `chunks` holds the data under
+// [file key, chunk index], so the stored indices are just the keys.
+
+const TRANSFER_DB_NAME = 'bhejo-transfers';
+const TRANSFER_DB_VERSION = 1;
+
+// Partial files nobody came back for are dropped after this long
+const RESUMABLE_TRANSFER_TTL_MS = 24 * 60 * 60 * 1000;
+
+let transferDbReady = null;
+
+function openTransferDb() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+
+    if (!transferDbReady) {
+        transferDbReady = new Promise((resolve, reject) => {
+            const request = indexedDB.open(TRANSFER_DB_NAME, TRANSFER_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('transfers', { keyPath: 'key' });
+                db.createObjectStore('chunks');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch((error) => {
+            console.warn('[TransferStore] IndexedDB unavailable:', error && error.message ? error.message : error);
+            return null;
+        });
+    }
+
+    return transferDbReady;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function idbTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+function chunkKeyRange(key) {
+    return IDBKeyRange.bound([key, 0], [key, Infinity]);
+}
+
+// `file` is { name, size, lastModified }
+function resumableFileKey(file) {
+    return `${file.name}:${file.size}:${file.lastModified || 0}`;
+}
+
+class ResumableTransfer {
+    constructor(db, key, chunks) {
+        this.db = db;
+        this.key = key;
+        this.chunks = chunks; // Set<chunkIndex> stored by an earlier attempt
+        this.disabled = false;
+    }
+
+    // Resolves with null when IndexedDB can't be used
+    static async open(file) {
+        const db = await openTransferDb();
+        if (!db) {
+            return null;
+        }
+
+        const key = resumableFileKey(file);
+        const transaction = db.transaction(['transfers', 'chunks'], 'readwrite');
+        const done = idbTransaction(transaction);
+        transaction.objectStore('transfers').put({
+            key,
+            name: file.name,
+            size: file.size,
+            lastModified: file.lastModified || 0,
+            updatedAt: Date.now()
+        });
+        const stored = await idbRequest(transaction.objectStore('chunks').getAllKeys(chunkKeyRange(key)));
+        await done;
+
+        return new ResumableTransfer(db, key, new Set(stored.map((chunkKey) => chunkKey[1])));
+    }
+
+    // IndexedDB copies `data` before this returns, so the caller can hand the
+    // buffer on right away
+    saveChunk(index, data) {
+        if (this.disabled) {
+            return;
+        }
+
+        try {
+            const transaction = this.db.transaction('chunks', 'readwrite');
+            transaction.objectStore('chunks').put(data, [this.key, index]);
+            idbTransaction(transaction).catch((error) => this.disable(error));
+        } catch (error) {
+            this.disable(error);
+        }
+    }
+
+    async readChunk(index) {
+        const transaction = this.db.transaction('chunks', 'readonly');
+        return idbRequest(transaction.objectStore('chunks').get([this.key, index]));
+    }
+
+    disable(error) {
+        if (this.disabled) {
+            return;
+        }
+
+        // Usually the quota; what's stored so far stays usable
+        this.disabled = true;
+        console.warn(`[TransferStore] No longer storing chunks for ${this.key}:`, error && error.message ? error.message : error);
+    }
+
+    remove() {
+        this.disabled = true;
+        return removeResumableTransfer(this.db, this.key).catch((error) => {
+            console.warn(`[TransferStore] Could not remove ${this.key}:`, error.message || error);
+        });
+    }
+}
+
+function removeResumableTransfer(db, key) {
+    const transaction = db.transaction(['transfers', 'chunks'], 'readwrite');
+    transaction.objectStore('transfers').delete(key);
+    transaction.objectStore('chunks').delete(chunkKeyRange(key));
+    return idbTransaction(transaction);
+}
+
+// Drops partial files from transfers that were never resumed
+async function pruneResumableTransfers() {
+    try {
+        const db = await openTransferDb();
+        if (!db) {
+            return;
+        }
+
+        const transaction = db.transaction('transfers', 'readonly');
+        const records = await idbRequest(transaction.objectStore('transfers').getAll());
+        const cutoff = Date.now() - RESUMABLE_TRANSFER_TTL_MS;
+        for (const record of records) {
+            if (record.updatedAt < cutoff) {
+                await removeResumableTransfer(db, record.key);
+            }
+        }
+    } catch (error) {
+        console.warn('[TransferStore] Could not prune stored transfers:', error.message || error);
+    }
+}
@@ -15,12 +15,81 @@ const DEFAULT_RTC_CONFIG = {
 // Chunk size for file transfer (64KB)
 const CHUNK_SIZE = 64 * 1024;
 
+// Peer-to-peer chunk frames. The original format is
+// [0x01][index:4][totalChunks:4][length:4][chunk]; peers that announce
+// `multiplex` use [0x02][file ID:4][index:4][chunk], so several files can be
+// in flight at once. Fields are little-endian.
+const CHUNK_FRAME = 0x01;
+const CHUNK_FRAME_V2 = 0x02;
+const CHUNK_FRAME_HEADER_BYTES = 13;
+const CHUNK_FRAME_V2_HEADER_BYTES = 9;
+
+// Files a multiplexing peer is sent at once, and how many ordered data
+// channels besides the first they're spread over (0 keeps them on one)
+const MAX_CONCURRENT_FILES = 4;
+const EXTRA_FILE_CHANNELS = 3;
+const FILE_CHANNEL_LABEL = 'fileTransfer';
+
+// Chunk hashes travel in `chunk-hashes` messages of this many
+const CHUNK_HASH_BATCH_SIZE = 64;
+
+// What we announce in the data channel `hello`. Peers that predate it never
+// answer, so after HELLO_TIMEOUT_MS we assume they support none of it.
+const PROTOCOL_FEATURES = ['chunk-nack', 'resume', 'multiplex'];
+const HELLO_TIMEOUT_MS = 2000;
+
+// How long a sender waits for a resuming receiver to say which chunks it needs
+const FILE_ACCEPT_TIMEOUT_MS = 10 * 1000;
+
+// A chunk that is missing or fails its hash check is asked for again at most
+// this many times before the file fails
+const MAX_CHUNK_RETRIES = 3;
+// How long the receiver waits for chunks it asked for before asking again
+const RETRANSMIT_TIMEOUT_MS = 15 * 1000;
+// Bad chunks found mid-transfer are asked for together after this delay
+const CHUNK_NACK_DELAY_MS = 50;
+// Ranges per `chunk-nack` message, which keeps it well under the SCTP message limit
+const CHUNK_NACK_MAX_RANGES = 1000;
+// How long the sender waits for the receiver to confirm a file
+const FILE_CONFIRM_TIMEOUT_MS = 60 * 1000;
+// Chunks are written (and hashed) in order; checked chunks past a missing one
+// wait in memory up to this much, and later ones are asked for again
+const MAX_REORDER_BYTES = 256 * CHUNK_SIZE;
+// Chunks handed to the sink that it hasn't written yet. A download that stalls
+// (such as one the user paused) fails the file once this much piles up, since
+// the sender has no way to be told to slow down.
+const MAX_UNWRITTEN_BYTES = 1024 * CHUNK_SIZE;
+
+// Binary relay frames: [type:1][peer ID:8][chunk], or [type:1][peer ID:8][offset:8][chunk]
+// for resumable transfers. We send the target's peer ID and receive the sender's.
+const RELAY_FRAME_CHUNK = 0x01;
+const RELAY_FRAME_OFFSET_CHUNK = 0x02;
+const RELAY_FRAME_HEADER_BYTES = 9;
+const RELAY_FRAME_OFFSET_HEADER_BYTES = 17;
+
+// Give up on a proof-of-work challenge the worker can't solve in time
+const POW_SOLVE_TIMEOUT_MS = 60 * 1000;
+
+// Signaling reconnects back off 1s, 2s, 4s, 8s... which spans the server's 30s grace period
+const MAX_RECONNECT_ATTEMPTS = 6;
+
 class WebRTCManager {
-    constructor(rtcConfig = {}) {
+    constructor(rtcConfig = {}, iceCredentialsExpiresAt = null) {
         this.ws = null;
-        this.peerConnection = null;
-        this.dataChannel = null;
         this.roomId = null;
+        this.peerId = null; // Our own peer ID, assigned by the server
+        this.senderPeerId = null; // Receivers: the peer ID of the room's sender
+        this.isAdmitted = false; // Receivers: whether the sender has let us in
+        this.expiresAt = null; // When the server will close the room (epoch ms)
+        this.canExtend = false; // Whether the room can still be extended
+        this.signalingUrl = null;
+        this.reconnectToken = null; // Lets us reclaim our room slot after a dropped connection
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.intentionalClose = false;
+        this.powChallenge = null; // Proof-of-work the server wants before we create a room
+        this.iceCredentialsExpiresAt = iceCredentialsExpiresAt; // When minted TURN credentials lapse (epoch ms)
+        this.iceRefreshTimer = null;
         this.role = null; // 'sender' or 'receiver'
         this.isConnected = false;
         this.rtcConfig = {
@@ -31,28 +100,27 @@ class WebRTCManager {
                 : DEFAULT_RTC_CONFIG.iceServers
         };
         
-        // Pending messages (in case peer connection isn't ready yet)
-        this.pendingOffer = null;
-        this.pendingAnswer = null;
-        this.pendingIceCandidates = [];
+        // One session per remote peer. The sender holds one per receiver,
+        // a receiver holds a single session with the sender.
+        this.peers = new Map(); // Map<peerId, peer session>
         
         // File transfer state
         this.fileQueue = [];
         this.currentFile = null;
         this.currentFileIndex = 0;
-        this.receivedChunks = [];
         this.receivedFiles = [];
         
-        // Chunk tracking for robustness
-        this.chunkMap = new Map(); // Map<chunkIndex, ArrayBuffer> for ordered storage
-        this.expectedChunkCount = 0;
-        this.receivedChunkIndices = new Set(); // Track which chunks we've received
-        this.chunkAckTimeout = null;
+        // Each incoming file tracks its own chunks, and their data goes
+        // straight to the file's sink (see file-sink.js). Files from older
+        // senders arrive one at a time as `currentFile`; multiplexing senders'
+        // files live in `peer.incomingFiles` by file ID.
         this.enableIntegrityCheck = true; // Enable checksum verification
         
-        // Statistics
+        // Statistics (receiving side - senders track stats per peer). They
+        // cover every file in flight and start over once none are.
         this.stats = {
             bytesTransferred: 0,
+            bytesExpected: 0,
             startTime: null,
             lastUpdate: null
         };
@@ -61,9 +129,11 @@ class WebRTCManager {
     connect(signalingUrl, retries = 3, delay = 1000) {
         return new Promise((resolve, reject) => {
             console.log(`Attempting to connect to WebSocket: ${signalingUrl}`);
+            this.signalingUrl = signalingUrl;
             
             try {
                 this.ws = new WebSocket(signalingUrl);
+                this.ws.binaryType = 'arraybuffer';
                 
                 const timeout = setTimeout(() => {
                     if (this.ws.readyState !== WebSocket.OPEN) {
@@ -107,6 +177,11 @@ class WebRTCManager {
                 };
                 
                 this.ws.onmessage = (event) => {
+                    if (event.data instanceof ArrayBuffer) {
+                        this.handleRelayFrame(event.data);
+                        return;
+                    }
+
                     try {
                         this.handleSignalingMessage(JSON.parse(event.data));
                     } catch (error) {
@@ -133,8 +208,12 @@ class WebRTCManager {
                     }
                     this.isConnected = false;
                     
-                    // If not a clean close and not a normal navigation, try to reconnect
-                    if (!event.wasClean && event.code !== 1000 && event.code !== 1001) {
+                    // Once in a room, reconnect and resume it unless we closed on purpose
+                    // or the server ended the session (4000+ close codes)
+                    if (this.reconnectToken && !this.intentionalClose && event.code < 4000) {
+                        this.scheduleReconnect();
+                    } else if (!event.wasClean && event.code !== 1000 && event.code !== 1001) {
+                        // If not a clean close and not a normal navigation, try to reconnect
                         if (retries > 0) {
                             console.log(`Connection closed unexpectedly, retrying... (${retries} attempts left)`);
                             setTimeout(() => {
@@ -155,18 +234,57 @@ class WebRTCManager {
         });
     }
 
-    createRoom() {
+    async createRoom(options = {}) {
+        try {
+            return await this.requestRoom(await this.withProofOfWork(options));
+        } catch (error) {
+            // Load went up after we connected; solve the fresh challenge and retry once
+            if (error.code !== 'pow-required' || !error.challenge) {
+                throw error;
+            }
+
+            this.powChallenge = error.challenge;
+            return this.requestRoom(await this.withProofOfWork(options));
+        }
+    }
+
+    async withProofOfWork(options) {
+        if (options.senderToken || !this.powChallenge) {
+            return options;
+        }
+
+        // Challenges are single use
+        const challenge = this.powChallenge;
+        this.powChallenge = null;
+        console.log(`[Room] Solving proof-of-work (${challenge.difficulty} bits)...`);
+        return { ...options, pow: await solveProofOfWork(challenge) };
+    }
+
+    requestRoom(options) {
         return new Promise((resolve, reject) => {
             if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
                 reject(new Error('Signaling not connected'));
                 return;
             }
 
-            console.log(`[Room] Creating new room...`);
-            this.ws.send(JSON.stringify({
-                type: 'join',
-                createNew: true
-            }));
+            if (options.senderToken) {
+                // Rooms created through the REST API are claimed with their sender token
+                console.log(`[Room] Opening room ${options.roomId} as sender...`);
+                this.ws.send(JSON.stringify({
+                    type: 'join',
+                    roomId: options.roomId,
+                    senderToken: options.senderToken
+                }));
+            } else {
+                console.log(`[Room] Creating new room...`);
+                this.ws.send(JSON.stringify({
+                    type: 'join',
+                    createNew: true,
+                    capacity: options.capacity,
+                    secret: options.secret || undefined,
+                    pow: options.pow
+                }));
+            }
 
             // Wait for room creation response
             const timeout = setTimeout(() => {
@@ -177,19 +295,24 @@ class WebRTCManager {
             this.handleSignalingMessage = (data) => {
                 if (data.type === 'joined' && data.role === 'sender') {
                     clearTimeout(timeout);
-                    console.log(`[Room] Created room: ${data.roomId}`);
+                    console.log(`[Room] Created room: ${data.roomId} (capacity: ${data.capacity})`);
                     this.roomId = data.roomId;
                     this.role = data.role;
-                    this.setupPeerConnection(true);
+                    this.peerId = data.peerId;
+                    this.reconnectToken = data.reconnectToken || null;
+                    this.updateRoomExpiry(data.expiresAt, data.canExtend);
                     
-                    // Restore original handler
+                    // Restore original handler - peer connections are opened as receivers join
                     this.handleSignalingMessage = originalHandler;
                     
                     resolve(data.roomId);
                 } else if (data.type === 'error') {
                     clearTimeout(timeout);
                     this.handleSignalingMessage = originalHandler;
-                    reject(new Error(data.message));
+                    const error = new Error(data.message);
+                    error.code = data.code;
+                    error.challenge = data.challenge;
+                    reject(error);
                 } else {
                     originalHandler(data);
                 }
@@ -197,7 +320,7 @@ class WebRTCManager {
         });
     }
 
-    joinRoom(roomId) {
+    joinRoom(roomId, secret = '', deviceName = '') {
         return new Promise((resolve, reject) => {
             if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
                 reject(new Error('Signaling not connected'));
@@ -210,6 +333,8 @@ class WebRTCManager {
             this.ws.send(JSON.stringify({
                 type: 'join',
                 roomId: this.roomId,
+                secret: secret || undefined,
+                deviceName: deviceName || undefined,
                 createNew: false
             }));
 
@@ -219,49 +344,120 @@ class WebRTCManager {
             }, 10000); // 10 second timeout
 
             const originalHandler = this.handleSignalingMessage.bind(this);
-            const tempHandler = (data) => {
+            this.handleSignalingMessage = (data) => {
                 if (data.type === 'joined' && data.role === 'receiver') {
                     clearTimeout(timeout);
-                    console.log(`[Room] Successfully joined room as receiver`);
+                    console.log(`[Room] Successfully joined room as receiver (${data.peerCount}/${data.capacity} peers)`);
                     this.role = data.role;
+                    this.peerId = data.peerId;
+                    this.senderPeerId = data.senderPeerId || null;
+                    this.reconnectToken = data.reconnectToken || null;
+                    this.updateRoomExpiry(data.expiresAt, false);
                     
-                    // Set up peer connection first
-                    this.setupPeerConnection(false);
-                    
-                    // Restore original handler AFTER setting up peer connection
+                    // We wait in the room until the sender admits us; it then
+                    // opens the peer connection
+                    this.isAdmitted = false;
                     this.handleSignalingMessage = originalHandler;
                     
-                    // Process any pending messages after a short delay to ensure peer connection is ready
-                    setTimeout(() => {
-                        this.processPendingMessages();
-                    }, 200);
-                    
                     resolve();
                 } else if (data.type === 'error') {
                     clearTimeout(timeout);
                     this.handleSignalingMessage = originalHandler;
-                    reject(new Error(data.message));
+                    const error = new Error(data.message);
+                    error.code = data.code; // e.g. 'secret-required' for passphrase-protected rooms
+                    reject(error);
                 } else {
-                    // Store messages that might arrive before peer connection is ready
-                    if (data.type === 'offer') {
-                        console.log(`[WebRTC] Received offer before peer connection ready, storing`);
-                        this.pendingOffer = data.offer;
-                    } else if (data.type === 'ice-candidate') {
-                        console.log(`[ICE] Received candidate before peer connection ready, storing`);
-                        this.pendingIceCandidates.push(data.candidate);
-                    } else {
-                        originalHandler(data);
-                    }
+                    originalHandler(data);
                 }
             };
-            
-            this.handleSignalingMessage = tempHandler;
         });
     }
 
-    setupPeerConnection(isInitiator) {
+    getPeer(peerId) {
+        return this.peers.get(peerId) || null;
+    }
+
+    getOpenPeers() {
+        return Array.from(this.peers.values())
+            .filter((peer) => peer.dataChannel && peer.dataChannel.readyState === 'open');
+    }
+
+    isPeerOpen(peerId) {
+        const peer = this.getPeer(peerId);
+        return Boolean(peer && peer.dataChannel && peer.dataChannel.readyState === 'open');
+    }
+
+    createPeer(remotePeerId, isInitiator) {
+        this.closePeer(remotePeerId);
+
+        const peer = {
+            id: remotePeerId,
+            isInitiator,
+            peerConnection: null,
+            dataChannel: null,
+            fileChannels: [], // Extra ordered channels that files are spread over, once open
+            isConnected: false,
+            pendingIceCandidates: [], // Remote candidates waiting for a remote description
+            queuedLocalCandidates: [], // Local candidates waiting for signaling
+            bufferLogInterval: null,
+            features: null, // Set of PROTOCOL_FEATURES the peer announced
+            helloSent: false,
+            helloTimer: null,
+            openPending: false, // Channel is open but we're still waiting for the peer's hello
+            nextFileId: 1,
+            outgoingTransfers: new Map(), // Map<file ID, transfer>; the ID is null for older peers
+            incomingFiles: new Map(), // Map<file ID, file> from a multiplexing sender
+            stats: {
+                bytesTransferred: 0,
+                bytesExpected: 0,
+                startTime: null,
+                lastUpdate: null
+            }
+        };
+
+        this.peers.set(remotePeerId, peer);
+        this.setupPeerConnection(peer, isInitiator);
+        return peer;
+    }
+
+    closePeer(peerId) {
+        const peer = this.peers.get(peerId);
+        if (!peer) {
+            return;
+        }
+
+        this.peers.delete(peerId);
+        if (peer.bufferLogInterval) {
+            clearInterval(peer.bufferLogInterval);
+        }
+        clearTimeout(peer.helloTimer);
+        this.abortOutgoingTransfers(peer);
+        peer.fileChannels.forEach((channel) => {
+            channel.onclose = null;
+            channel.close();
+        });
+        if (peer.dataChannel) {
+            peer.dataChannel.onclose = null;
+            peer.dataChannel.close();
+        }
+        if (peer.peerConnection) {
+            peer.peerConnection.close();
+        }
+        this.isConnected = this.getOpenPeers().length > 0;
+    }
+
+    signalPeer(peer, payload) {
+        if (!this.isSignalingReady()) {
+            return false;
+        }
+
+        this.ws.send(JSON.stringify({ ...payload, to: peer.id }));
+        return true;
+    }
+
+    setupPeerConnection(peer, isInitiator) {
         const role = isInitiator ? 'initiator (sender)' : 'receiver';
-        console.log(`[WebRTC] Setting up peer connection as ${role}`);
+        console.log(`[WebRTC] Setting up peer connection with ${peer.id} as ${role}`);
         
         // Create peer connection with enhanced configuration
         const config = {
@@ -270,7 +466,8 @@ class WebRTCManager {
             iceCandidatePoolSize: 10
         };
         
-        this.peerConnection = new RTCPeerConnection(config);
+        const peerConnection = new RTCPeerConnection(config);
+        peer.peerConnection = peerConnection;
         
         // Log connection configuration
         console.log(`[WebRTC] Peer connection created - iceServers: ${config.iceServers.length}, iceCandidatePoolSize: ${config.iceCandidatePoolSize}, iceTransportPolicy: ${config.iceTransportPolicy}`);
@@ -278,7 +475,7 @@ class WebRTCManager {
         // Handle ICE candidates with detailed logging
         let candidateCount = { host: 0, srflx: 0, relay: 0, other: 0 };
         
-        this.peerConnection.onicecandidate = (event) => {
+        peerConnection.onicecandidate = (event) => {
             if (event.candidate) {
                 const candidate = event.candidate;
                 const candidateType = candidate.type || 'unknown';
@@ -295,35 +492,32 @@ class WebRTCManager {
                 const candidatePort = candidate.port || 'N/A';
                 console.log(`[ICE] Candidate discovered: type=${candidateType}, address=${candidateAddress}, port=${candidatePort}, protocol=${candidateProtocol}`);
                 
-                // Send candidate immediately - serialize properly
-                if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-                    try {
-                        // Serialize RTCIceCandidate properly for WebSocket transmission
-                        // RTCIceCandidate needs to be converted to a plain object
-                        const candidateData = {
-                            candidate: candidate.candidate || '',
-                            sdpMLineIndex: candidate.sdpMLineIndex !== null && candidate.sdpMLineIndex !== undefined ? candidate.sdpMLineIndex : null,
-                            sdpMid: candidate.sdpMid || null,
-                            usernameFragment: candidate.usernameFragment || null
-                        };
-                        
-                        // Only send if we have the candidate string
-                        if (candidateData.candidate) {
-                            this.ws.send(JSON.stringify({
-                                type: 'ice-candidate',
-                                candidate: candidateData
-                            }));
-                            console.log(`[ICE] Candidate sent via WebSocket`);
-                        } else {
-                            console.warn(`[ICE] Candidate missing candidate string, skipping`);
-                        }
-                    } catch (error) {
-                        console.error(`[ICE] Error sending candidate:`, error);
-                        this.pendingIceCandidates.push(event.candidate);
+                // Serialize RTCIceCandidate properly for WebSocket transmission
+                // RTCIceCandidate needs to be converted to a plain object
+                const candidateData = {
+                    candidate: candidate.candidate || '',
+                    sdpMLineIndex: candidate.sdpMLineIndex !== null && candidate.sdpMLineIndex !== undefined ? candidate.sdpMLineIndex : null,
+                    sdpMid: candidate.sdpMid || null,
+                    usernameFragment: candidate.usernameFragment || null
+                };
+                
+                // Only send if we have the candidate string
+                if (!candidateData.candidate) {
+                    console.warn(`[ICE] Candidate missing candidate string, skipping`);
+                    return;
+                }
+                
+                // Send candidate immediately
+                try {
+                    if (this.signalPeer(peer, { type: 'ice-candidate', candidate: candidateData })) {
+                        console.log(`[ICE] Candidate sent via WebSocket to ${peer.id}`);
+                    } else {
+                        console.warn(`[ICE] WebSocket not ready (state: ${this.ws?.readyState}), storing candidate for later`);
+                        peer.queuedLocalCandidates.push(candidateData);
                     }
-                } else {
-                    console.warn(`[ICE] WebSocket not ready (state: ${this.ws?.readyState}), storing candidate for later`);
-                    this.pendingIceCandidates.push(event.candidate);
+                } catch (error) {
+                    console.error(`[ICE] Error sending candidate:`, error);
+                    peer.queuedLocalCandidates.push(candidateData);
                 }
             } else {
                 console.log(`[ICE] Candidate gathering complete. Summary: ${candidateCount.host} host, ${candidateCount.srflx} srflx, ${candidateCount.relay} relay, ${candidateCount.other} other`);
@@ -343,16 +537,13 @@ class WebRTCManager {
                     console.error(`[ICE]   4. Firewall blocking STUN/TURN traffic`);
                 }
                 
-                // Send any pending candidates
-                if (this.pendingIceCandidates.length > 0 && this.ws && this.ws.readyState === WebSocket.OPEN) {
-                    console.log(`[ICE] Sending ${this.pendingIceCandidates.length} pending candidates`);
-                    this.pendingIceCandidates.forEach(candidate => {
-                        this.ws.send(JSON.stringify({
-                            type: 'ice-candidate',
-                            candidate: candidate
-                        }));
+                // Send any queued candidates
+                if (peer.queuedLocalCandidates.length > 0 && this.isSignalingReady()) {
+                    console.log(`[ICE] Sending ${peer.queuedLocalCandidates.length} queued candidates`);
+                    peer.queuedLocalCandidates.forEach(candidate => {
+                        this.signalPeer(peer, { type: 'ice-candidate', candidate });
                     });
-                    this.pendingIceCandidates = [];
+                    peer.queuedLocalCandidates = [];
                 }
             }
         };
@@ -363,12 +554,12 @@ class WebRTCManager {
         let iceRetryTimeout = null;
         let lastIceState = null;
         
-        this.peerConnection.oniceconnectionstatechange = () => {
-            const iceState = this.peerConnection.iceConnectionState;
+        peerConnection.oniceconnectionstatechange = () => {
+            const iceState = peerConnection.iceConnectionState;
             
             // Only log state changes
             if (iceState !== lastIceState) {
-                console.log(`[ICE] Connection state changed: ${lastIceState || 'new'} → ${iceState}`);
+                console.log(`[ICE] Connection state changed (${peer.id}): ${lastIceState || 'new'} → ${iceState}`);
                 lastIceState = iceState;
             }
             
@@ -386,13 +577,16 @@ class WebRTCManager {
                     console.log(`[ICE] Restarting ICE connection (retry ${iceRetryCount}/${MAX_ICE_RETRIES})`);
                     // Wait a bit before retrying
                     iceRetryTimeout = setTimeout(() => {
+                        if (this.peers.get(peer.id) !== peer) {
+                            return;
+                        }
                         try {
-                            this.peerConnection.restartIce();
+                            peerConnection.restartIce();
                             // If sender, create new offer after restart
                             if (this.role === 'sender') {
                                 setTimeout(() => {
                                     console.log(`[WebRTC] Creating new offer after ICE restart`);
-                                    this.createOffer();
+                                    this.createOffer(peer);
                                 }, 500);
                             }
                         } catch (error) {
@@ -400,7 +594,7 @@ class WebRTCManager {
                             // Try creating new offer/answer as fallback
                             if (this.role === 'sender') {
                                 console.log(`[WebRTC] Creating new offer as fallback`);
-                                this.createOffer();
+                                this.createOffer(peer);
                             }
                         }
                     }, 1000 * iceRetryCount); // Exponential backoff
@@ -408,7 +602,7 @@ class WebRTCManager {
                     console.error(`[ICE] Connection failed after ${MAX_ICE_RETRIES} retries`);
                     console.error(`[ICE] Possible causes: restrictive NATs, router blocking P2P, or need TURN server`);
                     if (this.onError) {
-                        this.onError(new Error('ICE connection failed. Try on same Wi-Fi network or configure TURN server.'));
+                        this.onError(new Error('ICE connection failed. Try on same Wi-Fi network or configure TURN server.'), peer.id);
                     }
                 }
             } else if (iceState === 'connected' || iceState === 'completed') {
@@ -420,8 +614,8 @@ class WebRTCManager {
                     iceRetryTimeout = null;
                 }
                 // Check if data channel is ready
-                if (this.dataChannel) {
-                    console.log(`[ICE] Data channel state: ${this.dataChannel.readyState}`);
+                if (peer.dataChannel) {
+                    console.log(`[ICE] Data channel state: ${peer.dataChannel.readyState}`);
                 }
             } else if (iceState === 'disconnected') {
                 console.warn(`[ICE] Connection disconnected`);
@@ -429,7 +623,7 @@ class WebRTCManager {
                 console.log(`[ICE] Checking connection - testing host candidates (same network) and srflx candidates (STUN)`);
                 // Log after a delay if still checking
                 setTimeout(() => {
-                    if (this.peerConnection && this.peerConnection.iceConnectionState === 'checking') {
+                    if (peerConnection.iceConnectionState === 'checking') {
                         console.warn(`[ICE] Still checking connection after delay - may need TURN server or same network`);
                     }
                 }, 5000);
@@ -437,17 +631,17 @@ class WebRTCManager {
         };
         
         // Handle ICE gathering state
-        this.peerConnection.onicegatheringstatechange = () => {
-            console.log(`[ICE] Gathering state: ${this.peerConnection.iceGatheringState}`);
+        peerConnection.onicegatheringstatechange = () => {
+            console.log(`[ICE] Gathering state: ${peerConnection.iceGatheringState}`);
         };
 
         // Handle connection state changes
-        this.peerConnection.onconnectionstatechange = () => {
-            const state = this.peerConnection.connectionState;
-            const iceState = this.peerConnection.iceConnectionState;
-            console.log(`[WebRTC] Peer connection state: ${state}, ICE state: ${iceState}`);
+        peerConnection.onconnectionstatechange = () => {
+            const state = peerConnection.connectionState;
+            const iceState = peerConnection.iceConnectionState;
+            console.log(`[WebRTC] Peer connection state (${peer.id}): ${state}, ICE state: ${iceState}`);
             if (this.onConnectionStateChange) {
-                this.onConnectionStateChange(state);
+                this.onConnectionStateChange(state, peer.id);
             }
             
             if (state === 'failed') {
@@ -455,11 +649,11 @@ class WebRTCManager {
             } else if (state === 'connected') {
                 console.log(`[WebRTC] Peer connection established - ICE: ${iceState}`);
                 // Check data channel
-                if (this.dataChannel) {
-                    console.log(`[WebRTC] Data channel state: ${this.dataChannel.readyState}`);
-                    if (this.dataChannel.readyState === 'open' && this.onDataChannelOpen) {
+                if (peer.dataChannel) {
+                    console.log(`[WebRTC] Data channel state: ${peer.dataChannel.readyState}`);
+                    if (peer.dataChannel.readyState === 'open') {
                         console.log(`[WebRTC] Data channel already open, triggering callback`);
-                        setTimeout(() => this.onDataChannelOpen(), 100);
+                        setTimeout(() => this.announceChannelOpen(peer), 100);
                     }
                 }
             } else if (state === 'connecting') {
@@ -471,92 +665,199 @@ class WebRTCManager {
 
         if (isInitiator) {
             // Sender creates data channel
-            this.dataChannel = this.peerConnection.createDataChannel('fileTransfer', {
+            peer.dataChannel = peerConnection.createDataChannel(FILE_CHANNEL_LABEL, {
                 ordered: true
             });
-            this.setupDataChannel();
+            this.setupDataChannel(peer);
         } else {
             // Receiver waits for data channel
-            this.peerConnection.ondatachannel = (event) => {
-                this.dataChannel = event.channel;
-                this.setupDataChannel();
+            peerConnection.ondatachannel = (event) => {
+                // Extra file channels come once the first has said hello
+                if (event.channel.label !== FILE_CHANNEL_LABEL && peer.dataChannel) {
+                    this.setupFileChannel(peer, event.channel);
+                    return;
+                }
+                peer.dataChannel = event.channel;
+                this.setupDataChannel(peer);
             };
         }
 
         // Create offer if initiator
         if (isInitiator) {
-            this.createOffer();
+            this.createOffer(peer);
         }
     }
 
-    setupDataChannel() {
-        console.log(`[DataChannel] Setting up handlers - state: ${this.dataChannel.readyState}, label: ${this.dataChannel.label}, id: ${this.dataChannel.id}`);
+    setupDataChannel(peer) {
+        const dataChannel = peer.dataChannel;
+        console.log(`[DataChannel] Setting up handlers for ${peer.id} - state: ${dataChannel.readyState}, label: ${dataChannel.label}, id: ${dataChannel.id}`);
         
         // Check if already open
-        if (this.dataChannel.readyState === 'open') {
+        if (dataChannel.readyState === 'open') {
             console.log(`[DataChannel] Already open, initializing callbacks`);
+            peer.isConnected = true;
             this.isConnected = true;
-            if (this.onDataChannelOpen) {
-                // Small delay to ensure everything is initialized
-                setTimeout(() => this.onDataChannelOpen(), 100);
-            }
+            // Small delay to ensure everything is initialized
+            setTimeout(() => this.announceChannelOpen(peer), 100);
         }
         
-        this.dataChannel.onopen = () => {
-            const pcState = this.peerConnection?.connectionState;
-            const iceState = this.peerConnection?.iceConnectionState;
-            console.log(`[DataChannel] Opened - readyState: ${this.dataChannel.readyState}, buffered: ${this.dataChannel.bufferedAmount} bytes, protocol: ${this.dataChannel.protocol || 'none'}, ordered: ${this.dataChannel.ordered}, PC state: ${pcState}, ICE: ${iceState}`);
+        dataChannel.onopen = () => {
+            const pcState = peer.peerConnection?.connectionState;
+            const iceState = peer.peerConnection?.iceConnectionState;
+            console.log(`[DataChannel] Opened (${peer.id}) - readyState: ${dataChannel.readyState}, buffered: ${dataChannel.bufferedAmount} bytes, protocol: ${dataChannel.protocol || 'none'}, ordered: ${dataChannel.ordered}, PC state: ${pcState}, ICE: ${iceState}`);
+            peer.isConnected = true;
             this.isConnected = true;
-            if (this.onDataChannelOpen) {
-                this.onDataChannelOpen();
-            }
+            this.announceChannelOpen(peer);
         };
 
-        this.dataChannel.onclose = () => {
-            console.log(`[DataChannel] Closed - readyState: ${this.dataChannel.readyState}`);
-            this.isConnected = false;
+        dataChannel.onclose = () => {
+            console.log(`[DataChannel] Closed (${peer.id}) - readyState: ${dataChannel.readyState}`);
+            peer.isConnected = false;
+            this.isConnected = this.getOpenPeers().length > 0;
+            if (peer.bufferLogInterval) {
+                clearInterval(peer.bufferLogInterval);
+                peer.bufferLogInterval = null;
+            }
+            clearTimeout(peer.helloTimer);
+            this.abortOutgoingTransfers(peer);
+            this.discardIncomingFiles(peer);
             if (this.onDataChannelClose) {
-                this.onDataChannelClose();
+                this.onDataChannelClose(peer.id);
             }
         };
 
-        this.dataChannel.onerror = (error) => {
+        dataChannel.onerror = (error) => {
             console.error(`[DataChannel] Error:`, error);
             if (this.onError) {
-                this.onError(error);
+                this.onError(error, peer.id);
             }
         };
 
-        this.dataChannel.onmessage = (event) => {
+        dataChannel.onmessage = (event) => {
             const dataType = typeof event.data;
             const isArrayBuffer = event.data instanceof ArrayBuffer;
             const size = isArrayBuffer ? event.data.byteLength : (typeof event.data === 'string' ? event.data.length : 'unknown');
             console.log(`[DataChannel] Message received - type: ${dataType}, isArrayBuffer: ${isArrayBuffer}, size: ${size} bytes`);
-            this.handleDataChannelMessage(event.data);
+            this.handleDataChannelMessage(event.data, peer);
         };
         
         // Log buffered amount periodically
         if (this.role === 'sender') {
-            setInterval(() => {
-                if (this.dataChannel && this.dataChannel.readyState === 'open') {
-                    if (this.dataChannel.bufferedAmount > 0) {
-                        console.log(`[DataChannel] Buffered: ${this.formatFileSize(this.dataChannel.bufferedAmount)}`);
-                    }
+            peer.bufferLogInterval = setInterval(() => {
+                if (dataChannel.readyState === 'open' && dataChannel.bufferedAmount > 0) {
+                    console.log(`[DataChannel] Buffered (${peer.id}): ${this.formatFileSize(dataChannel.bufferedAmount)}`);
                 }
             }, 1000);
         }
     }
 
-    async createOffer() {
+    // Both ends say which protocol features they support before any file
+    // moves, and the app only hears about the channel once we know.
+    announceChannelOpen(peer) {
+        if (!peer.helloSent) {
+            peer.helloSent = true;
+            try {
+                peer.dataChannel.send(JSON.stringify({ type: 'hello', features: PROTOCOL_FEATURES }));
+            } catch (error) {
+                console.error(`[DataChannel] Error sending hello:`, error);
+            }
+            peer.helloTimer = setTimeout(() => {
+                if (!peer.features) {
+                    console.log(`[DataChannel] No hello from ${peer.id}, assuming an older client`);
+                    this.handleHello(peer, { features: [] });
+                }
+            }, HELLO_TIMEOUT_MS);
+        }
+
+        if (!peer.features) {
+            peer.openPending = true;
+            return;
+        }
+
+        if (this.onDataChannelOpen) {
+            this.onDataChannelOpen(peer.id);
+        }
+    }
+
+    handleHello(peer, message) {
+        peer.features = new Set(Array.isArray(message.features) ? message.features : []);
+        clearTimeout(peer.helloTimer);
+        peer.helloTimer = null;
+        console.log(`[DataChannel] ${peer.id} supports: ${Array.from(peer.features).join(', ') || 'nothing extra'}`);
+
+        if (peer.isInitiator && peer.features.has('multiplex')) {
+            this.openFileChannels(peer);
+        }
+
+        if (peer.openPending) {
+            peer.openPending = false;
+            if (this.onDataChannelOpen) {
+                this.onDataChannelOpen(peer.id);
+            }
+        }
+    }
+
+    peerSupports(peer, feature) {
+        return Boolean(peer && peer.features && peer.features.has(feature));
+    }
+
+    // Files on separate channels don't wait behind each other's chunks. The
+    // sender opens them; until they're up everything uses the first channel.
+    openFileChannels(peer) {
+        for (let i = 1; i <= EXTRA_FILE_CHANNELS; i++) {
+            try {
+                const channel = peer.peerConnection.createDataChannel(`${FILE_CHANNEL_LABEL}-${i}`, { ordered: true });
+                this.setupFileChannel(peer, channel);
+            } catch (error) {
+                console.warn(`[DataChannel] Could not open file channel ${i}:`, error.message || error);
+                return;
+            }
+        }
+    }
+
+    setupFileChannel(peer, channel) {
+        channel.binaryType = 'arraybuffer';
+        const ready = () => {
+            if (!peer.fileChannels.includes(channel)) {
+                peer.fileChannels.push(channel);
+                console.log(`[DataChannel] File channel ${channel.label} open (${peer.id})`);
+            }
+        };
+        if (channel.readyState === 'open') {
+            ready();
+        }
+
+        channel.onopen = ready;
+        channel.onclose = () => {
+            peer.fileChannels = peer.fileChannels.filter((entry) => entry !== channel);
+            this.abortOutgoingTransfers(peer, channel);
+        };
+        channel.onerror = (error) => {
+            console.error(`[DataChannel] File channel ${channel.label} error:`, error);
+        };
+        channel.onmessage = (event) => {
+            this.handleDataChannelMessage(event.data, peer);
+        };
+    }
+
+    // A file sticks to one channel so its metadata, chunks and completion stay in order
+    pickFileChannel(peer, fileId) {
+        const channels = [peer.dataChannel, ...peer.fileChannels.filter((channel) => channel.readyState === 'open')];
+        return channels[fileId % channels.length];
+    }
+
+    async createOffer(peer) {
+        const peerConnection = peer.peerConnection;
+
         try {
-            console.log(`[WebRTC] Creating offer...`);
+            console.log(`[WebRTC] Creating offer for ${peer.id}...`);
             
             // Wait for ICE gathering to start
-            if (this.peerConnection.iceGatheringState === 'new') {
+            if (peerConnection.iceGatheringState === 'new') {
                 console.log(`[WebRTC] Waiting for ICE gathering to start...`);
                 await new Promise((resolve) => {
                     const checkInterval = setInterval(() => {
-                        if (this.peerConnection.iceGatheringState !== 'new') {
+                        if (peerConnection.iceGatheringState !== 'new') {
                             clearInterval(checkInterval);
                             resolve();
                         }
@@ -575,73 +876,68 @@ class WebRTCManager {
                 iceRestart: false
             };
             
-            const offer = await this.peerConnection.createOffer(offerOptions);
-            await this.peerConnection.setLocalDescription(offer);
-            console.log(`[WebRTC] Created offer - SDP type: ${offer.type}, ICE gathering state: ${this.peerConnection.iceGatheringState}`);
+            const offer = await peerConnection.createOffer(offerOptions);
+            await peerConnection.setLocalDescription(offer);
+            console.log(`[WebRTC] Created offer - SDP type: ${offer.type}, ICE gathering state: ${peerConnection.iceGatheringState}`);
             
             // Wait a bit for ICE candidates to be gathered (but don't wait too long)
-            if (this.peerConnection.iceGatheringState === 'gathering') {
+            if (peerConnection.iceGatheringState === 'gathering') {
                 console.log(`[WebRTC] Waiting for ICE candidates (max 2s)...`);
                 await new Promise((resolve) => {
                     const timeout = setTimeout(resolve, 2000); // Max 2 seconds
                     const handler = () => {
-                        if (this.peerConnection.iceGatheringState === 'complete') {
+                        if (peerConnection.iceGatheringState === 'complete') {
                             clearTimeout(timeout);
-                            this.peerConnection.removeEventListener('icegatheringstatechange', handler);
+                            peerConnection.removeEventListener('icegatheringstatechange', handler);
                             resolve();
                         }
                     };
-                    this.peerConnection.addEventListener('icegatheringstatechange', handler);
+                    peerConnection.addEventListener('icegatheringstatechange', handler);
                 });
             }
             
             // Get updated offer with ICE candidates
-            const updatedOffer = this.peerConnection.localDescription;
+            const updatedOffer = peerConnection.localDescription;
             
-            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-                this.ws.send(JSON.stringify({
-                    type: 'offer',
-                    offer: updatedOffer || offer
-                }));
-                console.log(`[WebRTC] Offer sent to receiver via WebSocket`);
+            if (this.signalPeer(peer, { type: 'offer', offer: updatedOffer || offer })) {
+                console.log(`[WebRTC] Offer sent to receiver ${peer.id} via WebSocket`);
             } else {
                 console.error(`[WebRTC] WebSocket not ready (state: ${this.ws?.readyState}) to send offer`);
             }
         } catch (error) {
             console.error(`[WebRTC] Error creating offer:`, error);
             if (this.onError) {
-                this.onError(error);
+                this.onError(error, peer.id);
             }
         }
     }
 
-    async handleOffer(offer) {
+    async handleOffer(fromPeerId, offer) {
         try {
-            console.log(`[WebRTC] Handling offer from sender - SDP type: ${offer.type}`);
+            console.log(`[WebRTC] Handling offer from sender ${fromPeerId} - SDP type: ${offer.type}`);
             
-            if (!this.peerConnection) {
-                console.log(`[WebRTC] Peer connection not ready, storing offer`);
-                this.pendingOffer = offer;
-                return;
-            }
+            // Offers after an ICE restart reuse the existing connection
+            const peer = this.getPeer(fromPeerId) || this.createPeer(fromPeerId, false);
+            const peerConnection = peer.peerConnection;
             
-            await this.peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
+            await peerConnection.setRemoteDescription(new RTCSessionDescription(offer));
             console.log(`[WebRTC] Set remote description (offer)`);
             if (this.onPeerReady) {
-                this.onPeerReady({ role: 'receiver', stage: 'offer-received' });
+                this.onPeerReady({ role: 'receiver', stage: 'offer-received', peerId: fromPeerId });
             }
+            await this.flushPendingIceCandidates(peer);
             
             const answerOptions = {
                 offerToReceiveAudio: false,
                 offerToReceiveVideo: false
             };
             
-            const answer = await this.peerConnection.createAnswer(answerOptions);
-            await this.peerConnection.setLocalDescription(answer);
-            console.log(`[WebRTC] Created answer - ICE gathering state: ${this.peerConnection.iceGatheringState}`);
+            const answer = await peerConnection.createAnswer(answerOptions);
+            await peerConnection.setLocalDescription(answer);
+            console.log(`[WebRTC] Created answer - ICE gathering state: ${peerConnection.iceGatheringState}`);
             
             // Wait for ICE candidates if gathering (wait longer for better connectivity)
-            if (this.peerConnection.iceGatheringState === 'gathering') {
+            if (peerConnection.iceGatheringState === 'gathering') {
                 console.log(`[WebRTC] Waiting for ICE candidates in answer (max 5s)...`);
                 await new Promise((resolve) => {
                     const timeout = setTimeout(() => {
@@ -649,89 +945,84 @@ class WebRTCManager {
                         resolve();
                     }, 5000); // Increased to 5 seconds
                     const handler = () => {
-                        if (this.peerConnection.iceGatheringState === 'complete') {
+                        if (peerConnection.iceGatheringState === 'complete') {
                             clearTimeout(timeout);
-                            this.peerConnection.removeEventListener('icegatheringstatechange', handler);
+                            peerConnection.removeEventListener('icegatheringstatechange', handler);
                             console.log(`[WebRTC] ICE gathering complete - sending answer with all candidates`);
                             resolve();
                         }
                     };
-                    this.peerConnection.addEventListener('icegatheringstatechange', handler);
+                    peerConnection.addEventListener('icegatheringstatechange', handler);
                 });
             }
             
             // Get updated answer with ICE candidates
-            const updatedAnswer = this.peerConnection.localDescription;
+            const updatedAnswer = peerConnection.localDescription;
             
-            if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-                this.ws.send(JSON.stringify({
-                    type: 'answer',
-                    answer: updatedAnswer || answer
-                }));
-                console.log(`[WebRTC] Answer sent to sender via WebSocket (ICE state: ${this.peerConnection.iceGatheringState})`);
+            if (this.signalPeer(peer, { type: 'answer', answer: updatedAnswer || answer })) {
+                console.log(`[WebRTC] Answer sent to sender via WebSocket (ICE state: ${peerConnection.iceGatheringState})`);
             } else {
                 console.error(`[WebRTC] WebSocket not ready (state: ${this.ws?.readyState}) to send answer`);
             }
         } catch (error) {
             console.error(`[WebRTC] Error handling offer:`, error);
             if (this.onError) {
-                this.onError(error);
+                this.onError(error, fromPeerId);
             }
         }
     }
 
-    async handleAnswer(answer) {
+    async handleAnswer(fromPeerId, answer) {
+        const peer = this.getPeer(fromPeerId);
+        if (!peer) {
+            console.warn(`[WebRTC] Received answer from unknown peer ${fromPeerId}, ignoring`);
+            return;
+        }
+
         try {
-            if (!this.peerConnection) {
-                console.log(`[WebRTC] Peer connection not ready, storing answer`);
-                this.pendingAnswer = answer;
-                return;
-            }
-            
-            await this.peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
-            console.log(`[WebRTC] Set remote description (answer) - ICE state: ${this.peerConnection.iceConnectionState}, connection state: ${this.peerConnection.connectionState}`);
+            await peer.peerConnection.setRemoteDescription(new RTCSessionDescription(answer));
+            console.log(`[WebRTC] Set remote description (answer from ${fromPeerId}) - ICE state: ${peer.peerConnection.iceConnectionState}, connection state: ${peer.peerConnection.connectionState}`);
             if (this.onPeerReady) {
-                this.onPeerReady({ role: 'sender', stage: 'answer-received' });
+                this.onPeerReady({ role: 'sender', stage: 'answer-received', peerId: fromPeerId });
             }
             
             // Process any pending ICE candidates that arrived before the answer
-            if (this.pendingIceCandidates.length > 0) {
-                console.log(`[WebRTC] Processing ${this.pendingIceCandidates.length} pending ICE candidates after answer`);
-                const candidates = [...this.pendingIceCandidates];
-                this.pendingIceCandidates = [];
-                for (const candidate of candidates) {
-                    try {
-                        await this.peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
-                    } catch (error) {
-                        console.warn(`[WebRTC] Error adding pending candidate:`, error);
-                    }
-                }
-            }
+            await this.flushPendingIceCandidates(peer);
         } catch (error) {
             console.error('Error handling answer:', error);
             if (this.onError) {
-                this.onError(error);
+                this.onError(error, fromPeerId);
             }
         }
     }
 
-    async handleIceCandidate(candidate) {
-        try {
-            if (!this.peerConnection) {
-                console.log(`[ICE] Peer connection not ready, storing candidate`);
-                this.pendingIceCandidates.push(candidate);
-                return;
-            }
-            
-            // Validate candidate before adding
-            if (!candidate || typeof candidate !== 'object') {
-                console.warn(`[ICE] Invalid candidate format:`, candidate);
+    async handleIceCandidate(fromPeerId, candidate) {
+        // Validate candidate before adding
+        if (!candidate || typeof candidate !== 'object') {
+            console.warn(`[ICE] Invalid candidate format:`, candidate);
+            return;
+        }
+
+        let peer = this.getPeer(fromPeerId);
+        if (!peer) {
+            if (this.role === 'sender') {
+                console.warn(`[ICE] Candidate from unknown peer ${fromPeerId}, ignoring`);
                 return;
             }
-            
+            // Candidates can race ahead of the offer that creates the session
+            peer = this.createPeer(fromPeerId, false);
+        }
+
+        if (!peer.peerConnection.remoteDescription) {
+            console.log(`[ICE] Remote description not set yet, storing candidate`);
+            peer.pendingIceCandidates.push(candidate);
+            return;
+        }
+
+        try {
             // Create RTCIceCandidate with proper validation
             const iceCandidate = new RTCIceCandidate(candidate);
-            await this.peerConnection.addIceCandidate(iceCandidate);
+            await peer.peerConnection.addIceCandidate(iceCandidate);
             
             const candidateType = candidate.type || 'unknown';
             const candidateAddress = candidate.address || candidate.ip || 'N/A';
@@ -742,71 +1033,31 @@ class WebRTCManager {
             console.error('❌ Candidate data:', candidate);
         }
     }
-    
-    processPendingMessages() {
-        if (!this.peerConnection) {
-            console.log(`[WebRTC] Cannot process pending messages - peer connection not ready`);
+
+    async flushPendingIceCandidates(peer) {
+        if (peer.pendingIceCandidates.length === 0) {
             return;
         }
-        
-        // Wait for peer connection to be in a stable state
-        const checkReady = () => {
-            if (this.peerConnection.signalingState === 'stable' || 
-                this.peerConnection.signalingState === 'have-local-offer' ||
-                this.peerConnection.signalingState === 'have-remote-offer') {
-                return true;
+
+        console.log(`[ICE] Processing ${peer.pendingIceCandidates.length} pending candidates`);
+        const candidates = [...peer.pendingIceCandidates];
+        peer.pendingIceCandidates = []; // Clear before processing
+        for (const candidate of candidates) {
+            try {
+                await peer.peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+            } catch (error) {
+                console.warn(`[WebRTC] Error adding pending candidate:`, error);
             }
-            return false;
-        };
-        
-        // Process pending offer
-        if (this.pendingOffer) {
-            console.log(`[WebRTC] Processing pending offer`);
-            const offer = this.pendingOffer;
-            this.pendingOffer = null; // Clear before processing to avoid double processing
-            
-            const processOffer = () => {
-                if (checkReady() || this.peerConnection.signalingState === 'stable') {
-                    this.handleOffer(offer);
-                } else {
-                    // Wait a bit more
-                    setTimeout(processOffer, 100);
-                }
-            };
-            setTimeout(processOffer, 100);
-        }
-        
-        // Process pending answer
-        if (this.pendingAnswer) {
-            console.log(`[WebRTC] Processing pending answer`);
-            const answer = this.pendingAnswer;
-            this.pendingAnswer = null;
-            
-            const processAnswer = () => {
-                if (checkReady() || this.peerConnection.signalingState === 'have-local-offer') {
-                    this.handleAnswer(answer);
-                } else {
-                    setTimeout(processAnswer, 100);
-                }
-            };
-            setTimeout(processAnswer, 100);
-        }
-        
-        // Process pending ICE candidates
-        if (this.pendingIceCandidates.length > 0) {
-            console.log(`[ICE] Processing ${this.pendingIceCandidates.length} pending candidates`);
-            const candidates = [...this.pendingIceCandidates];
-            this.pendingIceCandidates = []; // Clear before processing
-            candidates.forEach(candidate => {
-                this.handleIceCandidate(candidate);
-            });
         }
     }
 
     handleSignalingMessage(data) {
+        // The server only delivers messages addressed to us; `from` names the remote peer
         switch (data.type) {
             case 'connected':
                 console.log(`[WebSocket] Server confirmed connection: ${data.message}`);
+                this.powChallenge = data.challenge || null;
+                this.scheduleIceRefresh(this.iceCredentialsExpiresAt);
                 break;
             case 'joined':
                 if (data.roomId) {
@@ -815,32 +1066,112 @@ class WebRTCManager {
                 if (data.role) {
                     this.role = data.role;
                 }
+                if (data.peerId) {
+                    this.peerId = data.peerId;
+                }
+                if (data.resumed) {
+                    this.handleResumed(data);
+                }
                 if (this.onPeerJoined) {
                     this.onPeerJoined(data);
                 }
                 break;
+            case 'join-request':
+                if (this.role !== 'sender') {
+                    break;
+                }
+                console.log(`[Room] Receiver ${data.from} asks to join (${data.deviceName}, ${data.browser})`);
+                this.updateRoomExpiry(data.expiresAt, this.canExtend);
+                if (this.onJoinRequest) {
+                    this.onJoinRequest({
+                        peerId: data.from,
+                        deviceName: data.deviceName,
+                        browser: data.browser,
+                        peerCount: data.peerCount
+                    });
+                }
+                break;
+            case 'admitted':
+                console.log('[Room] The sender admitted us');
+                this.isAdmitted = true;
+                if (this.onAdmitted) {
+                    this.onAdmitted();
+                }
+                break;
+            case 'error':
+                console.warn(`[WebSocket] Server error: ${data.message}`);
+                if (data.code === 'reconnect-failed' || data.code === 'join-denied') {
+                    this.reconnectToken = null;
+                }
+                if (data.code === 'reconnect-failed' && this.onReconnectFailed) {
+                    this.onReconnectFailed(new Error(data.message));
+                }
+                if (this.onSignalingError) {
+                    this.onSignalingError(data);
+                }
+                break;
             case 'offer':
-                this.handleOffer(data.offer);
+                this.handleOffer(data.from, data.offer);
                 break;
             case 'answer':
-                this.handleAnswer(data.answer);
+                this.handleAnswer(data.from, data.answer);
                 break;
             case 'ice-candidate':
-                this.handleIceCandidate(data.candidate);
+                this.handleIceCandidate(data.from, data.candidate);
                 break;
             case 'peer-disconnected':
-                this.isConnected = false;
+                // Receivers only care about the sender; the sender about its own receivers
+                if (this.role === 'receiver' && data.role !== 'sender' && data.from !== this.senderPeerId) {
+                    break;
+                }
+                this.updateRoomExpiry(data.expiresAt, this.canExtend);
+                this.closePeer(data.from);
                 if (this.onPeerDisconnected) {
-                    this.onPeerDisconnected();
+                    this.onPeerDisconnected(data.from);
+                }
+                break;
+            case 'room-expiring':
+                console.warn(`[Room] Room expires at ${new Date(data.expiresAt).toLocaleTimeString()}`);
+                this.updateRoomExpiry(data.expiresAt, data.canExtend);
+                if (this.onRoomExpiring) {
+                    this.onRoomExpiring(data.expiresAt);
+                }
+                break;
+            case 'room-extended':
+                this.updateRoomExpiry(data.expiresAt, data.canExtend);
+                break;
+            case 'peer-reconnecting':
+            case 'peer-reconnected':
+                // Receivers only care about the sender; the sender about its own receivers
+                if (this.role === 'receiver' && data.from !== this.senderPeerId) {
+                    break;
                 }
+                this.handlePeerReconnect(data.from, data.type === 'peer-reconnected');
                 break;
             case 'room-expired':
+                this.reconnectToken = null;
                 if (this.onRoomExpired) {
                     this.onRoomExpired();
                 }
                 break;
+            case 'ice-config':
+                this.applyRtcConfig(data.rtcConfig);
+                this.scheduleIceRefresh(data.expiresAt);
+                break;
+            case 'maintenance':
+                if (this.onMaintenance) {
+                    this.onMaintenance(data);
+                }
+                break;
+            case 'room-closed':
+                this.reconnectToken = null;
+                if (this.onRoomClosed) {
+                    this.onRoomClosed();
+                }
+                break;
             case 'relay-file-metadata':
             case 'relay-chunk':
+            case 'relay-ack':
             case 'relay-complete':
             case 'relay-error':
                 if (this.onRelayMessage) {
@@ -852,76 +1183,318 @@ class WebRTCManager {
         }
     }
 
-    isSignalingReady() {
-        return Boolean(this.ws && this.ws.readyState === WebSocket.OPEN);
-    }
+    // Reopen signaling after an unexpected drop and reclaim our room slot
+    scheduleReconnect() {
+        if (this.reconnectTimer) {
+            return;
+        }
 
-    sendSignal(payload) {
-        if (!this.isSignalingReady()) {
-            throw new Error('Signaling connection not ready');
+        if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+            this.reconnectToken = null;
+            if (this.onReconnectFailed) {
+                this.onReconnectFailed(new Error('Lost connection to the server'));
+            }
+            return;
         }
 
-        this.ws.send(JSON.stringify(payload));
+        const delay = Math.min(1000 * (2 ** this.reconnectAttempts), 8000);
+        this.reconnectAttempts += 1;
+        console.log(`[WebSocket] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
+        if (this.onSignalingReconnecting) {
+            this.onSignalingReconnecting(this.reconnectAttempts);
+        }
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect(this.signalingUrl, 0).then(() => {
+                this.sendSignal({ type: 'resume', token: this.reconnectToken });
+            }).catch((error) => {
+                // The failed socket's close handler schedules the next attempt
+                console.warn('[WebSocket] Reconnect attempt failed:', error.message);
+            });
+        }, delay);
     }
 
-    sendFile(file) {
-        if (!this.isConnected || !this.dataChannel || this.dataChannel.readyState !== 'open') {
-            return Promise.reject(new Error('Data channel not ready'));
+    handleResumed(data) {
+        console.log(`[Room] Resumed room ${data.roomId} as ${data.role}`);
+        this.reconnectAttempts = 0;
+        this.reconnectToken = data.reconnectToken || this.reconnectToken;
+        if (data.role === 'receiver') {
+            this.senderPeerId = data.senderPeerId || this.senderPeerId;
+            this.isAdmitted = data.status === 'admitted';
         }
+        this.updateRoomExpiry(data.expiresAt, data.canExtend);
 
-        if (!file) {
-            return Promise.reject(new Error('No file provided'));
+        // Anything we tried to signal while offline was lost; renegotiate dropped peers
+        if (this.role === 'sender') {
+            this.peers.forEach((peer) => this.restartPeerIfDisconnected(peer));
         }
 
-        console.log(`[FileTransfer] Starting transfer - file: ${file.name}, size: ${this.formatFileSize(file.size)}, type: ${file.type || 'unknown'}`);
+        if (this.onReconnected) {
+            this.onReconnected(data);
+        }
+    }
 
-        // Send file metadata first
-        const metadata = {
-            type: 'file-metadata',
-            name: file.name,
-            size: file.size,
-            mimeType: file.type,
-            lastModified: file.lastModified
-        };
+    handlePeerReconnect(peerId, reconnected) {
+        console.log(`[Room] Peer ${peerId} ${reconnected ? 'reconnected' : 'lost its signaling connection'}`);
+        if (reconnected && this.role === 'sender' && this.peers.has(peerId)) {
+            this.restartPeerIfDisconnected(this.peers.get(peerId));
+        }
 
-        try {
-            if (this.dataChannel.readyState !== 'open') {
-                return Promise.reject(new Error(`Data channel not open (state: ${this.dataChannel.readyState})`));
-            }
-            
-            const metadataStr = JSON.stringify(metadata);
-            this.dataChannel.send(metadataStr);
-            console.log(`[FileTransfer] Metadata sent - name: ${metadata.name}, size: ${metadata.size} bytes, buffered: ${this.dataChannel.bufferedAmount} bytes`);
-        } catch (error) {
-            console.error(`[FileTransfer] Error sending metadata:`, error);
-            return Promise.reject(error);
+        const callback = reconnected ? this.onPeerReconnected : this.onPeerReconnecting;
+        if (callback) {
+            callback(peerId);
         }
-        
-        // Read and send file in chunks - return the promise
-        return this.sendFileChunks(file);
-    }
-    
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
     }
 
-    async sendFileChunks(file) {
+    // Sender: ICE-restart a peer connection that did not survive a network change
+    restartPeerIfDisconnected(peer) {
+        const iceState = peer.peerConnection ? peer.peerConnection.iceConnectionState : 'closed';
+        if (iceState === 'connected' || iceState === 'completed') {
+            return;
+        }
+
+        console.log(`[WebRTC] Renegotiating with ${peer.id} after reconnect (ICE: ${iceState})`);
+        if (iceState === 'closed') {
+            this.createPeer(peer.id, true);
+            return;
+        }
+
+        peer.peerConnection.restartIce();
+        this.createOffer(peer);
+    }
+
+    updateRoomExpiry(expiresAt, canExtend) {
+        if (!expiresAt) {
+            return;
+        }
+
+        this.expiresAt = expiresAt;
+        this.canExtend = Boolean(canExtend);
+        if (this.onRoomExpiryChange) {
+            this.onRoomExpiryChange(this.expiresAt, this.canExtend);
+        }
+    }
+
+    // Sender: ask the server to keep the room open longer
+    extendRoom() {
+        this.sendSignal({ type: 'extend-room' });
+    }
+
+    // Sender: let a waiting receiver in and open its peer connection
+    admitPeer(peerId) {
+        this.sendSignal({ type: 'admit', to: peerId });
+        console.log(`[Room] Admitted receiver ${peerId}`);
+        this.createPeer(peerId, true);
+    }
+
+    // Sender: turn a waiting receiver away; the server closes its socket
+    denyPeer(peerId) {
+        this.sendSignal({ type: 'deny', to: peerId });
+        console.log(`[Room] Denied receiver ${peerId}`);
+    }
+
+    isSignalingReady() {
+        return Boolean(this.ws && this.ws.readyState === WebSocket.OPEN);
+    }
+
+    // Minted TURN credentials are refreshed once 80% of their lifetime has
+    // passed, so ICE restarts late in a long transfer can still use TURN.
+    scheduleIceRefresh(expiresAt) {
+        clearTimeout(this.iceRefreshTimer);
+        this.iceRefreshTimer = null;
+        this.iceCredentialsExpiresAt = expiresAt || null;
+        if (!this.iceCredentialsExpiresAt) {
+            return;
+        }
+
+        const delay = Math.max((this.iceCredentialsExpiresAt - Date.now()) * 0.8, 0);
+        this.iceRefreshTimer = setTimeout(() => {
+            this.iceRefreshTimer = null;
+            if (this.isSignalingReady()) {
+                this.sendSignal({ type: 'refresh-ice' });
+            }
+        }, delay);
+    }
+
+    applyRtcConfig(rtcConfig) {
+        if (!rtcConfig || !Array.isArray(rtcConfig.iceServers)) {
+            return;
+        }
+
+        this.rtcConfig = { ...this.rtcConfig, iceServers: rtcConfig.iceServers };
+        this.peers.forEach((peer) => {
+            if (!peer.peerConnection || peer.peerConnection.signalingState === 'closed') {
+                return;
+            }
+
+            try {
+                peer.peerConnection.setConfiguration({
+                    ...peer.peerConnection.getConfiguration(),
+                    iceServers: rtcConfig.iceServers
+                });
+            } catch (error) {
+                console.warn(`[WebRTC] Could not update ICE servers for ${peer.id}:`, error);
+            }
+        });
+        console.log('[WebRTC] ICE servers refreshed');
+    }
+
+    sendRelayChunk(peerId, chunk, offset) {
+        if (!this.isSignalingReady()) {
+            return false;
+        }
+
+        const frame = new Uint8Array(RELAY_FRAME_OFFSET_HEADER_BYTES + chunk.byteLength);
+        frame[0] = RELAY_FRAME_OFFSET_CHUNK;
+        for (let index = 0; index < 8; index += 1) {
+            frame[1 + index] = parseInt(peerId.substr(index * 2, 2), 16);
+        }
+        const header = new DataView(frame.buffer);
+        header.setUint32(RELAY_FRAME_HEADER_BYTES, Math.floor(offset / 2 ** 32));
+        header.setUint32(RELAY_FRAME_HEADER_BYTES + 4, offset % 2 ** 32);
+        frame.set(new Uint8Array(chunk), RELAY_FRAME_OFFSET_HEADER_BYTES);
+        this.ws.send(frame);
+        return true;
+    }
+
+    handleRelayFrame(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const hasOffset = bytes[0] === RELAY_FRAME_OFFSET_CHUNK;
+        const headerBytes = hasOffset ? RELAY_FRAME_OFFSET_HEADER_BYTES : RELAY_FRAME_HEADER_BYTES;
+        if (bytes.length <= headerBytes || (bytes[0] !== RELAY_FRAME_CHUNK && !hasOffset) || !this.onRelayMessage) {
+            return;
+        }
+
+        const from = Array.from(bytes.subarray(1, RELAY_FRAME_HEADER_BYTES))
+            .map((byte) => byte.toString(16).padStart(2, '0'))
+            .join('');
+        const header = new DataView(buffer);
+        const offset = hasOffset
+            ? header.getUint32(RELAY_FRAME_HEADER_BYTES) * 2 ** 32 + header.getUint32(RELAY_FRAME_HEADER_BYTES + 4)
+            : null;
+        this.onRelayMessage({ type: 'relay-chunk', from, offset, data: buffer.slice(headerBytes) });
+    }
+
+    sendSignal(payload) {
+        if (!this.isSignalingReady()) {
+            throw new Error('Signaling connection not ready');
+        }
+
+        this.ws.send(JSON.stringify(payload));
+    }
+
+    sendFile(file, peerId) {
+        const peer = this.getPeer(peerId);
+        if (!peer || !peer.dataChannel || peer.dataChannel.readyState !== 'open') {
+            return Promise.reject(new Error('Data channel not ready'));
+        }
+
+        if (!file) {
+            return Promise.reject(new Error('No file provided'));
+        }
+
+        console.log(`[FileTransfer] Starting transfer to ${peer.id} - file: ${file.name}, size: ${this.formatFileSize(file.size)}, type: ${file.type || 'unknown'}`);
+        const outgoing = this.createOutgoingTransfer(peer, file);
+
+        // Send file metadata first
+        const metadata = {
+            type: 'file-metadata',
+            name: file.name,
+            size: file.size,
+            mimeType: file.type,
+            lastModified: file.lastModified
+        };
+        if (outgoing.id !== null) {
+            metadata.fileId = outgoing.id;
+        }
+
+        try {
+            const metadataStr = JSON.stringify(metadata);
+            outgoing.channel.send(metadataStr);
+            console.log(`[FileTransfer] Metadata sent - name: ${metadata.name}, size: ${metadata.size} bytes, buffered: ${outgoing.channel.bufferedAmount} bytes`);
+        } catch (error) {
+            console.error(`[FileTransfer] Error sending metadata:`, error);
+            this.endOutgoingTransfer(peer, outgoing);
+            return Promise.reject(error);
+        }
+
+        // Read and send file in chunks - return the promise
+        return this.sendFileChunks(peer, outgoing);
+    }
+
+    // How many files the app may send this peer at once
+    getFileConcurrency(peerId) {
+        return this.peerSupports(this.getPeer(peerId), 'multiplex') ? MAX_CONCURRENT_FILES : 1;
+    }
+
+    // Kept until the receiver confirms the file so it can ask for chunks again.
+    // Multiplexing peers get a file ID on every frame and message; older ones
+    // get one file at a time with no ID.
+    createOutgoingTransfer(peer, file) {
+        const id = this.peerSupports(peer, 'multiplex') ? peer.nextFileId++ : null;
+
+        // Progress covers every file in flight, starting over once none are
+        if (peer.outgoingTransfers.size === 0) {
+            peer.stats.startTime = Date.now();
+            peer.stats.bytesTransferred = 0;
+            peer.stats.bytesExpected = 0;
+        }
+        peer.stats.bytesExpected += file.size;
+
+        const outgoing = {
+            id,
+            file,
+            channel: id === null ? peer.dataChannel : this.pickFileChannel(peer, id),
+            totalChunks: Math.ceil(file.size / CHUNK_SIZE),
+            bytesSent: 0,
+            startTime: Date.now(),
+            rejection: null, // Why the receiver turned the file down
+            acceptRequest: null, // Waiting for the receiver's `file-accept`
+            retransmitQueue: new Set(), // Chunk indices the receiver asked for again
+            retransmitting: false,
+            completeMessage: null, // Sent again once retransmitted chunks are out
+            confirm: null,
+            confirmTimer: null,
+            verified: false
+        };
+        peer.outgoingTransfers.set(id, outgoing);
+        return outgoing;
+    }
+
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+    }
+
+    async sendFileChunks(peer, outgoing) {
         const reader = new FileReader();
+        const stats = peer.stats;
+        const { file, channel, totalChunks } = outgoing;
         let offset = 0;
         let chunkIndex = 0;
-        this.stats.startTime = Date.now();
-        this.stats.bytesTransferred = 0;
-        
-        // Calculate total number of chunks
-        const totalChunks = Math.ceil(file.size / CHUNK_SIZE);
 
-        return new Promise((resolve, reject) => {
+        // Chunks are hashed as they go out; their hashes follow in batches
+        const hashBatch = { start: 0, hashes: [] };
+        const hasher = new FileHasher((index, hash) => {
+            hashBatch.hashes.push(hash);
+            if (hashBatch.hashes.length >= CHUNK_HASH_BATCH_SIZE) {
+                this.sendChunkHashes(outgoing, hashBatch);
+            }
+        });
+
+        // A receiver that can resume first says which chunks it still needs
+        const wanted = this.peerSupports(peer, 'resume') ? await this.waitForFileAccept(peer, outgoing) : null;
+        if (wanted && wanted.size < totalChunks) {
+            console.log(`[FileTransfer] ${peer.id} already has ${totalChunks - wanted.size} of ${totalChunks} chunks of ${file.name}, sending the rest`);
+        }
+
+        const sending = new Promise((resolve, reject) => {
             // Check data channel is still open
-            if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
+            if (channel.readyState !== 'open') {
                 reject(new Error('Data channel closed during transfer'));
                 return;
             }
@@ -929,15 +1502,20 @@ class WebRTCManager {
             reader.onload = (e) => {
                 try {
                     const chunk = e.target.result;
-                    
+
                     // Check if data channel is still open
-                    if (!this.dataChannel || this.dataChannel.readyState !== 'open') {
+                    if (channel.readyState !== 'open') {
                         reject(new Error('Data channel closed during transfer'));
                         return;
                     }
-                    
+
+                    if (outgoing.rejection) {
+                        reject(new Error(`Receiver rejected the file: ${outgoing.rejection}`));
+                        return;
+                    }
+
                     // Check if data channel is ready (backpressure handling)
-                    if (this.dataChannel.bufferedAmount > 1024 * 1024) {
+                    if (channel.bufferedAmount > 1024 * 1024) {
                         // Wait a bit if buffer is too large (1MB threshold)
                         setTimeout(() => {
                             if (offset < file.size) {
@@ -949,33 +1527,20 @@ class WebRTCManager {
 
                     // Send chunk with sequence number using efficient binary protocol
                     try {
-                        // Create binary header: [type(1 byte)][index(4 bytes)][totalChunks(4 bytes)][dataLength(4 bytes)][data...]
-                        const headerSize = 13; // 1 + 4 + 4 + 4
-                        const header = new ArrayBuffer(headerSize);
-                        const headerView = new DataView(header);
-                        const headerArray = new Uint8Array(header);
-                        
-                        // Header: type = 0x01 (chunk), index, totalChunks, dataLength
-                        headerArray[0] = 0x01; // Chunk type marker
-                        headerView.setUint32(1, chunkIndex, true); // Little-endian
-                        headerView.setUint32(5, totalChunks, true);
-                        headerView.setUint32(9, chunk.byteLength, true);
-                        
-                        // Combine header + chunk data
-                        const combined = new Uint8Array(headerSize + chunk.byteLength);
-                        combined.set(new Uint8Array(header), 0);
-                        combined.set(new Uint8Array(chunk), headerSize);
-                        
-                        // Send as binary
-                        this.dataChannel.send(combined.buffer);
-                        this.stats.bytesTransferred += chunk.byteLength;
+                        // Chunks the receiver already has are still read for the file hash
+                        if (!wanted || wanted.has(chunkIndex)) {
+                            channel.send(this.buildChunkFrame(outgoing, chunkIndex, chunk));
+                            outgoing.bytesSent += chunk.byteLength;
+                        }
+                        stats.bytesTransferred += chunk.byteLength;
+                        hasher.update(offset, chunk, chunkIndex);
                         offset += CHUNK_SIZE;
                         chunkIndex++;
-                        
+
                         // Log every 1MB sent
-                        if (this.stats.bytesTransferred % (1024 * 1024) < CHUNK_SIZE) {
-                            const progress = ((this.stats.bytesTransferred / file.size) * 100).toFixed(1);
-                            console.log(`[FileTransfer] Progress: ${progress}% (${this.formatFileSize(this.stats.bytesTransferred)} / ${this.formatFileSize(file.size)}) - chunk ${chunkIndex}/${totalChunks}`);
+                        if (outgoing.bytesSent > 0 && outgoing.bytesSent % (1024 * 1024) < CHUNK_SIZE) {
+                            const progress = ((outgoing.bytesSent / file.size) * 100).toFixed(1);
+                            console.log(`[FileTransfer] Progress: ${progress}% (${this.formatFileSize(outgoing.bytesSent)} / ${this.formatFileSize(file.size)}) - chunk ${chunkIndex}/${totalChunks} - ${file.name}`);
                         }
                     } catch (error) {
                         console.error(`[FileTransfer] Error sending chunk:`, error);
@@ -985,52 +1550,16 @@ class WebRTCManager {
 
                     // Update progress
                     if (this.onProgress) {
-                        const progress = Math.min((offset / file.size) * 100, 100);
-                        this.onProgress(progress, this.stats.bytesTransferred, this.stats.startTime);
+                        const progress = Math.min((stats.bytesTransferred / stats.bytesExpected) * 100, 100);
+                        this.onProgress(progress, stats.bytesTransferred, stats.startTime, peer.id);
                     }
 
                     if (offset < file.size) {
                         // Read next chunk
                         reader.readAsArrayBuffer(file.slice(offset, offset + CHUNK_SIZE));
                     } else {
-                        // File transfer complete - calculate checksum for integrity verification (if available)
-                        if (typeof crypto !== 'undefined' && crypto.subtle) {
-                            this.calculateFileChecksum(file).then(checksum => {
-                                const elapsed = ((Date.now() - this.stats.startTime) / 1000).toFixed(2);
-                                const speed = (this.stats.bytesTransferred / (Date.now() - this.stats.startTime) * 1000).toFixed(0);
-                                console.log(`[FileTransfer] Transfer complete - file: ${file.name}, size: ${this.formatFileSize(file.size)}, time: ${elapsed}s, speed: ${this.formatFileSize(speed)}/s, chunks: ${totalChunks}, checksum: ${checksum.substring(0, 16)}...`);
-                                this.dataChannel.send(JSON.stringify({
-                                    type: 'file-complete',
-                                    fileName: file.name,
-                                    totalChunks: totalChunks,
-                                    checksum: checksum
-                                }));
-                                resolve();
-                            }).catch(error => {
-                                console.warn(`[FileTransfer] Could not calculate checksum:`, error.message || error);
-                                // Continue without checksum
-                                const elapsed = ((Date.now() - this.stats.startTime) / 1000).toFixed(2);
-                                const speed = (this.stats.bytesTransferred / (Date.now() - this.stats.startTime) * 1000).toFixed(0);
-                                console.log(`[FileTransfer] Transfer complete - file: ${file.name}, size: ${this.formatFileSize(file.size)}, time: ${elapsed}s, speed: ${this.formatFileSize(speed)}/s, chunks: ${totalChunks}`);
-                                this.dataChannel.send(JSON.stringify({
-                                    type: 'file-complete',
-                                    fileName: file.name,
-                                    totalChunks: totalChunks
-                                }));
-                                resolve();
-                            });
-                        } else {
-                            // crypto.subtle not available (HTTP context) - skip checksum
-                            const elapsed = ((Date.now() - this.stats.startTime) / 1000).toFixed(2);
-                            const speed = (this.stats.bytesTransferred / (Date.now() - this.stats.startTime) * 1000).toFixed(0);
-                            console.log(`[FileTransfer] Transfer complete - file: ${file.name}, size: ${this.formatFileSize(file.size)}, time: ${elapsed}s, speed: ${this.formatFileSize(speed)}/s, chunks: ${totalChunks} (integrity check skipped - requires HTTPS)`);
-                            this.dataChannel.send(JSON.stringify({
-                                type: 'file-complete',
-                                fileName: file.name,
-                                totalChunks: totalChunks
-                            }));
-                            resolve();
-                        }
+                        // File transfer complete - send the checksum once the hasher catches up
+                        this.completeSentFile(outgoing, hasher, hashBatch).then(resolve, reject);
                     }
                 } catch (error) {
                     console.error(`[FileTransfer] Error in sendFileChunks:`, error);
@@ -1054,9 +1583,229 @@ class WebRTCManager {
                 reject(new Error('Failed to start reading file: ' + error.message));
             }
         });
+
+        return sending
+            .finally(() => hasher.close())
+            .then((checksum) => this.confirmSentFile(peer, outgoing).then(() => checksum))
+            .finally(() => this.endOutgoingTransfer(peer, outgoing));
+    }
+
+    // Resolves with the chunk indices the receiver still needs, or null for all of them
+    waitForFileAccept(peer, outgoing) {
+        return new Promise((resolve) => {
+            const settle = (ranges) => {
+                clearTimeout(timer);
+                outgoing.acceptRequest = null;
+                resolve(ranges ? fromChunkRanges(ranges, outgoing.totalChunks) : null);
+            };
+            const timer = setTimeout(() => {
+                console.warn(`[FileTransfer] ${peer.id} did not answer for ${outgoing.file.name}, sending all of it`);
+                settle(null);
+            }, FILE_ACCEPT_TIMEOUT_MS);
+            outgoing.acceptRequest = { settle };
+        });
+    }
+
+    buildChunkFrame(outgoing, chunkIndex, chunk) {
+        const v2 = outgoing.id !== null;
+        const headerSize = v2 ? CHUNK_FRAME_V2_HEADER_BYTES : CHUNK_FRAME_HEADER_BYTES;
+        const frame = new Uint8Array(headerSize + chunk.byteLength);
+        const headerView = new DataView(frame.buffer);
+
+        if (v2) {
+            frame[0] = CHUNK_FRAME_V2;
+            headerView.setUint32(1, outgoing.id, true);
+            headerView.setUint32(5, chunkIndex, true);
+        } else {
+            frame[0] = CHUNK_FRAME;
+            headerView.setUint32(1, chunkIndex, true);
+            headerView.setUint32(5, outgoing.totalChunks, true);
+            headerView.setUint32(9, chunk.byteLength, true);
+        }
+        frame.set(new Uint8Array(chunk), headerSize);
+        return frame.buffer;
+    }
+
+    sendChunkHashes(outgoing, batch) {
+        if (outgoing.channel.readyState !== 'open') {
+            return;
+        }
+
+        outgoing.channel.send(JSON.stringify({
+            type: 'chunk-hashes',
+            ...fileFields(outgoing.id, outgoing.file.name),
+            start: batch.start,
+            hashes: batch.hashes
+        }));
+        batch.start += batch.hashes.length;
+        batch.hashes = [];
+    }
+
+    // Resolves with the file's SHA-256 (null if it couldn't be computed)
+    async completeSentFile(outgoing, hasher, hashBatch) {
+        const { file, channel, totalChunks } = outgoing;
+        let checksum = null;
+        try {
+            checksum = await hasher.digest();
+        } catch (error) {
+            // Continue without checksum
+            console.warn(`[FileTransfer] Could not calculate checksum:`, error.message || error);
+        }
+
+        if (channel.readyState !== 'open') {
+            throw new Error('Data channel closed during transfer');
+        }
+
+        if (hashBatch.hashes.length > 0) {
+            this.sendChunkHashes(outgoing, hashBatch);
+        }
+
+        const elapsed = ((Date.now() - outgoing.startTime) / 1000).toFixed(2);
+        const speed = (outgoing.bytesSent / (Date.now() - outgoing.startTime) * 1000).toFixed(0);
+        console.log(`[FileTransfer] Transfer complete - file: ${file.name}, size: ${this.formatFileSize(file.size)}, time: ${elapsed}s, speed: ${this.formatFileSize(speed)}/s, chunks: ${totalChunks}${checksum ? `, checksum: ${checksum.substring(0, 16)}...` : ''}`);
+
+        const complete = {
+            type: 'file-complete',
+            ...fileFields(outgoing.id, file.name),
+            totalChunks: totalChunks
+        };
+        if (checksum) {
+            complete.checksum = checksum;
+        }
+        outgoing.completeMessage = complete;
+        channel.send(JSON.stringify(complete));
+        return checksum;
+    }
+
+    // Receivers that can ask for chunks again confirm each file once its
+    // checksum matches; until then the file isn't sent.
+    confirmSentFile(peer, outgoing) {
+        if (!this.peerSupports(peer, 'chunk-nack') || outgoing.verified) {
+            return Promise.resolve();
+        }
+
+        if (outgoing.rejection) {
+            return Promise.reject(new Error(`Receiver rejected the file: ${outgoing.rejection}`));
+        }
+
+        console.log(`[FileTransfer] Waiting for ${peer.id} to confirm ${outgoing.file.name}`);
+        return new Promise((resolve, reject) => {
+            outgoing.confirm = { resolve, reject };
+            this.refreshConfirmTimer(outgoing);
+        });
+    }
+
+    refreshConfirmTimer(outgoing) {
+        if (!outgoing.confirm) {
+            return;
+        }
+
+        clearTimeout(outgoing.confirmTimer);
+        outgoing.confirmTimer = setTimeout(() => {
+            this.settleOutgoingTransfer(outgoing, new Error('Receiver did not confirm the file'));
+        }, FILE_CONFIRM_TIMEOUT_MS);
+    }
+
+    settleOutgoingTransfer(outgoing, error = null) {
+        if (!error) {
+            outgoing.verified = true;
+        }
+
+        const confirm = outgoing.confirm;
+        outgoing.confirm = null;
+        clearTimeout(outgoing.confirmTimer);
+        if (!confirm) {
+            return;
+        }
+
+        if (error) {
+            confirm.reject(error);
+        } else {
+            confirm.resolve();
+        }
+    }
+
+    // Fails the transfers on `channel`, or all of the peer's without one
+    abortOutgoingTransfers(peer, channel = null) {
+        peer.outgoingTransfers.forEach((outgoing) => {
+            if (channel && outgoing.channel !== channel) {
+                return;
+            }
+            if (outgoing.acceptRequest) {
+                outgoing.acceptRequest.settle(null);
+            }
+            this.settleOutgoingTransfer(outgoing, new Error('Data channel closed during transfer'));
+        });
+    }
+
+    endOutgoingTransfer(peer, outgoing) {
+        clearTimeout(outgoing.confirmTimer);
+        outgoing.retransmitQueue.clear();
+        if (peer.outgoingTransfers.get(outgoing.id) === outgoing) {
+            peer.outgoingTransfers.delete(outgoing.id);
+        }
+    }
+
+    // Replies name the file by ID on the multiplexed protocol, by name before it
+    findOutgoingTransfer(peer, message) {
+        const id = Number.isInteger(message.fileId) ? message.fileId : null;
+        const outgoing = peer.outgoingTransfers.get(id);
+        return outgoing && outgoing.file.name === message.fileName ? outgoing : null;
+    }
+
+    handleChunkNack(peer, message) {
+        const outgoing = this.findOutgoingTransfer(peer, message);
+        if (!outgoing || !Array.isArray(message.ranges)) {
+            return;
+        }
+
+        const requested = fromChunkRanges(message.ranges, outgoing.totalChunks);
+        requested.forEach((index) => outgoing.retransmitQueue.add(index));
+
+        console.warn(`[FileTransfer] ${peer.id} asked for ${requested.size} chunk(s) of ${outgoing.file.name} again`);
+        this.refreshConfirmTimer(outgoing);
+        this.retransmitChunks(peer, outgoing);
+    }
+
+    // Re-reads just the requested slices of the file. If the first pass is
+    // already done, file-complete goes out again so the receiver checks again.
+    async retransmitChunks(peer, outgoing) {
+        if (outgoing.retransmitting) {
+            return;
+        }
+
+        const channel = outgoing.channel;
+        outgoing.retransmitting = true;
+        try {
+            while (outgoing.retransmitQueue.size > 0) {
+                if (channel.readyState !== 'open' || peer.outgoingTransfers.get(outgoing.id) !== outgoing) {
+                    return;
+                }
+
+                if (channel.bufferedAmount > 1024 * 1024) {
+                    await new Promise((resolve) => setTimeout(resolve, 100));
+                    continue;
+                }
+
+                const index = outgoing.retransmitQueue.values().next().value;
+                outgoing.retransmitQueue.delete(index);
+                const offset = index * CHUNK_SIZE;
+                const chunk = await outgoing.file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+                channel.send(this.buildChunkFrame(outgoing, index, chunk));
+            }
+
+            if (outgoing.completeMessage && channel.readyState === 'open') {
+                channel.send(JSON.stringify(outgoing.completeMessage));
+            }
+        } catch (error) {
+            console.error(`[FileTransfer] Error retransmitting chunks:`, error);
+            this.settleOutgoingTransfer(outgoing, error);
+        } finally {
+            outgoing.retransmitting = false;
+        }
     }
 
-    handleDataChannelMessage(data) {
+    handleDataChannelMessage(data, peer) {
         // Handle different data types from data channel
         let messageData = null;
         let arrayBuffer = null;
@@ -1068,7 +1817,7 @@ class WebRTCManager {
             // Blob - convert to ArrayBuffer asynchronously
             const reader = new FileReader();
             reader.onload = (e) => {
-                this.handleDataChannelMessage(e.target.result);
+                this.handleDataChannelMessage(e.target.result, peer);
             };
             reader.onerror = (error) => {
                 console.error(`[FileTransfer] Error reading Blob:`, error);
@@ -1095,50 +1844,91 @@ class WebRTCManager {
         if (arrayBuffer) {
             const view = new DataView(arrayBuffer);
             
-            // Check if this is a structured chunk (starts with type marker 0x01)
-            if (arrayBuffer.byteLength >= 13 && view.getUint8(0) === 0x01) {
-                // New protocol: binary chunk with header
+            // Only multiplexing peers send v2 frames, so older ones can't be misread
+            if (arrayBuffer.byteLength >= CHUNK_FRAME_V2_HEADER_BYTES && view.getUint8(0) === CHUNK_FRAME_V2 && this.peerSupports(peer, 'multiplex')) {
+                this.handleChunkWithSequence({
+                    fileId: view.getUint32(1, true),
+                    index: view.getUint32(5, true),
+                    data: arrayBuffer.slice(CHUNK_FRAME_V2_HEADER_BYTES)
+                }, peer);
+                return;
+            } else if (arrayBuffer.byteLength >= CHUNK_FRAME_HEADER_BYTES && view.getUint8(0) === CHUNK_FRAME) {
+                // Check if this is a structured chunk (starts with type marker 0x01)
                 const chunkIndex = view.getUint32(1, true); // Little-endian
                 const totalChunks = view.getUint32(5, true);
                 const dataLength = view.getUint32(9, true);
-                const chunkData = arrayBuffer.slice(13, 13 + dataLength);
+                const chunkData = arrayBuffer.slice(CHUNK_FRAME_HEADER_BYTES, CHUNK_FRAME_HEADER_BYTES + dataLength);
                 
                 this.handleChunkWithSequence({
+                    fileId: null,
                     index: chunkIndex,
                     totalChunks: totalChunks,
                     data: chunkData
-                });
+                }, peer);
                 return;
             } else {
                 // Legacy protocol: plain binary chunk (no header)
                 console.log(`[FileTransfer] Received legacy binary chunk: ${arrayBuffer.byteLength} bytes`);
-                this.addReceivedChunk(arrayBuffer);
+                this.addReceivedChunk(arrayBuffer, peer);
                 return;
             }
         }
         
         // Process JSON messages
         if (messageData) {
-            if (messageData.type === 'file-metadata') {
-                this.handleFileMetadata(messageData);
+            if (messageData.type === 'hello') {
+                this.handleHello(peer, messageData);
+            } else if (messageData.type === 'file-metadata') {
+                this.handleFileMetadata(messageData, peer);
             } else if (messageData.type === 'file-complete') {
-                this.handleFileComplete(messageData);
+                this.handleFileComplete(messageData, peer);
+            } else if (messageData.type === 'chunk-hashes') {
+                this.handleChunkHashes(messageData, peer);
+            } else if (messageData.type === 'chunk-nack') {
+                this.handleChunkNack(peer, messageData);
+            } else if (messageData.type === 'file-accept') {
+                const outgoing = this.findOutgoingTransfer(peer, messageData);
+                if (outgoing && outgoing.acceptRequest) {
+                    outgoing.acceptRequest.settle(Array.isArray(messageData.ranges) ? messageData.ranges : null);
+                }
+            } else if (messageData.type === 'file-verified') {
+                console.log(`[FileTransfer] ${peer.id} confirmed ${messageData.fileName}`);
+                const outgoing = this.findOutgoingTransfer(peer, messageData);
+                if (outgoing) {
+                    this.settleOutgoingTransfer(outgoing);
+                }
+            } else if (messageData.type === 'file-rejected') {
+                // Receiver can't take the file (e.g. no space left, or it arrived corrupted); stop sending it
+                console.warn(`[FileTransfer] ${peer.id} rejected ${messageData.fileName}: ${messageData.reason}`);
+                const outgoing = this.findOutgoingTransfer(peer, messageData);
+                if (outgoing) {
+                    outgoing.rejection = messageData.reason || 'unknown reason';
+                    this.settleOutgoingTransfer(outgoing, new Error(`Receiver rejected the file: ${outgoing.rejection}`));
+                }
             } else if (messageData.type === 'chunk-ack') {
-                // Chunk acknowledgment (for future retry mechanism)
-                console.log(`[FileTransfer] Received chunk ACK: ${messageData.chunkIndex}`);
+                // Older receivers acknowledge every chunk; missing chunks come back as chunk-nack now
             } else {
                 console.log(`[FileTransfer] Unknown message type: ${messageData.type}`);
             }
         }
     }
     
-    handleChunkWithSequence(chunkData) {
-        if (!this.currentFile) {
-            console.warn(`[FileTransfer] Received chunk but no current file metadata`);
+    handleChunkWithSequence(chunkData, peer) {
+        const file = this.getIncomingFile(peer, chunkData.fileId);
+        if (!file) {
+            // v2 chunks of a file we gave up on keep coming until the sender stops
+            if (chunkData.fileId === null) {
+                console.warn(`[FileTransfer] Received chunk but no current file metadata`);
+            }
+            return;
+        }
+
+        if (file.error) {
             return;
         }
         
-        const { index, totalChunks, data } = chunkData;
+        const { index, data } = chunkData;
+        const totalChunks = chunkData.fileId === null ? chunkData.totalChunks : file.expectedChunkCount;
         const chunkBuffer = data instanceof ArrayBuffer ? data : new Uint8Array(data).buffer;
         
         // Validate chunk index
@@ -1148,263 +1938,706 @@ class WebRTCManager {
         }
         
         // Check if we already received this chunk (duplicate detection)
-        if (this.receivedChunkIndices.has(index)) {
+        if (file.receivedChunks.has(index)) {
             console.warn(`[FileTransfer] Duplicate chunk received: ${index}`);
-            // Still send ACK
-            this.sendChunkAck(index);
             return;
         }
         
-        // Store chunk by index
-        this.chunkMap.set(index, chunkBuffer);
-        this.receivedChunkIndices.add(index);
-        this.stats.bytesTransferred += chunkBuffer.byteLength;
-        
-        // Send acknowledgment
-        this.sendChunkAck(index);
+        file.receivedChunks.add(index);
+        this.countReceivedBytes(file, chunkBuffer.byteLength);
+        if (file.verifyChunks) {
+            // Held back until its hash checks out
+            file.heldChunks.set(index, chunkBuffer);
+            file.hasher.hashChunk(index, chunkBuffer);
+            if (file.requestedChunks.delete(index) && file.retransmitTimer) {
+                // Chunks we asked for are arriving, so give the rest more time
+                this.armRetransmitTimer(peer, file);
+            }
+        } else {
+            this.queueChunkWrite(peer, file, index, chunkBuffer);
+        }
         
         // Update progress
-        if (this.onProgress) {
-            const progress = Math.min((this.stats.bytesTransferred / this.currentFile.size) * 100, 100);
-            this.onProgress(progress, this.stats.bytesTransferred, this.stats.startTime);
-        }
+        this.reportIncomingProgress();
         
         // Log progress every 10%
-        const progressPercent = Math.floor((this.stats.bytesTransferred / this.currentFile.size) * 100);
+        const progressPercent = Math.floor((file.bytesReceived / file.size) * 100);
         if (progressPercent % 10 === 0 && progressPercent > 0) {
-            const receivedCount = this.receivedChunkIndices.size;
-            console.log(`[FileTransfer] Progress: ${progressPercent}% - ${this.formatFileSize(this.stats.bytesTransferred)} / ${this.formatFileSize(this.currentFile.size)} - chunks: ${receivedCount}/${totalChunks} - ${this.currentFile.name}`);
+            const receivedCount = file.receivedChunks.size;
+            console.log(`[FileTransfer] Progress: ${progressPercent}% - ${this.formatFileSize(file.bytesReceived)} / ${this.formatFileSize(file.size)} - chunks: ${receivedCount}/${totalChunks} - ${file.name}`);
         }
         
         // Check if we have all chunks
-        if (this.receivedChunkIndices.size === totalChunks) {
+        if (file.receivedChunks.size === totalChunks) {
             console.log(`[FileTransfer] All chunks received (${totalChunks}), ready to reassemble`);
         }
     }
     
-    sendChunkAck(chunkIndex) {
-        if (this.dataChannel && this.dataChannel.readyState === 'open') {
-            try {
-                this.dataChannel.send(JSON.stringify({
-                    type: 'chunk-ack',
-                    chunkIndex: chunkIndex
-                }));
-            } catch (error) {
-                console.error(`[FileTransfer] Error sending chunk ACK:`, error);
-            }
+    handleFileMetadata(metadata, peer) {
+        console.log(`[FileTransfer] Received metadata - name: ${metadata.name}, size: ${this.formatFileSize(metadata.size)}, type: ${metadata.mimeType || metadata.type || 'unknown'}`);
+        const fileId = Number.isInteger(metadata.fileId) && this.peerSupports(peer, 'multiplex') ? metadata.fileId : null;
+        this.discardIncomingFile(peer, this.getIncomingFile(peer, fileId));
+        if (!this.hasIncomingFiles()) {
+            this.stats.startTime = Date.now();
+            this.stats.bytesTransferred = 0;
+            this.stats.bytesExpected = 0;
         }
-    }
+        this.stats.bytesExpected += metadata.size;
 
-    handleFileMetadata(metadata) {
-        console.log(`[FileTransfer] Received metadata - name: ${metadata.name}, size: ${this.formatFileSize(metadata.size)}, type: ${metadata.mimeType || metadata.type || 'unknown'}`);
-        this.currentFile = {
+        const file = {
+            id: fileId,
             name: metadata.name,
             size: metadata.size,
             type: metadata.mimeType || metadata.type, // Support both for backward compatibility
             lastModified: metadata.lastModified,
-            chunks: []
+            expectedChunkCount: Math.ceil(metadata.size / CHUNK_SIZE),
+            receivedChunks: new Set(), // Chunk indices we have (or are checking)
+            nextWrite: 0, // Chunks before this have gone to the hasher and the sink
+            readyChunks: new Map(), // Map<chunkIndex, ArrayBuffer, or null if it's in the journal> waiting for an earlier chunk
+            readyBytes: 0,
+            unwrittenBytes: 0,
+            bytesReceived: 0,
+            startTime: Date.now(),
+            detached: false, // No longer current: finished, failed or dropped
+            legacyChunkCount: 0,
+            sink: null,
+            error: null,
+            hasher: null,
+            // Senders that retransmit also hash every chunk; their chunks are
+            // only written once they match, and bad ones are asked for again
+            verifyChunks: this.enableIntegrityCheck && this.peerSupports(peer, 'chunk-nack'),
+            heldChunks: new Map(), // Map<chunkIndex, ArrayBuffer> waiting for a hash check
+            chunkHashes: new Map(), // Map<chunkIndex, hash> ours, until the sender's arrives
+            expectedHashes: new Map(), // Map<chunkIndex, hash> the sender's, until ours is ready
+            requestedChunks: new Set(), // Asked for again and not yet back
+            pendingNacks: new Set(), // About to be asked for again
+            chunkRetries: new Map(), // Map<chunkIndex, times asked for again>
+            nackTimer: null,
+            retransmitTimer: null,
+            completeData: null,
+            journal: null, // ResumableTransfer holding checked chunks (see transfer-store.js)
+            draining: null, // Ready chunks still being written, while that waits on the journal
+            checksum: null,
+            verified: null
         };
-        this.receivedChunks = [];
-        this.chunkMap.clear();
-        this.receivedChunkIndices.clear();
-        this.expectedChunkCount = Math.ceil(metadata.size / CHUNK_SIZE);
-        this.stats.startTime = Date.now();
-        this.stats.bytesTransferred = 0;
+        if (this.enableIntegrityCheck) {
+            file.hasher = new FileHasher((index, hash) => {
+                file.chunkHashes.set(index, hash);
+                this.compareChunkHash(peer, file, index);
+            });
+        }
+        if (fileId === null) {
+            this.currentFile = file;
+        } else {
+            peer.incomingFiles.set(fileId, file);
+        }
+
+        // Chunks that arrive while the sink opens queue up behind it
+        file.writes = createFileSink(file).then((sink) => {
+            file.sink = sink;
+        }).catch((error) => this.failIncomingFile(peer, file, error));
 
         if (this.onFileMetadata) {
-            this.onFileMetadata(this.currentFile);
+            this.onFileMetadata(file);
+        }
+
+        // The sender waits to hear which chunks we still need
+        if (this.peerSupports(peer, 'resume')) {
+            this.acceptIncomingFile(peer, file);
         }
     }
 
-    handleFileComplete(completeData) {
-        if (!this.currentFile) {
-            console.warn(`[FileTransfer] Received file-complete but no current file`);
+    // Looks up what an earlier attempt stored of this file and asks the sender
+    // for the rest. The stored chunks are written to the sink meanwhile.
+    async acceptIncomingFile(peer, file) {
+        if (file.verifyChunks) {
+            try {
+                file.journal = await ResumableTransfer.open(file);
+            } catch (error) {
+                console.warn(`[FileTransfer] Could not look up earlier attempts at ${file.name}:`, error.message || error);
+            }
+        }
+
+        if (file.error || file.detached) {
             return;
         }
 
-        const expectedChunks = completeData?.totalChunks || this.expectedChunkCount;
-        const receivedChunkCount = this.chunkMap.size > 0 ? this.chunkMap.size : this.receivedChunks.length;
-        
-        // Check if all chunks were received
-        if (receivedChunkCount < expectedChunks) {
-            const missingChunks = [];
-            for (let i = 0; i < expectedChunks; i++) {
-                if (!this.receivedChunkIndices.has(i) && !this.chunkMap.has(i)) {
-                    missingChunks.push(i);
-                }
-            }
-            console.error(`[FileTransfer] Missing chunks detected: ${missingChunks.length} chunks missing (indices: ${missingChunks.slice(0, 10).join(', ')}${missingChunks.length > 10 ? '...' : ''})`);
-            console.error(`[FileTransfer] Expected ${expectedChunks} chunks, received ${receivedChunkCount}`);
-            
-            if (this.onError) {
-                this.onError(new Error(`File transfer incomplete: ${missingChunks.length} chunks missing. The file may be corrupted.`));
+        // Counted as received now so chunks that arrive meanwhile don't overlap
+        // them; they're read back from the journal when their turn to be written comes
+        const stored = file.journal ? Array.from(file.journal.chunks).filter((index) => index < file.expectedChunkCount) : [];
+        stored.forEach((index) => {
+            file.receivedChunks.add(index);
+            file.readyChunks.set(index, null);
+            this.countReceivedBytes(file, chunkByteLength(file.size, index));
+        });
+
+        const missing = [];
+        for (let i = 0; i < file.expectedChunkCount; i++) {
+            if (!file.receivedChunks.has(i)) {
+                missing.push(i);
             }
-            // Continue anyway - might be recoverable
         }
 
-        // Reassemble file from chunks
-        let chunksToReassemble = [];
-        let totalSize = 0;
-        
-        if (this.chunkMap.size > 0) {
-            // New protocol: use chunkMap with sequence numbers
-            chunksToReassemble = [];
-            for (let i = 0; i < expectedChunks; i++) {
-                const chunk = this.chunkMap.get(i);
-                if (chunk) {
-                    chunksToReassemble.push(chunk);
-                    totalSize += chunk.byteLength;
-                } else {
-                    console.error(`[FileTransfer] Missing chunk at index ${i}`);
-                    // Create empty chunk as placeholder (file will be corrupted but won't crash)
-                    const placeholderSize = i === expectedChunks - 1 
-                        ? (this.currentFile.size % CHUNK_SIZE || CHUNK_SIZE)
-                        : CHUNK_SIZE;
-                    chunksToReassemble.push(new ArrayBuffer(placeholderSize));
-                    totalSize += placeholderSize;
-                }
+        if (peer.dataChannel && peer.dataChannel.readyState === 'open') {
+            peer.dataChannel.send(JSON.stringify({ type: 'file-accept', ...fileFields(file.id, file.name), ranges: toChunkRanges(missing) }));
+        }
+
+        if (stored.length > 0) {
+            console.log(`[FileTransfer] Resuming ${file.name} - ${stored.length} of ${file.expectedChunkCount} chunks already stored`);
+            this.writeReadyChunks(peer, file);
+            this.reportIncomingProgress();
+        }
+    }
+
+    // v2 messages name their file; everything else is about the one current file
+    getIncomingFile(peer, fileId) {
+        if (fileId === null || fileId === undefined) {
+            return this.currentFile;
+        }
+        return peer.incomingFiles.get(fileId) || null;
+    }
+
+    hasIncomingFiles() {
+        return Boolean(this.currentFile) || Array.from(this.peers.values()).some((peer) => peer.incomingFiles.size > 0);
+    }
+
+    // Lets the next file with this ID (or the next legacy file) take its place
+    detachIncomingFile(peer, file) {
+        file.detached = true;
+        if (file.id === null) {
+            if (this.currentFile === file) {
+                this.currentFile = null;
             }
-        } else {
-            // Legacy protocol: use receivedChunks array
-            chunksToReassemble = this.receivedChunks;
-            totalSize = chunksToReassemble.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+        } else if (peer && peer.incomingFiles.get(file.id) === file) {
+            peer.incomingFiles.delete(file.id);
         }
-        
-        const elapsed = ((Date.now() - this.stats.startTime) / 1000).toFixed(2);
-        const speed = (totalSize / (Date.now() - this.stats.startTime) * 1000).toFixed(0);
-        
-        console.log(`[FileTransfer] Reassembling file - name: ${this.currentFile.name}, expected: ${this.formatFileSize(this.currentFile.size)}, received: ${this.formatFileSize(totalSize)}, chunks: ${receivedChunkCount}/${expectedChunks}, time: ${elapsed}s, speed: ${this.formatFileSize(speed)}/s`);
-        
-        if (totalSize !== this.currentFile.size) {
-            console.warn(`[FileTransfer] Size mismatch - expected: ${this.currentFile.size} bytes, received: ${totalSize} bytes`);
+    }
+
+    countReceivedBytes(file, bytes) {
+        file.bytesReceived += bytes;
+        this.stats.bytesTransferred += bytes;
+    }
+
+    reportIncomingProgress() {
+        if (this.onProgress && this.stats.bytesExpected > 0) {
+            const progress = Math.min((this.stats.bytesTransferred / this.stats.bytesExpected) * 100, 100);
+            this.onProgress(progress, this.stats.bytesTransferred, this.stats.startTime);
         }
-        
-        // Verify chunk order (for new protocol)
-        if (this.chunkMap.size > 0) {
-            let isOrdered = true;
-            for (let i = 0; i < chunksToReassemble.length; i++) {
-                if (!this.chunkMap.has(i)) {
-                    isOrdered = false;
-                    break;
-                }
+    }
+
+    writeReceivedChunk(peer, file, offset, data) {
+        const bytes = data.byteLength;
+        if (file.unwrittenBytes + bytes > MAX_UNWRITTEN_BYTES) {
+            this.failIncomingFile(peer, file, new Error('Saving the file fell too far behind the transfer'));
+            return;
+        }
+
+        // Hashed before the sink may take ownership of the buffer
+        if (file.hasher) {
+            file.hasher.update(offset, data);
+        }
+        file.unwrittenBytes += bytes;
+        file.writes = file.writes.then(() => {
+            if (file.sink && !file.error) {
+                return file.sink.write(offset, data);
             }
-            if (!isOrdered) {
-                console.warn(`[FileTransfer] Chunks are not in order - some chunks may be missing`);
+        }).catch((error) => this.failIncomingFile(peer, file, error)).then(() => {
+            file.unwrittenBytes -= bytes;
+        });
+    }
+
+    // Gives up on the file being received and, if the channel is still up,
+    // tells the sender to stop streaming it.
+    failIncomingFile(peer, file, error) {
+        if (file.error) {
+            return;
+        }
+
+        file.error = error;
+        console.error(`[FileTransfer] Could not save ${file.name}:`, error.message || error);
+        this.stopChunkRequests(file);
+        if (file.journal) {
+            file.journal.remove();
+        }
+        if (file.sink) {
+            file.sink.abort().catch(() => {});
+        }
+        if (file.hasher) {
+            file.hasher.close();
+        }
+
+        // Legacy files stay current so their remaining chunks are ignored quietly
+        if (file.id !== null) {
+            this.detachIncomingFile(peer, file);
+        }
+
+        if (peer && peer.dataChannel && peer.dataChannel.readyState === 'open') {
+            try {
+                peer.dataChannel.send(JSON.stringify({
+                    type: 'file-rejected',
+                    ...fileFields(file.id, file.name),
+                    reason: error.message
+                }));
+            } catch (sendError) {
+                console.error(`[FileTransfer] Error sending file rejection:`, sendError);
             }
         }
-        
-        const blob = new Blob(chunksToReassemble, { type: this.currentFile.type });
-        
-        // Optional: Verify integrity with checksum (if enabled and crypto.subtle is available)
-        if (this.enableIntegrityCheck && completeData?.checksum) {
-            if (typeof crypto !== 'undefined' && crypto.subtle) {
-                this.verifyFileIntegrity(blob, completeData.checksum).then(isValid => {
-                    if (!isValid) {
-                        console.warn(`[FileTransfer] File integrity check failed - file may be corrupted (but download completed)`);
-                        // Don't show error to user - file was received, just couldn't verify
-                    } else {
-                        console.log(`[FileTransfer] File integrity verified successfully`);
-                    }
-                }).catch(error => {
-                    console.warn(`[FileTransfer] Could not verify file integrity:`, error.message || error);
-                    // Don't fail the transfer - integrity check is optional
-                });
-            } else {
-                console.warn(`[FileTransfer] Integrity check skipped - crypto.subtle not available (requires HTTPS)`);
+
+        if (this.onError) {
+            this.onError(error);
+        }
+    }
+
+    // Drops a partly received file without reporting an error
+    discardIncomingFile(peer, file) {
+        if (!file) {
+            return;
+        }
+
+        this.detachIncomingFile(peer, file);
+        this.stopChunkRequests(file);
+        if (!file.error) {
+            file.error = new Error('Transfer interrupted');
+            file.writes.then(() => file.sink && file.sink.abort()).catch(() => {});
+            if (file.hasher) {
+                file.hasher.close();
             }
         }
-        
-        // Create download link
-        console.log(`[FileTransfer] Triggering download - file: ${this.currentFile.name}`);
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = this.currentFile.name;
-        document.body.appendChild(a); // Required for some browsers
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        console.log(`[FileTransfer] Download complete - file: ${this.currentFile.name}`);
+    }
 
-        this.receivedFiles.push({
-            ...this.currentFile,
-            blob: blob
+    // Drops the legacy file and, given a peer, everything it was sending us
+    discardIncomingFiles(peer = null) {
+        this.discardIncomingFile(peer, this.currentFile);
+        if (peer) {
+            Array.from(peer.incomingFiles.values()).forEach((file) => this.discardIncomingFile(peer, file));
+        }
+    }
+
+    handleChunkHashes(message, peer) {
+        const file = this.getIncomingFile(peer, message.fileId);
+        if (!file || file.error || !file.verifyChunks || !Array.isArray(message.hashes)) {
+            return;
+        }
+
+        message.hashes.forEach((hash, i) => {
+            const index = message.start + i;
+            // Restored from an earlier attempt, so already checked
+            if (file.receivedChunks.has(index) && !file.heldChunks.has(index)) {
+                return;
+            }
+            file.expectedHashes.set(index, hash);
+            // Hashes follow their chunks on the channel, so this one went missing
+            if (!file.receivedChunks.has(index) && !file.requestedChunks.has(index)) {
+                this.queueChunkRequest(peer, file, index);
+                return;
+            }
+            this.compareChunkHash(peer, file, index);
         });
+    }
 
-        if (this.onFileReceived) {
-            this.onFileReceived(this.currentFile);
+    // Our hash of a chunk and the sender's arrive independently; whichever
+    // comes second settles it. A chunk that matches is written; one that
+    // doesn't is dropped and asked for again, keeping the sender's hash.
+    compareChunkHash(peer, file, index) {
+        const hash = file.chunkHashes.get(index);
+        const expected = file.expectedHashes.get(index);
+        if (!hash || !expected || !file.heldChunks.has(index) || file.error) {
+            return;
         }
 
-        // Cleanup
-        this.currentFile = null;
-        this.receivedChunks = [];
-        this.chunkMap.clear();
-        this.receivedChunkIndices.clear();
-        this.expectedChunkCount = 0;
+        const data = file.heldChunks.get(index);
+        file.heldChunks.delete(index);
+        file.chunkHashes.delete(index);
+        if (hash !== expected) {
+            console.error(`[FileTransfer] Chunk ${index} of ${file.name} failed its hash check`);
+            file.receivedChunks.delete(index);
+            this.countReceivedBytes(file, -data.byteLength);
+            this.queueChunkRequest(peer, file, index);
+            return;
+        }
+
+        // A chunk with no room to wait is checked again when it comes back
+        if (this.commitChunk(peer, file, index, data)) {
+            file.expectedHashes.delete(index);
+        }
     }
-    
-    async calculateFileChecksum(file) {
+
+    // Stores a chunk that checked out for resuming, then writes it to the sink
+    commitChunk(peer, file, index, data) {
+        let stored = false;
+        if (file.journal) {
+            file.journal.saveChunk(index, data);
+            stored = !file.journal.disabled;
+        }
+        return this.queueChunkWrite(peer, file, index, data, stored);
+    }
+
+    // The file hash and stream downloads take bytes in order, so a chunk past a
+    // missing one waits here rather than in the hasher or the sink. One that's
+    // `stored` in the journal waits there instead of in memory. Returns false
+    // for a chunk there was no room for.
+    queueChunkWrite(peer, file, index, data, stored = false) {
+        if (index !== file.nextWrite) {
+            if (stored) {
+                file.readyChunks.set(index, null);
+                return true;
+            }
+
+            if (file.readyBytes + data.byteLength > MAX_REORDER_BYTES) {
+                // Asked for again once the sender is done
+                file.receivedChunks.delete(index);
+                this.countReceivedBytes(file, -data.byteLength);
+                return false;
+            }
+
+            file.readyChunks.set(index, data);
+            file.readyBytes += data.byteLength;
+            return true;
+        }
+
+        file.readyChunks.set(index, data);
+        file.readyBytes += data.byteLength;
+        this.writeReadyChunks(peer, file);
+        return true;
+    }
+
+    // Writes ready chunks from `nextWrite` on until one is missing. Only
+    // reading from the journal waits, and chunks queued meanwhile are picked up.
+    writeReadyChunks(peer, file) {
+        if (file.draining) {
+            return;
+        }
+
+        // Set up front: when nothing waits, the loop below finishes before returning
+        let settle;
+        file.draining = new Promise((resolve) => {
+            settle = resolve;
+        });
+
+        (async () => {
+            try {
+                let restored = 0;
+                while (!file.error && file.readyChunks.has(file.nextWrite)) {
+                    const index = file.nextWrite;
+                    let data = file.readyChunks.get(index);
+                    file.readyChunks.delete(index);
+                    const fromJournal = !data;
+                    if (fromJournal) {
+                        data = await file.journal.readChunk(index).catch((error) => {
+                            console.warn(`[FileTransfer] Could not read stored chunk ${index} of ${file.name}:`, error.message || error);
+                            return null;
+                        });
+                        if (file.error || file.detached) {
+                            break;
+                        }
+                        if (!data) {
+                            // Asked for again once the sender is done
+                            file.receivedChunks.delete(index);
+                            this.countReceivedBytes(file, -chunkByteLength(file.size, index));
+                            break;
+                        }
+                    } else {
+                        file.readyBytes -= data.byteLength;
+                    }
+
+                    this.writeReceivedChunk(peer, file, index * CHUNK_SIZE, data);
+                    file.nextWrite++;
+
+                    // Don't read ahead of the sink or the hasher
+                    if (fromJournal) {
+                        await file.writes;
+                        if (++restored % CHUNK_HASH_BATCH_SIZE === 0 && file.hasher) {
+                            await file.hasher.flush();
+                        }
+                    }
+                }
+            } catch (error) {
+                this.failIncomingFile(peer, file, error);
+            } finally {
+                file.draining = null;
+                settle();
+            }
+        })();
+    }
+
+    queueChunkRequest(peer, file, index) {
+        file.pendingNacks.add(index);
+        if (file.nackTimer) {
+            return;
+        }
+
+        file.nackTimer = setTimeout(() => {
+            file.nackTimer = null;
+            const indices = Array.from(file.pendingNacks);
+            file.pendingNacks.clear();
+            this.requestChunks(peer, file, indices);
+        }, CHUNK_NACK_DELAY_MS);
+    }
+
+    // Sends a `chunk-nack` listing the chunks we still need as [first, last] ranges
+    requestChunks(peer, file, indices) {
+        if (file.error || indices.length === 0) {
+            return;
+        }
+
+        for (const index of indices) {
+            const attempts = (file.chunkRetries.get(index) || 0) + 1;
+            if (attempts > MAX_CHUNK_RETRIES) {
+                this.failIncomingFile(peer, file, new Error(`Chunk ${index} of ${file.name} could not be recovered after ${MAX_CHUNK_RETRIES} retries`));
+                return;
+            }
+            file.chunkRetries.set(index, attempts);
+            file.requestedChunks.add(index);
+        }
+
+        if (!peer.dataChannel || peer.dataChannel.readyState !== 'open') {
+            return;
+        }
+
+        console.warn(`[FileTransfer] Asking for ${indices.length} chunk(s) of ${file.name} again`);
+        const ranges = toChunkRanges(indices);
         try {
-            const arrayBuffer = await file.arrayBuffer();
-            const hashBuffer = await crypto.subtle.digest('SHA-256', arrayBuffer);
-            const hashArray = Array.from(new Uint8Array(hashBuffer));
-            const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-            return hashHex;
+            for (let i = 0; i < ranges.length; i += CHUNK_NACK_MAX_RANGES) {
+                peer.dataChannel.send(JSON.stringify({
+                    type: 'chunk-nack',
+                    ...fileFields(file.id, file.name),
+                    ranges: ranges.slice(i, i + CHUNK_NACK_MAX_RANGES)
+                }));
+            }
         } catch (error) {
-            console.error(`[FileTransfer] Error calculating checksum:`, error);
-            throw error;
+            console.error(`[FileTransfer] Error sending chunk NACK:`, error);
         }
     }
-    
-    async verifyFileIntegrity(blob, expectedChecksum) {
+
+    armRetransmitTimer(peer, file) {
+        clearTimeout(file.retransmitTimer);
+        file.retransmitTimer = setTimeout(() => {
+            file.retransmitTimer = null;
+            this.checkOutstandingChunks(peer, file, true).catch((error) => this.failIncomingFile(peer, file, error));
+        }, RETRANSMIT_TIMEOUT_MS);
+    }
+
+    stopChunkRequests(file) {
+        clearTimeout(file.nackTimer);
+        clearTimeout(file.retransmitTimer);
+        file.nackTimer = null;
+        file.retransmitTimer = null;
+        file.heldChunks.clear();
+        file.readyChunks.clear();
+        file.readyBytes = 0;
+    }
+
+    // Runs whenever the sender says it's done (again, after retransmits) and
+    // when requested chunks take too long. The file only finishes once no
+    // chunk is missing or held back.
+    async checkOutstandingChunks(peer, file, timedOut) {
+        // Every chunk that arrived has been hashed, compared and written after this
+        await file.hasher.flush();
+        while (file.draining) {
+            await file.draining;
+        }
+        if (file.error || file.detached) {
+            return;
+        }
+
+        // Chunks the sender sent no hash for (its hasher failed) are only
+        // covered by the file checksum
+        file.heldChunks.forEach((data, index) => {
+            if (!file.expectedHashes.has(index)) {
+                file.heldChunks.delete(index);
+                file.chunkHashes.delete(index);
+                this.commitChunk(peer, file, index, data);
+            }
+        });
+
+        const totalChunks = file.completeData.totalChunks || file.expectedChunkCount;
+        const outstanding = [];
+        for (let i = 0; i < totalChunks; i++) {
+            if (!file.receivedChunks.has(i) || file.heldChunks.has(i)) {
+                outstanding.push(i);
+            }
+        }
+
+        if (outstanding.length === 0) {
+            // The next file may start before this one is flushed to its sink
+            this.detachIncomingFile(peer, file);
+            this.stopChunkRequests(file);
+            this.logFinishedFile(file, totalChunks);
+            this.finishIncomingFile(file, file.completeData, peer);
+            return;
+        }
+
+        // Chunks already asked for get until the timeout to arrive
+        const missing = outstanding.filter((index) => !file.receivedChunks.has(index)
+            && (timedOut || (!file.requestedChunks.has(index) && !file.pendingNacks.has(index))));
+        this.requestChunks(peer, file, missing);
+        if (!file.error) {
+            this.armRetransmitTimer(peer, file);
+        }
+    }
+
+    handleFileComplete(completeData, peer) {
+        const file = this.getIncomingFile(peer, completeData.fileId);
+        if (!file) {
+            console.warn(`[FileTransfer] Received file-complete but no current file`);
+            return;
+        }
+
+        if (file.error) {
+            this.detachIncomingFile(peer, file);
+            return;
+        }
+
+        if (file.verifyChunks) {
+            file.completeData = completeData;
+            this.checkOutstandingChunks(peer, file, false).catch((error) => this.failIncomingFile(peer, file, error));
+            return;
+        }
+
+        // The next file may start before this one is flushed to its sink
+        this.detachIncomingFile(peer, file);
+        const expectedChunks = completeData?.totalChunks || file.expectedChunkCount;
+        const receivedChunkCount = file.receivedChunks.size > 0 ? file.receivedChunks.size : file.legacyChunkCount;
+        
+        // Check if all chunks were received
+        if (receivedChunkCount < expectedChunks) {
+            const missingChunks = [];
+            for (let i = 0; i < expectedChunks; i++) {
+                if (!file.receivedChunks.has(i)) {
+                    missingChunks.push(i);
+                }
+            }
+            console.error(`[FileTransfer] Missing chunks detected: ${missingChunks.length} chunks missing (indices: ${missingChunks.slice(0, 10).join(', ')}${missingChunks.length > 10 ? '...' : ''})`);
+            console.error(`[FileTransfer] Expected ${expectedChunks} chunks, received ${receivedChunkCount}`);
+
+            // This sender can't resend chunks, and a file with holes is no use
+            this.failIncomingFile(peer, file, new Error(`File transfer incomplete: ${missingChunks.length} chunks missing`));
+            return;
+        }
+
+        this.logFinishedFile(file, expectedChunks, receivedChunkCount);
+        this.finishIncomingFile(file, completeData, peer);
+    }
+
+    logFinishedFile(file, expectedChunks, receivedChunkCount = expectedChunks) {
+        const totalSize = file.bytesReceived;
+        const elapsed = ((Date.now() - file.startTime) / 1000).toFixed(2);
+        const speed = (totalSize / (Date.now() - file.startTime) * 1000).toFixed(0);
+        
+        console.log(`[FileTransfer] Finishing file - name: ${file.name}, expected: ${this.formatFileSize(file.size)}, received: ${this.formatFileSize(totalSize)}, chunks: ${receivedChunkCount}/${expectedChunks}, time: ${elapsed}s, speed: ${this.formatFileSize(speed)}/s`);
+        
+        if (totalSize !== file.size) {
+            console.warn(`[FileTransfer] Size mismatch - expected: ${file.size} bytes, received: ${totalSize} bytes`);
+        }
+    }
+
+    async finishIncomingFile(file, completeData, peer) {
+        let blob = null;
         try {
-            // Check if crypto.subtle is available (requires secure context/HTTPS)
-            if (typeof crypto === 'undefined' || !crypto.subtle) {
-                console.warn(`[FileTransfer] crypto.subtle not available - integrity check requires HTTPS`);
-                return true; // Return true to not block the transfer
+            await file.writes;
+            if (file.error) {
+                return;
             }
-            
-            const arrayBuffer = await blob.arrayBuffer();
-            const hashBuffer = await crypto.subtle.digest('SHA-256', arrayBuffer);
-            const hashArray = Array.from(new Uint8Array(hashBuffer));
-            const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-            return hashHex === expectedChecksum;
+
+            // Every chunk has been written, so the file hash has seen all of it
+            if (file.hasher) {
+                file.checksum = await file.hasher.digest().catch((error) => {
+                    console.warn(`[FileTransfer] Could not compute checksum:`, error.message || error);
+                    return null;
+                });
+                file.hasher.close();
+            }
+
+            // A file we can't vouch for never reaches the downloads
+            if (completeData.checksum && file.hasher) {
+                if (file.checksum !== completeData.checksum) {
+                    console.warn(`[FileTransfer] File integrity check failed - expected ${completeData.checksum}, got ${file.checksum}`);
+                    this.failIncomingFile(peer, file, new Error(`${file.name} does not match the sender's checksum`));
+                    return;
+                }
+                file.verified = true;
+            }
+
+            // Closing the sink hands the file to the browser's downloads
+            console.log(`[FileTransfer] Triggering download - file: ${file.name}`);
+            blob = await file.sink.close();
         } catch (error) {
-            console.warn(`[FileTransfer] Error computing checksum:`, error.message || error);
-            // Return true to not block the transfer if integrity check fails
-            return true;
+            this.failIncomingFile(peer, file, error);
+            return;
+        }
+
+        if (file.journal) {
+            file.journal.remove();
+        }
+
+        if (file.verified) {
+            console.log(`[FileTransfer] File integrity verified successfully - SHA-256: ${file.checksum}`);
+        } else {
+            console.warn(`[FileTransfer] Integrity check skipped - no checksum to compare`);
+        }
+
+        if (this.peerSupports(peer, 'chunk-nack') && peer.dataChannel && peer.dataChannel.readyState === 'open') {
+            peer.dataChannel.send(JSON.stringify({ type: 'file-verified', ...fileFields(file.id, file.name), checksum: file.checksum }));
+        }
+        
+        console.log(`[FileTransfer] Download complete - file: ${file.name}`);
+
+        this.receivedFiles.push({
+            name: file.name,
+            size: file.size,
+            type: file.type,
+            lastModified: file.lastModified,
+            checksum: file.checksum,
+            verified: file.verified,
+            blob: blob
+        });
+
+        if (this.onFileReceived) {
+            this.onFileReceived(file);
         }
     }
 
     // Update received chunks (called when binary data arrives - legacy support)
-    addReceivedChunk(chunk) {
+    addReceivedChunk(chunk, peer) {
         if (!this.currentFile) {
             console.warn(`[FileTransfer] Received chunk but no current file metadata`);
             return;
         }
-        
-        this.receivedChunks.push(chunk);
-        this.stats.bytesTransferred += chunk.byteLength;
 
-        if (this.onProgress) {
-            const progress = Math.min((this.stats.bytesTransferred / this.currentFile.size) * 100, 100);
-            this.onProgress(progress, this.stats.bytesTransferred, this.stats.startTime);
+        if (this.currentFile.error) {
+            return;
         }
         
+        // Legacy chunks carry no index, so they are written in arrival order
+        const file = this.currentFile;
+        const offset = file.bytesReceived;
+        file.legacyChunkCount++;
+        this.countReceivedBytes(file, chunk.byteLength);
+        this.writeReceivedChunk(peer, file, offset, chunk);
+
+        this.reportIncomingProgress();
+        
         // Log progress every 10%
-        const progressPercent = Math.floor((this.stats.bytesTransferred / this.currentFile.size) * 100);
+        const progressPercent = Math.floor((file.bytesReceived / file.size) * 100);
         if (progressPercent % 10 === 0 && progressPercent > 0) {
-            console.log(`[FileTransfer] Progress: ${progressPercent}% - ${this.formatFileSize(this.stats.bytesTransferred)} / ${this.formatFileSize(this.currentFile.size)} - ${this.currentFile.name}`);
+            console.log(`[FileTransfer] Progress: ${progressPercent}% - ${this.formatFileSize(file.bytesReceived)} / ${this.formatFileSize(file.size)} - ${file.name}`);
         }
     }
 
     disconnect() {
-        if (this.dataChannel) {
-            this.dataChannel.close();
+        this.peers.forEach((peer) => this.discardIncomingFiles(peer));
+        this.discardIncomingFiles();
+        Array.from(this.peers.keys()).forEach((peerId) => this.closePeer(peerId));
+        this.intentionalClose = true;
+        this.reconnectToken = null;
+        clearTimeout(this.iceRefreshTimer);
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
         }
-        if (this.peerConnection) {
-            this.peerConnection.close();
+        if (this.isSignalingReady()) {
+            // Release our room slot now rather than after the reconnect grace period
+            this.sendSignal({ type: 'leave' });
         }
         if (this.ws) {
             this.ws.close();
@@ -1412,3 +2645,160 @@ class WebRTCManager {
         this.isConnected = false;
     }
 }
+
+// Hashes a file chunk by chunk in a worker while it streams, so neither side
+// reads the whole file again at the end. `onChunkHash(index, hash)` receives
+// the SHA-256 of every chunk passed with an index.
+class FileHasher {
+    constructor(onChunkHash = null) {
+        this.worker = new Worker('hash-worker.js');
+        this.onChunkHash = onChunkHash;
+        this.digestRequest = null;
+        this.flushRequests = [];
+        this.failure = null;
+
+        this.worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'chunk-hash') {
+                if (this.onChunkHash) {
+                    this.onChunkHash(message.index, message.hash);
+                }
+            } else if (message.type === 'flushed') {
+                const request = this.flushRequests.shift();
+                if (request) {
+                    request.resolve();
+                }
+            } else if (message.type === 'digest') {
+                this.settleDigest(null, message.checksum);
+            } else if (message.type === 'error') {
+                this.fail(new Error(message.message));
+            }
+        };
+        this.worker.onerror = () => {
+            this.fail(new Error('Hash worker failed'));
+        };
+    }
+
+    // `data` is copied to the worker, so the caller keeps its buffer
+    update(offset, data, index) {
+        if (!this.failure) {
+            this.worker.postMessage({ type: 'update', offset, index, data });
+        }
+    }
+
+    // Posts back the chunk's hash without adding it to the file hash
+    hashChunk(index, data) {
+        if (!this.failure) {
+            this.worker.postMessage({ type: 'chunk', index, data });
+        }
+    }
+
+    // Resolves once every hash for data passed so far has been posted back
+    flush() {
+        if (this.failure) {
+            return Promise.reject(this.failure);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.flushRequests.push({ resolve, reject });
+            this.worker.postMessage({ type: 'flush' });
+        });
+    }
+
+    // Resolves with the file's SHA-256, or null if some bytes never arrived
+    digest() {
+        if (this.failure) {
+            return Promise.reject(this.failure);
+        }
+
+        return new Promise((resolve, reject) => {
+            this.digestRequest = { resolve, reject };
+            this.worker.postMessage({ type: 'digest' });
+        });
+    }
+
+    settleDigest(error, checksum) {
+        const request = this.digestRequest;
+        this.digestRequest = null;
+        if (!request) {
+            return;
+        }
+
+        if (error) {
+            request.reject(error);
+        } else {
+            request.resolve(checksum);
+        }
+    }
+
+    fail(error) {
+        this.failure = error;
+        this.settleDigest(error);
+        this.flushRequests.splice(0).forEach((request) => request.reject(error));
+        this.close();
+    }
+
+    close() {
+        this.worker.terminate();
+    }
+}
+
+// How per-file control messages name their file
+function fileFields(fileId, fileName) {
+    return fileId === null ? { fileName } : { fileName, fileId };
+}
+
+function chunkByteLength(fileSize, index) {
+    return Math.min(CHUNK_SIZE, fileSize - index * CHUNK_SIZE);
+}
+
+// [3, 4, 5, 9] -> [[3, 5], [9, 9]]
+function toChunkRanges(indices) {
+    const ranges = [];
+    Array.from(indices).sort((a, b) => a - b).forEach((index) => {
+        const last = ranges[ranges.length - 1];
+        if (last && index === last[1] + 1) {
+            last[1] = index;
+        } else {
+            ranges.push([index, index]);
+        }
+    });
+    return ranges;
+}
+
+// [[3, 5], [9, 9]] -> Set {3, 4, 5, 9}, ignoring anything outside the file
+function fromChunkRanges(ranges, totalChunks) {
+    const indices = new Set();
+    ranges.forEach((range) => {
+        if (!Array.isArray(range) || !Number.isInteger(range[0]) || !Number.isInteger(range[1])) {
+            return;
+        }
+        for (let i = Math.max(range[0], 0); i <= range[1] && i < totalChunks; i++) {
+            indices.add(i);
+        }
+    });
+    return indices;
+}
+
+// Hashing runs in a worker so the page stays responsive while it searches
+function solveProofOfWork(challenge) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker('pow-worker.js');
+        const timeout = setTimeout(() => {
+            worker.terminate();
+            reject(new Error('Timed out solving the room challenge'));
+        }, POW_SOLVE_TIMEOUT_MS);
+
+        worker.onmessage = (event) => {
+            clearTimeout(timeout);
+            worker.terminate();
+            resolve(event.data.nonce);
+        };
+        worker.onerror = () => {
+            clearTimeout(timeout);
+            worker.terminate();
+            reject(new Error('Failed to solve the room challenge'));
+        };
+        worker.postMessage({ prefix: challenge.prefix, difficulty: challenge.difficulty });
+    });
+}
@@ -1,30 +1,247 @@
 const crypto = require('crypto');
+const dgram = require('dgram');
 const express = require('express');
+const fs = require('fs');
 const http = require('http');
+const https = require('https');
+const os = require('os');
 const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
 const WebSocket = require('ws');
-const { createClient } = require('redis');
+const { createClient, RESP_TYPES } = require('redis');
 const promClient = require('prom-client');
 
 const PORT = Number(process.env.PORT || 3000);
 const HOST = process.env.HOST || '0.0.0.0';
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const ROOM_EXPIRY = Number(process.env.ROOM_EXPIRY || 10 * 60 * 1000);
-const MAX_ROOM_SIZE = 2;
-const ROOM_CODE_LENGTH = 6;
+const ROOM_MAX_LIFETIME = Math.max(Number(process.env.ROOM_MAX_LIFETIME || 60 * 60 * 1000), ROOM_EXPIRY);
+const ROOM_EXPIRY_WARNING_MS = Number(process.env.ROOM_EXPIRY_WARNING_MS || 60 * 1000);
+const ROOM_WATCH_INTERVAL_MS = 5 * 1000;
+const ROOM_API_KEY = process.env.ROOM_API_KEY || '';
+const RECONNECT_GRACE_MS = Number(process.env.RECONNECT_GRACE_MS || 30 * 1000);
+const RECONNECT_MAX_QUEUED_EVENTS = 200;
+const MAX_ROOM_SIZE = Math.max(2, Number(process.env.MAX_ROOM_SIZE || 2));
+const ROOM_CODE_LENGTH = Math.min(Math.max(Number(process.env.ROOM_CODE_LENGTH || 6), 4), 16);
 const ROOM_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
 const REDIS_URL = process.env.REDIS_URL || '';
 const REDIS_PREFIX = process.env.REDIS_PREFIX || 'bhejo';
 const ROOM_EVENT_CHANNEL = `${REDIS_PREFIX}:room-events`;
+const RELAY_FRAME_CHANNEL = `${REDIS_PREFIX}:relay-frames`;
+// How room events cross instances with Redis: `pubsub` (one channel every instance
+// reads), `channels` (a channel pair per room) or `streams` (a stream per room)
+const ROOM_EVENT_TRANSPORT = process.env.ROOM_EVENT_TRANSPORT || 'pubsub';
+// Entries kept per room stream for instances catching up after a disconnect
+const ROOM_EVENT_STREAM_MAXLEN = Number(process.env.ROOM_EVENT_STREAM_MAXLEN || 1000);
+const ROOM_EVENT_STREAM_BLOCK_MS = 5000;
+const ROOM_STREAM_CLOSE_GRACE_MS = 10 * 1000;
+const ADMIN_CHANNEL = `${REDIS_PREFIX}:admin`;
+const MAINTENANCE_KEY = `${REDIS_PREFIX}:maintenance`;
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+// Changes on every restart, so a reused INSTANCE_ID doesn't vouch for slots
+// held by the process it replaced
+const INSTANCE_BOOT_ID = crypto.randomBytes(8).toString('hex');
+const INSTANCE_SNAPSHOT_INTERVAL_MS = 10 * 1000;
+const ORPHAN_SWEEP_INTERVAL_MS = 30 * 1000;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+const MAINTENANCE_MESSAGE_MAX_LENGTH = 280;
 const TURN_USERNAME = process.env.TURN_USERNAME || '';
 const TURN_CREDENTIAL = process.env.TURN_CREDENTIAL || '';
+// With TURN_SECRET set (coturn's `use-auth-secret`), clients get short-lived
+// HMAC credentials instead of the static TURN_USERNAME/TURN_CREDENTIAL pair.
+const TURN_SECRET = process.env.TURN_SECRET || '';
+// Built-in RFC 5389 STUN binding responder over UDP. When enabled it replaces the
+// public STUN_URLS default; it is advertised as STUN_SERVER_PUBLIC_HOST, or the
+// host the browser used to reach this server.
+const STUN_SERVER_ENABLED = process.env.STUN_SERVER_ENABLED === 'true';
+const STUN_SERVER_PORT = Number(process.env.STUN_SERVER_PORT || 3478);
+const STUN_SERVER_PUBLIC_HOST = process.env.STUN_SERVER_PUBLIC_HOST || '';
+const TURN_CREDENTIAL_TTL_MS = Number(process.env.TURN_CREDENTIAL_TTL_MS || 60 * 60 * 1000);
 const ICE_TRANSPORT_POLICY = process.env.ICE_TRANSPORT_POLICY || 'all';
 const ICE_CANDIDATE_POOL_SIZE = Number(process.env.ICE_CANDIDATE_POOL_SIZE || 10);
 const METRICS_ENABLED = process.env.METRICS_ENABLED !== 'false';
 const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || '';
 const RELAY_ENABLED = process.env.RELAY_ENABLED !== 'false';
-const RELAY_MAX_FILE_SIZE_BYTES = Number(process.env.RELAY_MAX_FILE_SIZE_BYTES || 10 * 1024 * 1024);
-const RELAY_CHUNK_SIZE_BYTES = Number(process.env.RELAY_CHUNK_SIZE_BYTES || 12 * 1024);
+const RELAY_MAX_FILE_SIZE_BYTES = Number(process.env.RELAY_MAX_FILE_SIZE_BYTES || 100 * 1024 * 1024);
+const RELAY_CHUNK_SIZE_BYTES = Number(process.env.RELAY_CHUNK_SIZE_BYTES || 64 * 1024);
+// Daily relay allowances, charged each transfer's declared size when it starts
+const RELAY_ROOM_DAILY_BYTES = Number(process.env.RELAY_ROOM_DAILY_BYTES || 1024 * 1024 * 1024);
+const RELAY_IP_DAILY_BYTES = Number(process.env.RELAY_IP_DAILY_BYTES || 2 * 1024 * 1024 * 1024);
+// Bytes a relay sender may have in flight past the receiver's last acknowledgement
+const RELAY_ACK_WINDOW_BYTES = Math.max(
+  Number(process.env.RELAY_ACK_WINDOW_BYTES || 16 * RELAY_CHUNK_SIZE_BYTES),
+  RELAY_CHUNK_SIZE_BYTES
+);
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Store-and-forward drop-off. DROP_STORAGE is 'disk' or 's3' (any S3-compatible
+// store such as MinIO); anything else disables it. Files arrive already encrypted
+// by the browser, whose key stays in the download link's URL fragment.
+const DROP_STORAGE = process.env.DROP_STORAGE || '';
+const DROP_ENABLED = DROP_STORAGE === 'disk' || DROP_STORAGE === 's3';
+const DROP_DIR = process.env.DROP_DIR || path.join(__dirname, 'data', 'drops');
+const DROP_S3_ENDPOINT = process.env.DROP_S3_ENDPOINT || '';
+const DROP_S3_REGION = process.env.DROP_S3_REGION || 'us-east-1';
+const DROP_S3_BUCKET = process.env.DROP_S3_BUCKET || '';
+const DROP_S3_ACCESS_KEY_ID = process.env.DROP_S3_ACCESS_KEY_ID || '';
+const DROP_S3_SECRET_ACCESS_KEY = process.env.DROP_S3_SECRET_ACCESS_KEY || '';
+const DROP_MAX_FILE_SIZE_BYTES = Number(process.env.DROP_MAX_FILE_SIZE_BYTES || 100 * 1024 * 1024);
+const DROP_DEFAULT_TTL_MS = Number(process.env.DROP_DEFAULT_TTL_MS || 24 * 60 * 60 * 1000);
+const DROP_MAX_TTL_MS = Math.max(Number(process.env.DROP_MAX_TTL_MS || 7 * 24 * 60 * 60 * 1000), DROP_DEFAULT_TTL_MS);
+const DROP_MAX_DOWNLOADS = Number(process.env.DROP_MAX_DOWNLOADS || 20);
+const DROP_UPLOADS_PER_IP_PER_HOUR = Number(process.env.DROP_UPLOADS_PER_IP_PER_HOUR || 20);
+const DROP_METADATA_MAX_LENGTH = 2048;
+const DROP_SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+// Binary relay frames are [type:1][peer ID:8][chunk], or [type:1][peer ID:8][offset:8][chunk]
+// for resumable transfers. Clients put the target peer in the peer ID field; the
+// server stamps the sender there before delivering.
+const RELAY_FRAME_CHUNK = 0x01;
+const RELAY_FRAME_OFFSET_CHUNK = 0x02;
+const RELAY_FRAME_HEADER_BYTES = 9;
+const RELAY_FRAME_OFFSET_HEADER_BYTES = 17;
+const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+const JOIN_FAILURE_WINDOW_MS = Number(process.env.JOIN_FAILURE_WINDOW_MS || 15 * 60 * 1000);
+const JOIN_BACKOFF_AFTER = Number(process.env.JOIN_BACKOFF_AFTER || 3);
+const JOIN_BACKOFF_BASE_MS = Number(process.env.JOIN_BACKOFF_BASE_MS || 1000);
+const JOIN_BACKOFF_MAX_MS = Number(process.env.JOIN_BACKOFF_MAX_MS || 30 * 1000);
+const JOIN_MAX_FAILURES_PER_IP = Number(process.env.JOIN_MAX_FAILURES_PER_IP || 20);
+const JOIN_MAX_FAILURES_PER_SOCKET = Number(process.env.JOIN_MAX_FAILURES_PER_SOCKET || 8);
+const JOIN_LOCKOUT_MS = Number(process.env.JOIN_LOCKOUT_MS || 15 * 60 * 1000);
+const WS_MAX_MESSAGES_PER_SECOND = Number(process.env.WS_MAX_MESSAGES_PER_SECOND || 200);
+const MAX_SOCKETS_PER_IP = Number(process.env.MAX_SOCKETS_PER_IP || 20);
+const MAX_ROOMS_PER_IP_PER_HOUR = Number(process.env.MAX_ROOMS_PER_IP_PER_HOUR || 30);
+// Proof-of-work difficulty is in leading zero bits of SHA-256(prefix:nonce).
+// It kicks in once POW_ROOM_RATE_THRESHOLD rooms are created per minute and
+// gains a bit each time the rate doubles. POW_BASE_DIFFICULTY=0 disables it.
+const POW_BASE_DIFFICULTY = Number(process.env.POW_BASE_DIFFICULTY || 16);
+// Browsers hash roughly 100k-500k nonces a second, so past 20 bits a slow
+// device can't be expected to finish within the client's 60 s solve timeout.
+const POW_DIFFICULTY_CEILING = 20;
+const POW_MAX_DIFFICULTY = Math.min(Math.max(Number(process.env.POW_MAX_DIFFICULTY || POW_DIFFICULTY_CEILING), POW_BASE_DIFFICULTY), POW_DIFFICULTY_CEILING);
+const POW_ROOM_RATE_THRESHOLD = Number(process.env.POW_ROOM_RATE_THRESHOLD || 30);
+const POW_CHALLENGE_TTL_MS = 2 * 60 * 1000;
+const POW_RATE_REFRESH_MS = 5 * 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// A socket's per-IP slot lapses if its instance stops refreshing it
+const SOCKET_LEASE_MS = 3 * HEARTBEAT_INTERVAL_MS;
+const ROOM_SECRET_MIN_LENGTH = 4;
+const ROOM_SECRET_MAX_LENGTH = 128;
+const DEVICE_NAME_MAX_LENGTH = 64;
+// Events a receiver still waiting for admission is allowed to see.
+const WAITING_RECEIVER_EVENTS = new Set([
+  'admitted',
+  'join-denied',
+  'peer-disconnected',
+  'peer-reconnecting',
+  'peer-reconnected',
+  'room-extended',
+  'room-closed'
+]);
+
+const MAX_SDP_LENGTH = 32 * 1024;
+const MAX_SDP_CANDIDATES = 50;
+const MAX_ICE_CANDIDATES_PER_PEER = 100;
+const MAX_TOKEN_LENGTH = 128;
+// Base64 relay chunks plus room for the envelope
+const MAX_SIGNALING_MESSAGE_BYTES = Math.max(MAX_SDP_LENGTH, Math.ceil(RELAY_CHUNK_SIZE_BYTES / 3) * 4) + 4 * 1024;
+const WS_MAX_PAYLOAD_BYTES = Number(process.env.WS_MAX_PAYLOAD_BYTES || MAX_SIGNALING_MESSAGE_BYTES);
+
+// Types a client may send. Anything else, including server-only events such as
+// `room-expired` or `peer-disconnected`, is rejected before it reaches a peer.
+const FORWARDABLE_MESSAGE_TYPES = new Set([
+  'offer',
+  'answer',
+  'ice-candidate',
+  'relay-file-metadata',
+  'relay-chunk',
+  'relay-ack',
+  'relay-complete'
+]);
+
+const peerIdField = { type: 'string', maxLength: 16, pattern: /^[a-f0-9]{16}$/ };
+const relayTransferIdField = { type: 'string', maxLength: 32, pattern: /^[a-f0-9]{32}$/ };
+const sessionDescriptionField = (sdpType) => ({
+  type: 'object',
+  fields: {
+    type: { type: 'string', oneOf: [sdpType] },
+    sdp: {
+      type: 'string',
+      maxLength: MAX_SDP_LENGTH,
+      check: (sdp) => countSdpCandidates(sdp) <= MAX_SDP_CANDIDATES || `SDP has more than ${MAX_SDP_CANDIDATES} candidates`
+    }
+  }
+});
+
+const SIGNALING_SCHEMAS = {
+  ping: {},
+  join: {
+    createNew: { type: 'boolean', optional: true },
+    roomId: { type: 'string', maxLength: 16, optional: true },
+    capacity: { type: 'number', optional: true },
+    secret: { type: 'string', maxLength: ROOM_SECRET_MAX_LENGTH, optional: true },
+    senderToken: { type: 'string', maxLength: MAX_TOKEN_LENGTH, optional: true },
+    deviceName: { type: 'string', maxLength: DEVICE_NAME_MAX_LENGTH, optional: true },
+    pow: { type: 'string', maxLength: 32, optional: true }
+  },
+  'refresh-ice': {},
+  resume: {
+    token: { type: 'string', maxLength: MAX_TOKEN_LENGTH }
+  },
+  leave: {},
+  'extend-room': {},
+  admit: { to: peerIdField },
+  deny: { to: peerIdField },
+  offer: {
+    to: { ...peerIdField, optional: true },
+    offer: sessionDescriptionField('offer')
+  },
+  answer: {
+    to: { ...peerIdField, optional: true },
+    answer: sessionDescriptionField('answer')
+  },
+  'ice-candidate': {
+    to: { ...peerIdField, optional: true },
+    candidate: {
+      type: 'object',
+      fields: {
+        candidate: { type: 'string', maxLength: 1024 },
+        sdpMid: { type: 'string', maxLength: 64, nullable: true, optional: true },
+        sdpMLineIndex: { type: 'number', min: 0, max: 64, nullable: true, optional: true },
+        usernameFragment: { type: 'string', maxLength: 256, nullable: true, optional: true }
+      }
+    }
+  },
+  'relay-file-metadata': {
+    to: { ...peerIdField, optional: true },
+    transferId: { ...relayTransferIdField, optional: true },
+    name: { type: 'string', maxLength: 255 },
+    size: { type: 'number', min: 0 },
+    mimeType: { type: 'string', maxLength: 255, optional: true },
+    lastModified: { type: 'number', min: 0, optional: true }
+  },
+  'relay-chunk': {
+    to: { ...peerIdField, optional: true },
+    payload: {
+      type: 'string',
+      maxLength: Math.ceil(RELAY_CHUNK_SIZE_BYTES / 3) * 4,
+      pattern: /^[A-Za-z0-9+/]*={0,2}$/
+    }
+  },
+  'relay-ack': {
+    to: { ...peerIdField, optional: true },
+    transferId: relayTransferIdField,
+    offset: { type: 'number', min: 0 },
+    resume: { type: 'boolean', optional: true }
+  },
+  'relay-complete': {
+    to: { ...peerIdField, optional: true },
+    name: { type: 'string', maxLength: 255 },
+    checksum: { type: 'string', maxLength: 64, pattern: /^[a-f0-9]{64}$/, optional: true }
+  }
+};
+
+const scrypt = promisify(crypto.scrypt);
 
 function parseIceUrlList(rawValue, fallback = []) {
   if (!rawValue) {
@@ -57,10 +274,37 @@ function parseIceUrlList(rawValue, fallback = []) {
 }
 
 const STUN_URLS = parseIceUrlList(
-  process.env.STUN_URLS || 'stun:stun.l.google.com:19302,stun:stun1.l.google.com:19302,stun:stun2.l.google.com:19302'
+  process.env.STUN_URLS || (STUN_SERVER_ENABLED
+    ? ''
+    : 'stun:stun.l.google.com:19302,stun:stun1.l.google.com:19302,stun:stun2.l.google.com:19302')
 );
 const TURN_URLS = parseIceUrlList(process.env.TURN_URLS || '');
 
+function getRoomCapacity(room) {
+  return Number(room.capacity) || MAX_ROOM_SIZE;
+}
+
+function resolveRoomCapacity(requestedCapacity) {
+  const capacity = Number(requestedCapacity);
+  if (!Number.isInteger(capacity) || capacity < 2) {
+    return MAX_ROOM_SIZE;
+  }
+
+  return Math.min(capacity, MAX_ROOM_SIZE);
+}
+
+// Both room stores follow the same expiry rules:
+// - a room expires `expiryMs` after it was created or a peer last joined or left;
+// - the sender can push expiry out to `expiryMs` from now with `extend-room`;
+// - no room outlives its `maxExpiresAt`, fixed at creation (ROOM_MAX_LIFETIME).
+function getNextRoomExpiry(room, expiryMs) {
+  return Math.min(Date.now() + expiryMs, room.maxExpiresAt);
+}
+
+function getRoomTtlMs(room) {
+  return Math.max(room.expiresAt - Date.now(), 1);
+}
+
 class MemoryRoomStore {
   constructor(expiryMs) {
     this.expiryMs = expiryMs;
@@ -82,7 +326,7 @@ class MemoryRoomStore {
       return null;
     }
 
-    if (Date.now() - room.createdAt > this.expiryMs) {
+    if (room.expiresAt <= Date.now()) {
       this.rooms.delete(roomId);
       return null;
     }
@@ -96,11 +340,15 @@ class MemoryRoomStore {
       return { ok: false, reason: 'missing' };
     }
 
-    if (room.peerCount >= MAX_ROOM_SIZE) {
+    if (room.peerCount >= getRoomCapacity(room)) {
       return { ok: false, reason: 'full' };
     }
 
-    const updatedRoom = { ...room, peerCount: room.peerCount + 1 };
+    const updatedRoom = {
+      ...room,
+      peerCount: room.peerCount + 1,
+      expiresAt: getNextRoomExpiry(room, this.expiryMs)
+    };
     this.rooms.set(roomId, updatedRoom);
     return { ok: true, room: updatedRoom };
   }
@@ -108,57 +356,95 @@ class MemoryRoomStore {
   async leaveRoom(roomId) {
     const room = await this.getRoom(roomId);
     if (!room) {
-      return;
+      return null;
     }
 
     if (room.peerCount <= 1) {
       this.rooms.delete(roomId);
-      return;
+      return null;
     }
 
-    this.rooms.set(roomId, { ...room, peerCount: room.peerCount - 1 });
+    const updatedRoom = {
+      ...room,
+      peerCount: room.peerCount - 1,
+      expiresAt: getNextRoomExpiry(room, this.expiryMs)
+    };
+    this.rooms.set(roomId, updatedRoom);
+    return updatedRoom;
   }
 
-  async savePendingOffer(roomId, offer) {
+  async extendRoom(roomId) {
     const room = await this.getRoom(roomId);
     if (!room) {
-      return;
+      return null;
     }
 
-    this.rooms.set(roomId, { ...room, pendingOffer: offer });
+    const updatedRoom = { ...room, expiresAt: getNextRoomExpiry(room, this.expiryMs) };
+    this.rooms.set(roomId, updatedRoom);
+    return updatedRoom;
   }
 
-  async addPendingCandidate(roomId, candidate) {
+  async claimRoom(roomId, senderPeerId) {
     const room = await this.getRoom(roomId);
     if (!room) {
-      return;
+      return { ok: false, reason: 'missing' };
     }
 
-    const pendingCandidates = Array.isArray(room.pendingCandidates) ? room.pendingCandidates : [];
-    this.rooms.set(roomId, {
+    if (room.senderPeerId) {
+      return { ok: false, reason: 'claimed' };
+    }
+
+    const updatedRoom = {
       ...room,
-      pendingCandidates: [...pendingCandidates, candidate]
-    });
+      senderPeerId,
+      peerCount: room.peerCount + 1,
+      expiresAt: getNextRoomExpiry(room, this.expiryMs)
+    };
+    this.rooms.set(roomId, updatedRoom);
+    return { ok: true, room: updatedRoom };
+  }
+
+  async deleteRoom(roomId) {
+    const room = await this.getRoom(roomId);
+    this.rooms.delete(roomId);
+    return Boolean(room);
   }
 
-  async consumePendingOffer(roomId) {
+  // Merges bookkeeping fields into a room without touching its expiry.
+  async patchRoom(roomId, fields) {
     const room = await this.getRoom(roomId);
-    if (!room || !room.pendingOffer) {
+    if (!room) {
       return null;
     }
 
-    this.rooms.set(roomId, { ...room, pendingOffer: null });
-    return room.pendingOffer;
+    const updatedRoom = { ...room, ...fields };
+    this.rooms.set(roomId, updatedRoom);
+    return updatedRoom;
   }
 
-  async consumePendingCandidates(roomId) {
-    const room = await this.getRoom(roomId);
-    if (!room || !Array.isArray(room.pendingCandidates) || room.pendingCandidates.length === 0) {
-      return [];
-    }
+  async listRooms() {
+    const now = Date.now();
+    return Array.from(this.rooms.entries())
+      .filter(([, room]) => room.expiresAt > now)
+      .map(([roomId, room]) => ({ roomId, ...room }));
+  }
+
+  // Every slot here belongs to this process, so there is nothing to track.
+  async recordOwner() {
+    return false;
+  }
+
+  async releaseOwner() {
+    return true;
+  }
 
-    this.rooms.set(roomId, { ...room, pendingCandidates: [] });
-    return room.pendingCandidates;
+  prune() {
+    const now = Date.now();
+    this.rooms.forEach((room, roomId) => {
+      if (room.expiresAt <= now) {
+        this.rooms.delete(roomId);
+      }
+    });
   }
 }
 
@@ -173,9 +459,13 @@ class RedisRoomStore {
     return `${this.prefix}:room:${roomId}`;
   }
 
+  ownersKey(roomId) {
+    return `${this.prefix}:room-owners:${roomId}`;
+  }
+
   async createRoom(roomId, room) {
     const result = await this.client.set(this.roomKey(roomId), JSON.stringify(room), {
-      PX: this.expiryMs,
+      PX: getRoomTtlMs(room),
       NX: true
     });
 
@@ -203,7 +493,7 @@ class RedisRoomStore {
       const transaction = this.client.multi();
 
       if (updatedRoom) {
-        transaction.set(key, JSON.stringify(updatedRoom), { PX: this.expiryMs });
+        transaction.set(key, JSON.stringify(updatedRoom), { PX: getRoomTtlMs(updatedRoom) });
       } else {
         transaction.del(key);
       }
@@ -217,18 +507,22 @@ class RedisRoomStore {
 
   async joinRoom(roomId) {
     const result = await this.updateRoom(roomId, (room) => {
-      if (room.peerCount >= MAX_ROOM_SIZE) {
+      if (room.peerCount >= getRoomCapacity(room)) {
         return room;
       }
 
-      return { ...room, peerCount: room.peerCount + 1 };
+      return {
+        ...room,
+        peerCount: room.peerCount + 1,
+        expiresAt: getNextRoomExpiry(room, this.expiryMs)
+      };
     });
 
     if (!result) {
       return { ok: false, reason: 'missing' };
     }
 
-    if (result.room.peerCount >= MAX_ROOM_SIZE) {
+    if (result.room.peerCount >= getRoomCapacity(result.room)) {
       return { ok: false, reason: 'full' };
     }
 
@@ -236,409 +530,3292 @@ class RedisRoomStore {
   }
 
   async leaveRoom(roomId) {
-    await this.updateRoom(roomId, (room) => {
+    const result = await this.updateRoom(roomId, (room) => {
       if (room.peerCount <= 1) {
         return null;
       }
 
-      return { ...room, peerCount: room.peerCount - 1 };
+      return {
+        ...room,
+        peerCount: room.peerCount - 1,
+        expiresAt: getNextRoomExpiry(room, this.expiryMs)
+      };
     });
-  }
 
-  async savePendingOffer(roomId, offer) {
-    await this.updateRoom(roomId, (room) => ({ ...room, pendingOffer: offer }));
+    return result ? result.updatedRoom : null;
   }
 
-  async addPendingCandidate(roomId, candidate) {
-    await this.updateRoom(roomId, (room) => ({
+  async extendRoom(roomId) {
+    const result = await this.updateRoom(roomId, (room) => ({
       ...room,
-      pendingCandidates: [...(Array.isArray(room.pendingCandidates) ? room.pendingCandidates : []), candidate]
+      expiresAt: getNextRoomExpiry(room, this.expiryMs)
     }));
+
+    return result ? result.updatedRoom : null;
   }
 
-  async consumePendingOffer(roomId) {
+  async claimRoom(roomId, senderPeerId) {
     const result = await this.updateRoom(roomId, (room) => {
-      if (!room.pendingOffer) {
+      if (room.senderPeerId) {
         return room;
       }
 
-      return { ...room, pendingOffer: null };
+      return {
+        ...room,
+        senderPeerId,
+        peerCount: room.peerCount + 1,
+        expiresAt: getNextRoomExpiry(room, this.expiryMs)
+      };
     });
 
-    if (!result || !result.room.pendingOffer) {
-      return null;
+    if (!result) {
+      return { ok: false, reason: 'missing' };
     }
 
-    return result.room.pendingOffer;
+    if (result.room.senderPeerId) {
+      return { ok: false, reason: 'claimed' };
+    }
+
+    return { ok: true, room: result.updatedRoom };
   }
 
-  async consumePendingCandidates(roomId) {
-    const result = await this.updateRoom(roomId, (room) => {
-      if (!Array.isArray(room.pendingCandidates) || room.pendingCandidates.length === 0) {
-        return room;
-      }
+  async deleteRoom(roomId) {
+    const [deleted] = await this.client.multi()
+      .del(this.roomKey(roomId))
+      .del(this.ownersKey(roomId))
+      .exec();
+    return deleted > 0;
+  }
 
-      return { ...room, pendingCandidates: [] };
-    });
+  async patchRoom(roomId, fields) {
+    const result = await this.updateRoom(roomId, (room) => ({ ...room, ...fields }));
+    return result ? result.updatedRoom : null;
+  }
+
+  async listRooms() {
+    const keyPrefix = this.roomKey('');
+    const rooms = [];
+
+    for await (const keys of this.client.scanIterator({ MATCH: `${keyPrefix}*`, COUNT: 100 })) {
+      const batch = Array.isArray(keys) ? keys : [keys];
+      if (batch.length === 0) {
+        continue;
+      }
 
-    if (!result || !Array.isArray(result.room.pendingCandidates)) {
-      return [];
+      const values = await this.client.mGet(batch);
+      values.forEach((raw, index) => {
+        if (raw) {
+          rooms.push({ roomId: batch[index].slice(keyPrefix.length), ...JSON.parse(raw) });
+        }
+      });
     }
 
-    return result.room.pendingCandidates;
+    return rooms;
   }
-}
 
-function generateRoomCode() {
-  let roomId = '';
+  // Which instance holds each peer's slot, so slots held by an instance that
+  // died without cleaning up can be found and released. Returns true when the
+  // peer had no slot on record.
+  async recordOwner(roomId, peerId, owner) {
+    const key = this.ownersKey(roomId);
+    const [added] = await this.client.multi()
+      .hSet(key, peerId, JSON.stringify(owner))
+      .pExpire(key, ROOM_MAX_LIFETIME)
+      .exec();
+    return added > 0;
+  }
 
-  for (let index = 0; index < ROOM_CODE_LENGTH; index += 1) {
-    const randomIndex = Math.floor(Math.random() * ROOM_CHARS.length);
-    roomId += ROOM_CHARS[randomIndex];
+  // False when the slot was already released by the orphan sweeper.
+  async releaseOwner(roomId, peerId) {
+    return (await this.client.hDel(this.ownersKey(roomId), peerId)) > 0;
   }
 
-  return roomId;
-}
+  async listOwners(roomId) {
+    const owners = await this.client.hGetAll(this.ownersKey(roomId));
+    return Object.entries(owners).map(([peerId, raw]) => ({ peerId, ...JSON.parse(raw) }));
+  }
 
-function buildRtcConfig() {
-  const iceServers = STUN_URLS.map((urls) => ({ urls }));
+  // Only the slots this call removed come off the count, so sweepers running
+  // on several instances can't release the same slot twice.
+  async releaseOrphans(roomId, peerIds) {
+    const released = await this.client.hDel(this.ownersKey(roomId), peerIds);
+    if (released === 0) {
+      return { released, room: await this.getRoom(roomId) };
+    }
 
-  if (TURN_URLS.length > 0) {
-    iceServers.push({
-      urls: TURN_URLS,
-      username: TURN_USERNAME,
-      credential: TURN_CREDENTIAL
+    const result = await this.updateRoom(roomId, (room) => {
+      if (room.peerCount <= released) {
+        return null;
+      }
+
+      return { ...room, peerCount: room.peerCount - released };
     });
-  }
 
-  return {
-    iceServers,
-    iceTransportPolicy: ICE_TRANSPORT_POLICY,
-    iceCandidatePoolSize: ICE_CANDIDATE_POOL_SIZE,
-    bundlePolicy: 'max-bundle',
-    rtcpMuxPolicy: 'require'
-  };
+    return { released, room: result ? result.updatedRoom : null };
+  }
 }
 
-function createMetrics() {
-  const registry = new promClient.Registry();
-  promClient.collectDefaultMetrics({ register: registry, prefix: 'bhejo_' });
-
-  const websocketConnections = new promClient.Gauge({
-    name: 'bhejo_websocket_connections',
-    help: 'Active websocket client connections',
-    registers: [registry]
-  });
+// Failed join attempts per key ("ip:..." or "socket:..."). Entries live for the
+// failure window, or until the lockout ends once a key has been locked.
+class MemoryJoinAttemptStore {
+  constructor() {
+    this.entries = new Map();
+  }
 
-  const localRooms = new promClient.Gauge({
-    name: 'bhejo_local_rooms',
-    help: 'Rooms with at least one peer on this instance',
-    registers: [registry]
-  });
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
 
-  const roomEvents = new promClient.Counter({
-    name: 'bhejo_room_events_total',
-    help: 'Room lifecycle events',
-    labelNames: ['type'],
-    registers: [registry]
-  });
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
 
-  const signalingMessages = new promClient.Counter({
-    name: 'bhejo_signaling_messages_total',
-    help: 'Signaling messages handled by the server',
-    labelNames: ['type'],
-    registers: [registry]
-  });
+    return { ...entry };
+  }
 
-  const transferEvents = new promClient.Counter({
-    name: 'bhejo_transfer_events_total',
-    help: 'Client-reported transfer events',
-    labelNames: ['type', 'role'],
-    registers: [registry]
-  });
+  async recordFailure(key, windowMs) {
+    const now = Date.now();
+    const entry = (await this.get(key)) || { failures: 0, lockedUntil: 0 };
+    const updatedEntry = {
+      ...entry,
+      failures: entry.failures + 1,
+      lastFailureAt: now,
+      expiresAt: Math.max(now + windowMs, entry.lockedUntil)
+    };
+
+    this.entries.set(key, updatedEntry);
+    return updatedEntry;
+  }
 
-  const transferBytes = new promClient.Counter({
-    name: 'bhejo_transfer_bytes_total',
-    help: 'Client-reported file bytes transferred',
-    labelNames: ['role'],
-    registers: [registry]
-  });
+  async lock(key, lockoutMs) {
+    const lockedUntil = Date.now() + lockoutMs;
+    const entry = (await this.get(key)) || { failures: 0, lastFailureAt: 0 };
+    this.entries.set(key, { ...entry, lockedUntil, expiresAt: lockedUntil });
+  }
 
-  return {
-    registry,
-    websocketConnections,
-    localRooms,
-    roomEvents,
-    signalingMessages,
-    transferEvents,
-    transferBytes
-  };
+  prune() {
+    const now = Date.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
 }
 
-async function start() {
-  const app = express();
-  const server = http.createServer(app);
-  const wss = new WebSocket.Server({ server, perMessageDeflate: false });
-  const metrics = createMetrics();
-  const sockets = new Map();
-  const localRoomMembers = new Map();
-  let roomStore = new MemoryRoomStore(ROOM_EXPIRY);
-  let redisClient = null;
-  let pubClient = null;
-  let subClient = null;
+class RedisJoinAttemptStore {
+  constructor(client, prefix) {
+    this.client = client;
+    this.prefix = prefix;
+  }
 
-  app.disable('x-powered-by');
-  app.use(express.json({ limit: '64kb' }));
-  app.use(express.static(path.join(__dirname, 'public')));
+  attemptKey(key) {
+    return `${this.prefix}:join-attempts:${key}`;
+  }
 
-  if (REDIS_URL) {
-    redisClient = createClient({ url: REDIS_URL });
-    const redisPublisher = createClient({ url: REDIS_URL });
-    const redisSubscriber = createClient({ url: REDIS_URL });
+  async get(key) {
+    const raw = await this.client.hGetAll(this.attemptKey(key));
+    if (!raw || !raw.failures) {
+      return null;
+    }
 
-    await Promise.all([
-      redisClient.connect(),
-      redisPublisher.connect(),
-      redisSubscriber.connect()
-    ]);
+    return {
+      failures: Number(raw.failures),
+      lastFailureAt: Number(raw.lastFailureAt || 0),
+      lockedUntil: Number(raw.lockedUntil || 0)
+    };
+  }
 
-    roomStore = new RedisRoomStore(redisClient, ROOM_EXPIRY, REDIS_PREFIX);
-    pubClient = redisPublisher;
-    subClient = redisSubscriber;
+  async recordFailure(key, windowMs) {
+    const redisKey = this.attemptKey(key);
+    const now = Date.now();
+    const [failures] = await this.client.multi()
+      .hIncrBy(redisKey, 'failures', 1)
+      .hSet(redisKey, 'lastFailureAt', String(now))
+      .pExpire(redisKey, windowMs)
+      .exec();
 
-    await subClient.subscribe(ROOM_EVENT_CHANNEL, (message) => {
-      try {
-        const event = JSON.parse(message);
-        relayPublishedMessage(event);
-      } catch (error) {
-        console.error('Failed to process room event:', error);
-      }
-    });
+    return { failures: Number(failures), lastFailureAt: now, lockedUntil: 0 };
   }
 
-  function send(ws, payload) {
-    if (ws && ws.readyState === WebSocket.OPEN) {
-      ws.send(JSON.stringify(payload));
-    }
+  async lock(key, lockoutMs) {
+    const redisKey = this.attemptKey(key);
+    await this.client.multi()
+      .hSet(redisKey, 'lockedUntil', String(Date.now() + lockoutMs))
+      .pExpire(redisKey, lockoutMs)
+      .exec();
   }
+}
 
-  function addSocketToRoom(roomId, socketId) {
-    if (!localRoomMembers.has(roomId)) {
-      localRoomMembers.set(roomId, new Set());
+// Abuse limit counters. `increment` counts hits in a fixed window; leases track
+// live members of a set (such as the sockets open from one IP) and lapse unless
+// refreshed, so a crashed instance can't hold slots forever.
+class MemoryLimitStore {
+  constructor() {
+    this.counters = new Map();
+    this.leases = new Map();
+  }
+
+  async increment(key, windowMs, amount = 1) {
+    const now = Date.now();
+    const counter = this.counters.get(key);
+    if (!counter || counter.expiresAt <= now) {
+      this.counters.set(key, { count: amount, expiresAt: now + windowMs });
+      return amount;
     }
 
-    localRoomMembers.get(roomId).add(socketId);
-    metrics.localRooms.set(localRoomMembers.size);
+    counter.count += amount;
+    return counter.count;
   }
 
-  function removeSocketFromRoom(roomId, socketId) {
-    const members = localRoomMembers.get(roomId);
+  async count(key) {
+    const counter = this.counters.get(key);
+    return counter && counter.expiresAt > Date.now() ? counter.count : 0;
+  }
+
+  async addLease(key, member, leaseMs) {
+    const members = this.leases.get(key) || new Map();
+    members.set(member, Date.now() + leaseMs);
+    this.leases.set(key, members);
+    this.pruneLeases(key);
+    return members.size;
+  }
+
+  async removeLease(key, member) {
+    const members = this.leases.get(key);
     if (!members) {
       return;
     }
 
-    members.delete(socketId);
+    members.delete(member);
     if (members.size === 0) {
-      localRoomMembers.delete(roomId);
+      this.leases.delete(key);
     }
-
-    metrics.localRooms.set(localRoomMembers.size);
   }
 
-  function relayPublishedMessage(event) {
-    const members = localRoomMembers.get(event.roomId);
-    if (!members) {
-      return;
+  pruneLeases(key) {
+    const members = this.leases.get(key);
+    const now = Date.now();
+    members.forEach((expiresAt, member) => {
+      if (expiresAt <= now) {
+        members.delete(member);
+      }
+    });
+
+    if (members.size === 0) {
+      this.leases.delete(key);
     }
+  }
 
-    members.forEach((socketId) => {
-      if (socketId === event.senderSocketId) {
-        return;
+  prune() {
+    const now = Date.now();
+    this.counters.forEach((counter, key) => {
+      if (counter.expiresAt <= now) {
+        this.counters.delete(key);
       }
-
-      send(sockets.get(socketId), event.payload);
     });
+    Array.from(this.leases.keys()).forEach((key) => this.pruneLeases(key));
   }
+}
 
-  async function publishRoomEvent(roomId, senderSocketId, payload) {
-    const event = { roomId, senderSocketId, payload };
+class RedisLimitStore {
+  constructor(client, prefix) {
+    this.client = client;
+    this.prefix = prefix;
+  }
 
-    if (pubClient) {
-      await pubClient.publish(ROOM_EVENT_CHANNEL, JSON.stringify(event));
-      return;
+  limitKey(key) {
+    return `${this.prefix}:limit:${key}`;
+  }
+
+  async increment(key, windowMs, amount = 1) {
+    const redisKey = this.limitKey(key);
+    const count = await this.client.incrBy(redisKey, amount);
+    if (count === amount) {
+      await this.client.pExpire(redisKey, windowMs);
     }
 
-    relayPublishedMessage(event);
+    return count;
   }
 
-  async function createRoom(ws) {
-    for (let attempt = 0; attempt < 10; attempt += 1) {
-      const roomId = generateRoomCode();
-      const created = await roomStore.createRoom(roomId, {
-        createdAt: Date.now(),
-        peerCount: 1,
-        pendingOffer: null,
-        pendingCandidates: []
-      });
+  async count(key) {
+    return Number(await this.client.get(this.limitKey(key))) || 0;
+  }
 
-      if (!created) {
-        continue;
-      }
+  // Members are kept in a sorted set scored by lease expiry
+  async addLease(key, member, leaseMs) {
+    const redisKey = this.limitKey(key);
+    const now = Date.now();
+    const [, , count] = await this.client.multi()
+      .zRemRangeByScore(redisKey, '-inf', now)
+      .zAdd(redisKey, { score: now + leaseMs, value: member })
+      .zCard(redisKey)
+      .pExpire(redisKey, leaseMs)
+      .exec();
+
+    return Number(count);
+  }
 
-      ws.roomId = roomId;
-      ws.role = 'sender';
-      addSocketToRoom(roomId, ws.socketId);
-      metrics.roomEvents.inc({ type: 'create' });
+  async removeLease(key, member) {
+    await this.client.zRem(this.limitKey(key), member);
+  }
+}
 
-      send(ws, {
-        type: 'joined',
-        roomId,
-        peerId: 'peer1',
-        role: 'sender'
-      });
+// Reconnect sessions, keyed by peer ID. A session outlives its socket for the
+// reconnect grace period; room events addressed to the peer meanwhile are queued
+// and replayed when it resumes.
+class MemoryReconnectStore {
+  constructor() {
+    this.sessions = new Map();
+    this.queues = new Map();
+  }
 
-      return;
+  async getSession(peerId) {
+    const entry = this.sessions.get(peerId);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.deleteSession(peerId);
+      return null;
     }
 
-    send(ws, { type: 'error', message: 'Failed to create room' });
+    return { ...entry.session };
   }
 
-  async function joinRoom(ws, roomId) {
-    const normalizedRoomId = String(roomId || '').toUpperCase();
-    const result = await roomStore.joinRoom(normalizedRoomId);
+  async saveSession(peerId, session, ttlMs) {
+    this.sessions.set(peerId, { session: { ...session }, expiresAt: Date.now() + ttlMs });
+  }
 
-    if (!result) {
+  async deleteSession(peerId) {
+    this.sessions.delete(peerId);
+    this.queues.delete(peerId);
+  }
+
+  async queueEvent(peerId, event, maxQueued) {
+    const queue = this.queues.get(peerId) || [];
+    queue.push(event);
+    this.queues.set(peerId, queue.slice(-maxQueued));
+  }
+
+  async drainEvents(peerId) {
+    const queue = this.queues.get(peerId) || [];
+    this.queues.delete(peerId);
+    return queue;
+  }
+
+  prune() {
+    const now = Date.now();
+    this.sessions.forEach((entry, peerId) => {
+      if (entry.expiresAt <= now) {
+        this.deleteSession(peerId);
+      }
+    });
+  }
+}
+
+class RedisReconnectStore {
+  constructor(client, prefix) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  sessionKey(peerId) {
+    return `${this.prefix}:session:${peerId}`;
+  }
+
+  queueKey(peerId) {
+    return `${this.prefix}:session-queue:${peerId}`;
+  }
+
+  async getSession(peerId) {
+    const raw = await this.client.get(this.sessionKey(peerId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async saveSession(peerId, session, ttlMs) {
+    await this.client.set(this.sessionKey(peerId), JSON.stringify(session), { PX: ttlMs });
+  }
+
+  async deleteSession(peerId) {
+    await this.client.del([this.sessionKey(peerId), this.queueKey(peerId)]);
+  }
+
+  async queueEvent(peerId, event, maxQueued) {
+    const key = this.queueKey(peerId);
+    await this.client.multi()
+      .rPush(key, JSON.stringify(event))
+      .lTrim(key, -maxQueued, -1)
+      .pExpire(key, RECONNECT_GRACE_MS)
+      .exec();
+  }
+
+  async drainEvents(peerId) {
+    const key = this.queueKey(peerId);
+    const [rawEvents] = await this.client.multi()
+      .lRange(key, 0, -1)
+      .del(key)
+      .exec();
+
+    return (rawEvents || []).map((raw) => JSON.parse(raw));
+  }
+}
+
+// Resumable relay transfers, keyed by "<sender peer ID>:<receiver peer ID>". Peer
+// IDs survive signaling reconnects, so either side can pick a transfer back up
+// from the last offset the receiver acknowledged.
+class MemoryRelaySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async getSession(key) {
+    const entry = this.sessions.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.sessions.delete(key);
+      return null;
+    }
+
+    return { ...entry.session };
+  }
+
+  async saveSession(key, session, ttlMs) {
+    this.sessions.set(key, { session: { ...session }, expiresAt: Date.now() + ttlMs });
+  }
+
+  async deleteSession(key) {
+    this.sessions.delete(key);
+  }
+
+  prune() {
+    const now = Date.now();
+    this.sessions.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.sessions.delete(key);
+      }
+    });
+  }
+}
+
+class RedisRelaySessionStore {
+  constructor(client, prefix) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  sessionKey(key) {
+    return `${this.prefix}:relay-session:${key}`;
+  }
+
+  async getSession(key) {
+    const raw = await this.client.get(this.sessionKey(key));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async saveSession(key, session, ttlMs) {
+    await this.client.set(this.sessionKey(key), JSON.stringify(session), { PX: ttlMs });
+  }
+
+  async deleteSession(key) {
+    await this.client.del(this.sessionKey(key));
+  }
+}
+
+// Room event transports. Each one delivers published events to `onEvent(event)`
+// and relay frames to `onFrame(roomId, targetPeerId, frame)` on every instance
+// that should see them, in the order they were published for a room.
+
+// Every instance reads every room's traffic from two shared channels.
+class SharedChannelRoomBus {
+  constructor(publisher, subscriber, handlers) {
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+    this.handlers = handlers;
+  }
+
+  async start() {
+    await this.subscriber.subscribe(ROOM_EVENT_CHANNEL, (message) => {
+      try {
+        this.handlers.onEvent(JSON.parse(message));
+      } catch (error) {
+        console.error('Failed to process room event:', error);
+      }
+    });
+
+    // Relay frames cross instances as raw Buffers: [room ID length:1][room ID][target peer ID:8][frame]
+    await this.subscriber.subscribe(RELAY_FRAME_CHANNEL, (message) => {
+      const roomIdEnd = 1 + message[0];
+      this.handlers.onFrame(
+        message.toString('ascii', 1, roomIdEnd),
+        message.toString('hex', roomIdEnd, roomIdEnd + 8),
+        message.subarray(roomIdEnd + 8)
+      );
+    }, true);
+  }
+
+  async publishEvent(event) {
+    await this.publisher.publish(ROOM_EVENT_CHANNEL, JSON.stringify(event));
+  }
+
+  async publishFrame(roomId, targetPeerId, frame) {
+    const header = Buffer.alloc(1 + roomId.length + 8);
+    header[0] = roomId.length;
+    header.write(roomId, 1, 'ascii');
+    header.write(targetPeerId, 1 + roomId.length, 'hex');
+    await this.publisher.publish(RELAY_FRAME_CHANNEL, Buffer.concat([header, frame]));
+  }
+
+  async watchRoom() {}
+
+  async unwatchRoom() {}
+
+  async deleteRoom() {}
+
+  async close() {}
+}
+
+// A channel pair per room, subscribed only while this instance watches the room.
+// Redis delivers a connection's publishes in order, so events and frames for a
+// room stay ordered, but anything published while a subscriber is offline is lost.
+class RoomChannelBus {
+  constructor(publisher, subscriber, prefix, handlers) {
+    this.publisher = publisher;
+    this.subscriber = subscriber;
+    this.prefix = prefix;
+    this.handlers = handlers;
+    this.rooms = new Map(); // Room ID -> subscription promise
+  }
+
+  eventChannel(roomId) {
+    return `${this.prefix}:room-events:${roomId}`;
+  }
+
+  frameChannel(roomId) {
+    return `${this.prefix}:relay-frames:${roomId}`;
+  }
+
+  async start() {}
+
+  async publishEvent(event) {
+    await this.publisher.publish(this.eventChannel(event.roomId), JSON.stringify(event));
+  }
+
+  // Frames are [target peer ID:8][frame]; the channel names the room
+  async publishFrame(roomId, targetPeerId, frame) {
+    await this.publisher.publish(this.frameChannel(roomId), Buffer.concat([Buffer.from(targetPeerId, 'hex'), frame]));
+  }
+
+  watchRoom(roomId) {
+    if (!this.rooms.has(roomId)) {
+      this.rooms.set(roomId, this.subscribe(roomId));
+    }
+
+    return this.rooms.get(roomId);
+  }
+
+  async subscribe(roomId) {
+    await this.subscriber.subscribe(this.eventChannel(roomId), (message) => {
+      try {
+        this.handlers.onEvent(JSON.parse(message));
+      } catch (error) {
+        console.error('Failed to process room event:', error);
+      }
+    });
+    await this.subscriber.subscribe(this.frameChannel(roomId), (message) => {
+      this.handlers.onFrame(roomId, message.toString('hex', 0, 8), message.subarray(8));
+    }, true);
+  }
+
+  async unwatchRoom(roomId) {
+    if (!this.rooms.delete(roomId)) {
+      return;
+    }
+
+    await this.subscriber.unsubscribe([this.eventChannel(roomId), this.frameChannel(roomId)]);
+  }
+
+  async deleteRoom() {}
+
+  async close() {}
+}
+
+// A Redis Stream per room. The reader remembers the last entry it delivered for
+// each watched room, so after a dropped Redis connection it picks up where it
+// left off, as long as the entries are still within ROOM_EVENT_STREAM_MAXLEN
+// and no older than the reconnect grace period. Relay frames make up most of a
+// stream, so entries past that age are trimmed rather than kept for the room's
+// lifetime.
+class RoomStreamBus {
+  constructor(client, reader, prefix, handlers) {
+    this.client = client;
+    this.reader = reader.withTypeMapping({ [RESP_TYPES.BLOB_STRING]: Buffer });
+    this.connection = reader;
+    this.prefix = prefix;
+    this.handlers = handlers;
+    this.watches = new Map(); // Room ID -> promise that resolves once the room is being read
+    this.cursors = new Map(); // Room ID -> last delivered entry ID
+    this.wakeKey = `${prefix}:room-stream-wake:${INSTANCE_ID}`;
+    this.wakeCursor = '0-0';
+    this.running = false;
+  }
+
+  streamKey(roomId) {
+    return `${this.prefix}:room-stream:${roomId}`;
+  }
+
+  async start() {
+    this.wakeCursor = await this.wake();
+    this.running = true;
+    this.readLoop();
+  }
+
+  async publishEvent(event) {
+    await this.append(event.roomId, { event: JSON.stringify(event) });
+  }
+
+  // Frames are stored as [target peer ID:8][frame]
+  async publishFrame(roomId, targetPeerId, frame) {
+    await this.append(roomId, { frame: Buffer.concat([Buffer.from(targetPeerId, 'hex'), frame]) });
+  }
+
+  async append(roomId, fields) {
+    const key = this.streamKey(roomId);
+    await this.client.multi()
+      .xAdd(key, '*', fields, {
+        TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: ROOM_EVENT_STREAM_MAXLEN }
+      })
+      .xTrim(key, 'MINID', `${Date.now() - RECONNECT_GRACE_MS}-0`, { strategyModifier: '~' })
+      .pExpire(key, RECONNECT_GRACE_MS)
+      .exec();
+  }
+
+  // Called once a room is gone. Readers still get a few seconds to take its
+  // final event (such as `room-closed`) before the stream is dropped.
+  async deleteRoom(roomId) {
+    await this.client.pExpire(this.streamKey(roomId), ROOM_STREAM_CLOSE_GRACE_MS);
+  }
+
+  // Reading starts after the room's latest entry. `$` would skip whatever
+  // arrives between one XREAD and the next.
+  watchRoom(roomId) {
+    if (!this.watches.has(roomId)) {
+      const watch = this.client.xRevRange(this.streamKey(roomId), '+', '-', { COUNT: 1 }).then(([latest]) => {
+        if (this.watches.get(roomId) === watch) {
+          this.cursors.set(roomId, latest ? latest.id : '0-0');
+          return this.wake();
+        }
+      });
+      this.watches.set(roomId, watch);
+    }
+
+    return this.watches.get(roomId);
+  }
+
+  async unwatchRoom(roomId) {
+    this.watches.delete(roomId);
+    this.cursors.delete(roomId);
+  }
+
+  // Unblocks the reader so it picks up a newly watched room straight away
+  async wake() {
+    const [id] = await this.client.multi()
+      .xAdd(this.wakeKey, '*', { wake: '1' }, { TRIM: { strategy: 'MAXLEN', threshold: 1 } })
+      .pExpire(this.wakeKey, 60 * 1000)
+      .exec();
+    return id;
+  }
+
+  async readLoop() {
+    while (this.running) {
+      const streams = [{ key: this.wakeKey, id: this.wakeCursor }];
+      this.cursors.forEach((id, roomId) => streams.push({ key: this.streamKey(roomId), id }));
+
+      let reply;
+      try {
+        reply = await this.reader.xRead(streams, { BLOCK: ROOM_EVENT_STREAM_BLOCK_MS, COUNT: 100 });
+      } catch (error) {
+        if (!this.running) {
+          return;
+        }
+
+        console.error('Failed to read room streams:', error);
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        continue;
+      }
+
+      (reply || []).forEach(({ name, messages }) => this.deliver(name.toString(), messages));
+    }
+  }
+
+  deliver(key, messages) {
+    if (key === this.wakeKey) {
+      this.wakeCursor = messages[messages.length - 1].id.toString();
+      return;
+    }
+
+    const roomId = key.slice(this.streamKey('').length);
+    messages.forEach(({ id, message }) => {
+      // The room may have been unwatched while the read was in flight
+      if (!this.cursors.has(roomId)) {
+        return;
+      }
+
+      this.cursors.set(roomId, id.toString());
+      try {
+        if (message.event) {
+          this.handlers.onEvent(JSON.parse(message.event.toString()));
+        } else if (message.frame) {
+          this.handlers.onFrame(roomId, message.frame.toString('hex', 0, 8), message.frame.subarray(8));
+        }
+      } catch (error) {
+        console.error('Failed to process room event:', error);
+      }
+    });
+  }
+
+  async close() {
+    this.running = false;
+    this.connection.destroy();
+  }
+}
+
+// Drop-off files on local disk: "<id>.bin" holds the ciphertext and
+// "<id>.json" the drop record, written last so a half-finished upload is never served.
+class DiskDropStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async init() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+  }
+
+  contentPath(id) {
+    return path.join(this.dir, `${id}.bin`);
+  }
+
+  recordPath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async save(id, record, source) {
+    const partialPath = path.join(this.dir, `${id}.part`);
+    try {
+      await pipeline(source, fs.createWriteStream(partialPath));
+      await fs.promises.rename(partialPath, this.contentPath(id));
+      await fs.promises.writeFile(this.recordPath(id), JSON.stringify(record));
+    } catch (error) {
+      await fs.promises.rm(partialPath, { force: true });
+      throw error;
+    }
+  }
+
+  async getRecord(id) {
+    try {
+      return parseDropRecord(id, await fs.promises.readFile(this.recordPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  async openContent(id) {
+    return fs.createReadStream(this.contentPath(id));
+  }
+
+  async delete(id) {
+    await fs.promises.rm(this.recordPath(id), { force: true });
+    await fs.promises.rm(this.contentPath(id), { force: true });
+  }
+
+  async deleteExpired() {
+    const now = Date.now();
+    const names = await fs.promises.readdir(this.dir);
+    let deleted = 0;
+
+    for (const name of names.filter((entry) => entry.endsWith('.json'))) {
+      const id = name.slice(0, -5);
+      const record = await this.getRecord(id).catch(() => null);
+      if (!record || record.expiresAt <= now) {
+        await this.delete(id);
+        deleted += 1;
+      }
+    }
+
+    return deleted;
+  }
+}
+
+// Drop-off files in an S3-compatible bucket, using path-style URLs so MinIO
+// works without DNS setup. Expired objects are removed when next requested;
+// configure a bucket lifecycle rule to clean up the rest.
+class S3DropStore {
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey }) {
+    this.endpoint = new URL(endpoint);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+  }
+
+  async init() {}
+
+  async save(id, record, source, size) {
+    await this.request('PUT', `drops/${id}.bin`, {
+      body: source,
+      headers: { 'content-length': String(size), 'content-type': 'application/octet-stream' }
+    });
+    const body = Buffer.from(JSON.stringify(record));
+    await this.request('PUT', `drops/${id}.json`, {
+      body,
+      headers: { 'content-length': String(body.length), 'content-type': 'application/json' }
+    });
+  }
+
+  async getRecord(id) {
+    const response = await this.request('GET', `drops/${id}.json`, { allowMissing: true });
+    if (!response) {
+      return null;
+    }
+
+    const chunks = [];
+    for await (const chunk of response) {
+      chunks.push(chunk);
+    }
+
+    return parseDropRecord(id, Buffer.concat(chunks).toString('utf8'));
+  }
+
+  async openContent(id) {
+    return this.request('GET', `drops/${id}.bin`);
+  }
+
+  async delete(id) {
+    await this.request('DELETE', `drops/${id}.json`, { allowMissing: true });
+    await this.request('DELETE', `drops/${id}.bin`, { allowMissing: true });
+  }
+
+  async deleteExpired() {
+    return 0;
+  }
+
+  // Resolves with the response stream, or null for a 404 when `allowMissing` is set.
+  request(method, key, { body = null, headers = {}, allowMissing = false } = {}) {
+    const basePath = this.endpoint.pathname.replace(/\/$/, '');
+    const requestPath = `${basePath}/${this.bucket}/${key.split('/').map(encodeURIComponent).join('/')}`;
+    const signedHeaders = signS3Request({
+      method,
+      host: this.endpoint.host,
+      path: requestPath,
+      headers,
+      region: this.region,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey
+    });
+    const transport = this.endpoint.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request({
+        method,
+        hostname: this.endpoint.hostname,
+        port: this.endpoint.port || undefined,
+        path: requestPath,
+        headers: signedHeaders
+      }, (response) => {
+        if (response.statusCode === 404 && allowMissing) {
+          response.resume();
+          resolve(null);
+          return;
+        }
+
+        if (response.statusCode >= 300) {
+          response.resume();
+          reject(new Error(`S3 ${method} ${key} failed with ${response.statusCode}`));
+          return;
+        }
+
+        resolve(response);
+      });
+
+      request.on('error', reject);
+      if (body && typeof body.pipe === 'function') {
+        pipeline(body, request).catch(reject);
+      } else {
+        request.end(body || undefined);
+      }
+    });
+  }
+}
+
+// A record that doesn't parse (a torn write, a hand-edited file) counts as missing
+function parseDropRecord(id, raw) {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Ignoring unreadable drop record ${id}:`, error.message);
+    return null;
+  }
+}
+
+// AWS Signature Version 4 for a single S3 request. The payload is left
+// unsigned so uploads can be streamed straight through.
+function signS3Request({ method, host, path: requestPath, headers, region, accessKeyId, secretAccessKey }) {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const allHeaders = {
+    ...headers,
+    host,
+    'x-amz-content-sha256': 'UNSIGNED-PAYLOAD',
+    'x-amz-date': amzDate
+  };
+  const headerNames = Object.keys(allHeaders).map((name) => name.toLowerCase()).sort();
+  const lowerCaseHeaders = Object.fromEntries(Object.entries(allHeaders).map(([name, value]) => [name.toLowerCase(), value]));
+  const canonicalHeaders = headerNames.map((name) => `${name}:${String(lowerCaseHeaders[name]).trim()}\n`).join('');
+  const signedHeaderNames = headerNames.join(';');
+  const canonicalRequest = [method, requestPath, '', canonicalHeaders, signedHeaderNames, 'UNSIGNED-PAYLOAD'].join('\n');
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = [
+    'AWS4-HMAC-SHA256',
+    amzDate,
+    scope,
+    crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+  ].join('\n');
+  const signingKey = ['aws4_request', 's3', region, dateStamp].reduceRight(
+    (key, part) => crypto.createHmac('sha256', key).update(part).digest(),
+    `AWS4${secretAccessKey}`
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...lowerCaseHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderNames}, Signature=${signature}`
+  };
+}
+
+// Passes at most `maxBytes` through, failing the stream with code 'too-large' after that.
+function createByteLimit(maxBytes) {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > maxBytes) {
+        const error = new Error('Upload is larger than declared');
+        error.code = 'too-large';
+        callback(error);
+        return;
+      }
+
+      callback(null, chunk);
+    }
+  });
+}
+
+// Tokens are "<peerId>.<secret>"; only a hash of the secret is stored.
+function generateReconnectToken(peerId) {
+  const secret = crypto.randomBytes(24).toString('base64url');
+  return { token: `${peerId}.${secret}`, tokenHash: hashToken(secret) };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function parseReconnectToken(token) {
+  const [peerId, secret] = typeof token === 'string' ? token.split('.') : [];
+  if (!peerId || !secret || !/^[a-f0-9]{16}$/.test(peerId)) {
+    return null;
+  }
+
+  return { peerId, secret };
+}
+
+function verifyToken(token, tokenHash) {
+  const actual = Buffer.from(hashToken(token), 'hex');
+  const expected = Buffer.from(String(tokenHash || ''), 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function getJoinBackoffMs(failures) {
+  if (failures < JOIN_BACKOFF_AFTER) {
+    return 0;
+  }
+
+  return Math.min(JOIN_BACKOFF_BASE_MS * (2 ** (failures - JOIN_BACKOFF_AFTER)), JOIN_BACKOFF_MAX_MS);
+}
+
+function getClientIp(req) {
+  if (TRUST_PROXY) {
+    const forwardedFor = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    if (forwardedFor) {
+      return forwardedFor;
+    }
+  }
+
+  return req.socket.remoteAddress || 'unknown';
+}
+
+function getRequestHostname(req) {
+  const host = String((TRUST_PROXY && req.headers['x-forwarded-host']) || req.headers.host || '').split(',')[0].trim();
+  return host.startsWith('[') ? host.slice(1, host.indexOf(']')) : host.split(':')[0];
+}
+
+// Express 4 doesn't catch rejected promises; a store failure in an async route
+// would otherwise take the whole process down
+function asyncRoute(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+function handleRouteError(error, req, res, next) {
+  if (res.headersSent) {
+    next(error);
+    return;
+  }
+
+  const status = error.status || error.statusCode || 500;
+  if (status >= 500) {
+    console.error(`${req.method} ${req.path} failed:`, error);
+  }
+
+  res.status(status).json({ error: error.expose ? error.message : 'Something went wrong. Try again later.' });
+}
+
+// Room secrets are stored as "scrypt$<salt>$<hash>"; the plaintext never reaches a room store.
+async function hashRoomSecret(secret) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(secret, salt, 32);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyRoomSecret(secret, storedHash) {
+  const [scheme, saltValue, hashValue] = String(storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !saltValue || !hashValue || typeof secret !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(hashValue, 'base64');
+  const actual = await scrypt(secret, Buffer.from(saltValue, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function describeBrowser(userAgent) {
+  const ua = String(userAgent || '');
+
+  if (/Edg\//.test(ua)) {
+    return 'Edge';
+  }
+  if (/OPR\/|Opera/.test(ua)) {
+    return 'Opera';
+  }
+  if (/Firefox\/|FxiOS/.test(ua)) {
+    return 'Firefox';
+  }
+  if (/Chrome\/|CriOS/.test(ua)) {
+    return 'Chrome';
+  }
+  if (/Safari\//.test(ua)) {
+    return 'Safari';
+  }
+
+  return 'Unknown browser';
+}
+
+function sanitizeDeviceName(deviceName) {
+  const name = typeof deviceName === 'string' ? deviceName.replace(/[\u0000-\u001f]/g, '').trim() : '';
+  return name.slice(0, DEVICE_NAME_MAX_LENGTH) || 'Unknown device';
+}
+
+function countSdpCandidates(sdp) {
+  return (sdp.match(/^a=candidate:/gm) || []).length;
+}
+
+// Returns a description of the first problem with a client message, or null.
+function validateSignalingMessage(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return 'Message must be a JSON object';
+  }
+
+  if (typeof data.type !== 'string' || !Object.prototype.hasOwnProperty.call(SIGNALING_SCHEMAS, data.type)) {
+    return 'Unsupported message type';
+  }
+
+  const { type, ...fields } = data;
+  return validateFields(fields, SIGNALING_SCHEMAS[type], '');
+}
+
+function validateFields(value, schema, prefix) {
+  for (const key of Object.keys(value)) {
+    if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+      return `Unexpected field "${prefix}${key}"`;
+    }
+  }
+
+  for (const [key, spec] of Object.entries(schema)) {
+    const error = validateField(value[key], spec, `${prefix}${key}`);
+    if (error) {
+      return error;
+    }
+  }
+
+  return null;
+}
+
+function validateField(value, spec, name) {
+  if (value === undefined) {
+    return spec.optional ? null : `Missing field "${name}"`;
+  }
+
+  if (value === null) {
+    return spec.nullable ? null : `Field "${name}" must not be null`;
+  }
+
+  if (spec.type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return `Field "${name}" must be an object`;
+    }
+
+    return validateFields(value, spec.fields, `${name}.`);
+  }
+
+  if (typeof value !== spec.type || (spec.type === 'number' && !Number.isFinite(value))) {
+    return `Field "${name}" must be a ${spec.type}`;
+  }
+
+  if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+    return `Field "${name}" is longer than ${spec.maxLength} characters`;
+  }
+
+  if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+    return `Field "${name}" is out of range`;
+  }
+
+  if ((spec.pattern && !spec.pattern.test(value)) || (spec.oneOf && !spec.oneOf.includes(value))) {
+    return `Field "${name}" has an invalid value`;
+  }
+
+  if (spec.check) {
+    const result = spec.check(value);
+    if (result !== true) {
+      return result || `Field "${name}" has an invalid value`;
+    }
+  }
+
+  return null;
+}
+
+function getPowDifficulty(roomsPerMinute) {
+  if (POW_BASE_DIFFICULTY <= 0 || roomsPerMinute < POW_ROOM_RATE_THRESHOLD) {
+    return 0;
+  }
+
+  const doublings = Math.floor(Math.log2(roomsPerMinute / POW_ROOM_RATE_THRESHOLD));
+  return Math.min(POW_BASE_DIFFICULTY + doublings, POW_MAX_DIFFICULTY);
+}
+
+function createPowChallenge(difficulty) {
+  return {
+    prefix: crypto.randomBytes(16).toString('hex'),
+    difficulty,
+    expiresAt: Date.now() + POW_CHALLENGE_TTL_MS
+  };
+}
+
+function countLeadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+
+    return bits + Math.clz32(byte) - 24;
+  }
+
+  return bits;
+}
+
+function verifyPowSolution(challenge, nonce) {
+  if (!challenge || typeof nonce !== 'string' || !nonce || challenge.expiresAt <= Date.now()) {
+    return false;
+  }
+
+  const digest = crypto.createHash('sha256').update(`${challenge.prefix}:${nonce}`).digest();
+  return countLeadingZeroBits(digest) >= challenge.difficulty;
+}
+
+function generatePeerId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+function generateRoomCode() {
+  let roomId = '';
+
+  for (let index = 0; index < ROOM_CODE_LENGTH; index += 1) {
+    roomId += ROOM_CHARS[crypto.randomInt(ROOM_CHARS.length)];
+  }
+
+  return roomId;
+}
+
+// TURN REST API credentials: the username is "<expiry>:<user>" and the
+// password is base64(HMAC-SHA1(secret, username)), which coturn can verify.
+function createTurnCredentials(userId) {
+  const expiresAt = Date.now() + TURN_CREDENTIAL_TTL_MS;
+  const username = `${Math.floor(expiresAt / 1000)}:${userId}`;
+  const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+  return { username, credential, expiresAt };
+}
+
+// `userId` labels minted TURN credentials (a room ID or a random ID per request).
+// `hostname` is the host the client reached us on, used to advertise the built-in
+// STUN responder. `expiresAt` is null when the credentials are static.
+function buildRtcConfig({ userId = crypto.randomBytes(8).toString('hex'), hostname = '' } = {}) {
+  const iceServers = STUN_URLS.map((urls) => ({ urls }));
+  let expiresAt = null;
+
+  const stunHost = STUN_SERVER_PUBLIC_HOST || hostname;
+  if (STUN_SERVER_ENABLED && stunHost) {
+    const formattedHost = stunHost.includes(':') ? `[${stunHost}]` : stunHost;
+    iceServers.unshift({ urls: `stun:${formattedHost}:${STUN_SERVER_PORT}` });
+  }
+
+  if (TURN_URLS.length > 0 && TURN_SECRET) {
+    const turnCredentials = createTurnCredentials(userId);
+    expiresAt = turnCredentials.expiresAt;
+    iceServers.push({
+      urls: TURN_URLS,
+      username: turnCredentials.username,
+      credential: turnCredentials.credential
+    });
+  } else if (TURN_URLS.length > 0) {
+    iceServers.push({
+      urls: TURN_URLS,
+      username: TURN_USERNAME,
+      credential: TURN_CREDENTIAL
+    });
+  }
+
+  return {
+    rtcConfig: {
+      iceServers,
+      iceTransportPolicy: ICE_TRANSPORT_POLICY,
+      iceCandidatePoolSize: ICE_CANDIDATE_POOL_SIZE,
+      bundlePolicy: 'max-bundle',
+      rtcpMuxPolicy: 'require'
+    },
+    expiresAt
+  };
+}
+
+const STUN_MAGIC_COOKIE = 0x2112a442;
+const STUN_BINDING_REQUEST = 0x0001;
+const STUN_BINDING_SUCCESS = 0x0101;
+const STUN_ATTR_MAPPED_ADDRESS = 0x0001;
+const STUN_ATTR_XOR_MAPPED_ADDRESS = 0x0020;
+
+// Returns the transaction ID of a well-formed Binding request, or null.
+function parseStunBindingRequest(message) {
+  if (message.length < 20 || (message[0] & 0xc0) !== 0) {
+    return null;
+  }
+
+  if (message.readUInt16BE(0) !== STUN_BINDING_REQUEST
+    || message.readUInt16BE(2) !== message.length - 20
+    || message.readUInt32BE(4) !== STUN_MAGIC_COOKIE) {
+    return null;
+  }
+
+  return message.subarray(8, 20);
+}
+
+function encodeStunAddress(type, address, port, transactionId) {
+  const ipv4 = address.startsWith('::ffff:') && address.includes('.') ? address.slice(7) : address;
+  const isIpv6 = !ipv4.includes('.');
+  const addressBytes = isIpv6 ? parseIpv6(ipv4) : Buffer.from(ipv4.split('.').map(Number));
+  const value = Buffer.alloc(4 + addressBytes.length);
+  value[1] = isIpv6 ? 0x02 : 0x01;
+
+  if (type === STUN_ATTR_XOR_MAPPED_ADDRESS) {
+    // XOR'd with the magic cookie (and the transaction ID for IPv6)
+    const mask = Buffer.concat([Buffer.from([0x21, 0x12, 0xa4, 0x42]), transactionId]);
+    value.writeUInt16BE(port ^ (STUN_MAGIC_COOKIE >>> 16), 2);
+    addressBytes.forEach((byte, index) => {
+      value[4 + index] = byte ^ mask[index];
+    });
+  } else {
+    value.writeUInt16BE(port, 2);
+    addressBytes.copy(value, 4);
+  }
+
+  const attribute = Buffer.alloc(4);
+  attribute.writeUInt16BE(type, 0);
+  attribute.writeUInt16BE(value.length, 2);
+  return Buffer.concat([attribute, value]);
+}
+
+function parseIpv6(address) {
+  const [head, tail = ''] = address.split('%')[0].split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = address.includes('::')
+    ? [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+    : headGroups;
+  const bytes = Buffer.alloc(16);
+  groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16) || 0, index * 2));
+  return bytes;
+}
+
+function buildStunBindingResponse(transactionId, address, port) {
+  const attributes = Buffer.concat([
+    encodeStunAddress(STUN_ATTR_XOR_MAPPED_ADDRESS, address, port, transactionId),
+    // Plain MAPPED-ADDRESS for RFC 3489 clients
+    encodeStunAddress(STUN_ATTR_MAPPED_ADDRESS, address, port, transactionId)
+  ]);
+  const header = Buffer.alloc(20);
+  header.writeUInt16BE(STUN_BINDING_SUCCESS, 0);
+  header.writeUInt16BE(attributes.length, 2);
+  header.writeUInt32BE(STUN_MAGIC_COOKIE, 4);
+  transactionId.copy(header, 8);
+  return Buffer.concat([header, attributes]);
+}
+
+function startStunServer(metrics) {
+  const socket = dgram.createSocket(HOST.includes(':') ? 'udp6' : 'udp4');
+
+  socket.on('message', (message, remote) => {
+    const transactionId = parseStunBindingRequest(message);
+    if (!transactionId) {
+      metrics.stunRequests.inc({ result: 'invalid' });
+      return;
+    }
+
+    metrics.stunRequests.inc({ result: 'binding' });
+    socket.send(buildStunBindingResponse(transactionId, remote.address, remote.port), remote.port, remote.address);
+  });
+
+  socket.on('error', (error) => {
+    console.error('STUN server error:', error);
+  });
+
+  socket.bind(STUN_SERVER_PORT, HOST, () => {
+    console.log(`STUN responder listening on udp ${STUN_SERVER_PORT}`);
+  });
+
+  return socket;
+}
+
+function createMetrics() {
+  const registry = new promClient.Registry();
+  promClient.collectDefaultMetrics({ register: registry, prefix: 'bhejo_' });
+
+  const websocketConnections = new promClient.Gauge({
+    name: 'bhejo_websocket_connections',
+    help: 'Active websocket client connections',
+    registers: [registry]
+  });
+
+  const localRooms = new promClient.Gauge({
+    name: 'bhejo_local_rooms',
+    help: 'Rooms with at least one peer on this instance',
+    registers: [registry]
+  });
+
+  const roomEvents = new promClient.Counter({
+    name: 'bhejo_room_events_total',
+    help: 'Room lifecycle events',
+    labelNames: ['type'],
+    registers: [registry]
+  });
+
+  const signalingMessages = new promClient.Counter({
+    name: 'bhejo_signaling_messages_total',
+    help: 'Signaling messages handled by the server',
+    labelNames: ['type'],
+    registers: [registry]
+  });
+
+  const transferEvents = new promClient.Counter({
+    name: 'bhejo_transfer_events_total',
+    help: 'Client-reported transfer events',
+    labelNames: ['type', 'role'],
+    registers: [registry]
+  });
+
+  const rejectedMessages = new promClient.Counter({
+    name: 'bhejo_signaling_messages_rejected_total',
+    help: 'Signaling messages rejected by validation',
+    labelNames: ['type', 'reason'],
+    registers: [registry]
+  });
+
+  const powDifficulty = new promClient.Gauge({
+    name: 'bhejo_pow_difficulty_bits',
+    help: 'Proof-of-work difficulty currently required to create a room',
+    registers: [registry]
+  });
+
+  const stunRequests = new promClient.Counter({
+    name: 'bhejo_stun_requests_total',
+    help: 'UDP packets handled by the built-in STUN responder',
+    labelNames: ['result'],
+    registers: [registry]
+  });
+
+  const limitViolations = new promClient.Counter({
+    name: 'bhejo_limit_violations_total',
+    help: 'Requests refused by an abuse limit',
+    labelNames: ['limit'],
+    registers: [registry]
+  });
+
+  const relayBytes = new promClient.Counter({
+    name: 'bhejo_relay_bytes_total',
+    help: 'File bytes forwarded through the relay, as counted by the server',
+    registers: [registry]
+  });
+
+  const dropEvents = new promClient.Counter({
+    name: 'bhejo_drop_events_total',
+    help: 'Drop-off uploads, downloads and expiries',
+    labelNames: ['type'],
+    registers: [registry]
+  });
+
+  const relayTransfers = new promClient.Counter({
+    name: 'bhejo_relay_transfers_total',
+    help: 'Relay transfers by outcome, as seen by the server',
+    labelNames: ['result'],
+    registers: [registry]
+  });
+
+  const transferBytes = new promClient.Counter({
+    name: 'bhejo_transfer_bytes_total',
+    help: 'Client-reported file bytes transferred',
+    labelNames: ['role'],
+    registers: [registry]
+  });
+
+  return {
+    registry,
+    websocketConnections,
+    localRooms,
+    roomEvents,
+    signalingMessages,
+    rejectedMessages,
+    limitViolations,
+    powDifficulty,
+    stunRequests,
+    relayBytes,
+    relayTransfers,
+    dropEvents,
+    transferEvents,
+    transferBytes
+  };
+}
+
+async function start() {
+  const app = express();
+  const server = http.createServer(app);
+  const wss = new WebSocket.Server({ server, perMessageDeflate: false, maxPayload: WS_MAX_PAYLOAD_BYTES });
+  const metrics = createMetrics();
+  const sockets = new Map();
+  const localRoomMembers = new Map();
+  let roomStore = new MemoryRoomStore(ROOM_EXPIRY);
+  let joinAttempts = new MemoryJoinAttemptStore();
+  let limits = new MemoryLimitStore();
+  let reconnectSessions = new MemoryReconnectStore();
+  let relaySessions = new MemoryRelaySessionStore();
+  // Peer ID -> { ws, roomId, graceTimer } for peers whose socket on this instance dropped
+  const disconnectedPeers = new Map();
+  let redisClient = null;
+  let pubClient = null;
+  let subClient = null;
+  let roomBus = null;
+  let maintenance = { enabled: false, message: '', since: null };
+  let powDifficulty = 0;
+  let dropStore = null;
+
+  app.disable('x-powered-by');
+  if (TRUST_PROXY) {
+    app.set('trust proxy', true);
+  }
+  if (DROP_STORAGE === 's3') {
+    dropStore = new S3DropStore({
+      endpoint: DROP_S3_ENDPOINT,
+      region: DROP_S3_REGION,
+      bucket: DROP_S3_BUCKET,
+      accessKeyId: DROP_S3_ACCESS_KEY_ID,
+      secretAccessKey: DROP_S3_SECRET_ACCESS_KEY
+    });
+  } else if (DROP_STORAGE === 'disk') {
+    dropStore = new DiskDropStore(DROP_DIR);
+  }
+
+  if (dropStore) {
+    await dropStore.init();
+  }
+
+  app.use(express.json({ limit: '64kb' }));
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  if (REDIS_URL) {
+    redisClient = createClient({ url: REDIS_URL });
+    const redisPublisher = createClient({ url: REDIS_URL });
+    const redisSubscriber = createClient({ url: REDIS_URL });
+
+    await Promise.all([
+      redisClient.connect(),
+      redisPublisher.connect(),
+      redisSubscriber.connect()
+    ]);
+
+    roomStore = new RedisRoomStore(redisClient, ROOM_EXPIRY, REDIS_PREFIX);
+    joinAttempts = new RedisJoinAttemptStore(redisClient, REDIS_PREFIX);
+    limits = new RedisLimitStore(redisClient, REDIS_PREFIX);
+    reconnectSessions = new RedisReconnectStore(redisClient, REDIS_PREFIX);
+    relaySessions = new RedisRelaySessionStore(redisClient, REDIS_PREFIX);
+    pubClient = redisPublisher;
+    subClient = redisSubscriber;
+
+    const roomBusHandlers = { onEvent: relayPublishedMessage, onFrame: deliverRelayFrame };
+    if (ROOM_EVENT_TRANSPORT === 'streams') {
+      const streamReader = redisClient.duplicate();
+      await streamReader.connect();
+      roomBus = new RoomStreamBus(redisClient, streamReader, REDIS_PREFIX, roomBusHandlers);
+    } else if (ROOM_EVENT_TRANSPORT === 'channels') {
+      roomBus = new RoomChannelBus(pubClient, subClient, REDIS_PREFIX, roomBusHandlers);
+    } else {
+      roomBus = new SharedChannelRoomBus(pubClient, subClient, roomBusHandlers);
+    }
+    await roomBus.start();
+
+    await subClient.subscribe(ADMIN_CHANNEL, (message) => {
+      try {
+        handleAdminCommand(JSON.parse(message));
+      } catch (error) {
+        console.error('Failed to process admin command:', error);
+      }
+    });
+
+    const storedMaintenance = await redisClient.get(MAINTENANCE_KEY);
+    if (storedMaintenance) {
+      maintenance = JSON.parse(storedMaintenance);
+    }
+  }
+
+  function send(ws, payload) {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  // Resolves once this instance receives the room's events
+  function addSocketToRoom(roomId, socketId) {
+    if (!localRoomMembers.has(roomId)) {
+      localRoomMembers.set(roomId, new Set());
+    }
+
+    localRoomMembers.get(roomId).add(socketId);
+    metrics.localRooms.set(localRoomMembers.size);
+    return syncRoomWatch(roomId);
+  }
+
+  function removeSocketFromRoom(roomId, socketId) {
+    const members = localRoomMembers.get(roomId);
+    if (!members) {
+      return;
+    }
+
+    members.delete(socketId);
+    if (members.size === 0) {
+      localRoomMembers.delete(roomId);
+    }
+
+    metrics.localRooms.set(localRoomMembers.size);
+    syncRoomWatch(roomId);
+  }
+
+  // An instance watches a room while it holds one of the room's sockets or a
+  // peer in its reconnect grace period, whose events it queues.
+  function syncRoomWatch(roomId) {
+    if (!roomBus) {
+      return Promise.resolve();
+    }
+
+    const needed = localRoomMembers.has(roomId)
+      || Array.from(disconnectedPeers.values()).some((suspended) => suspended.roomId === roomId);
+    const change = needed ? roomBus.watchRoom(roomId) : roomBus.unwatchRoom(roomId);
+    return change.catch((error) => {
+      console.error(`Failed to ${needed ? 'watch' : 'unwatch'} room ${roomId}:`, error);
+    });
+  }
+
+  function relayPublishedMessage(event) {
+    const members = localRoomMembers.get(event.roomId);
+    if (members) {
+      members.forEach((socketId) => {
+        if (socketId !== event.senderSocketId) {
+          deliverRoomEvent(sockets.get(socketId), event);
+        }
+      });
+    }
+
+    // Only the server publishes events without a sending peer
+    if (event.payload.type === 'room-closed' && !event.senderPeerId) {
+      closeLocalRoom(event.roomId);
+      return;
+    }
+
+    queueForDisconnectedPeers(event);
+  }
+
+  // Disconnects this instance's sockets from a room that was closed, without
+  // giving them a chance to resume into it.
+  function closeLocalRoom(roomId) {
+    const members = localRoomMembers.get(roomId);
+    if (members) {
+      Array.from(members).forEach((socketId) => {
+        const ws = sockets.get(socketId);
+        removeSocketFromRoom(roomId, socketId);
+        if (!ws) {
+          return;
+        }
+
+        ws.roomId = null;
+        ws.reconnectTokenHash = null;
+        ws.close(4004, 'Room closed');
+      });
+    }
+
+    disconnectedPeers.forEach((suspended, peerId) => {
+      if (suspended.roomId !== roomId) {
+        return;
+      }
+
+      clearTimeout(suspended.graceTimer);
+      disconnectedPeers.delete(peerId);
+      reconnectSessions.deleteSession(peerId).catch((error) => {
+        console.error('Failed to drop reconnect session:', error);
+      });
+    });
+    syncRoomWatch(roomId);
+  }
+
+  function deliverRoomEvent(ws, event) {
+    if (!ws || (event.targetPeerId && ws.peerId !== event.targetPeerId)) {
+      return;
+    }
+
+    const payload = { ...event.payload, from: event.senderPeerId };
+    if (event.targetPeerId) {
+      payload.to = event.targetPeerId;
+    }
+
+    if (ws.role === 'receiver' && !ws.admitted) {
+      deliverToWaitingReceiver(ws, event, payload);
+      return;
+    }
+
+    if (payload.type === 'relay-ack' && !applyRelayAck(ws, payload)) {
+      return;
+    }
+
+    send(ws, payload);
+  }
+
+  // Events for a peer in its reconnect grace period are kept by the instance
+  // that held its socket, and replayed by whichever instance it resumes on.
+  function queueForDisconnectedPeers(event) {
+    const resumed = event.payload.type === 'peer-reconnected' && disconnectedPeers.get(event.senderPeerId);
+    if (resumed && resumed.ws.socketId !== event.senderSocketId) {
+      clearTimeout(resumed.graceTimer);
+      disconnectedPeers.delete(event.senderPeerId);
+      syncRoomWatch(event.roomId);
+    }
+
+    disconnectedPeers.forEach((suspended, peerId) => {
+      if (suspended.roomId !== event.roomId || peerId === event.senderPeerId) {
+        return;
+      }
+
+      if (event.targetPeerId && event.targetPeerId !== peerId) {
+        return;
+      }
+
+      reconnectSessions.queueEvent(peerId, event, RECONNECT_MAX_QUEUED_EVENTS).catch((error) => {
+        console.error('Failed to queue event for reconnecting peer:', error);
+      });
+    });
+  }
+
+  // Admission decisions are applied by the instance holding the receiver's socket.
+  // Until then the receiver sees nothing from the sender but room lifecycle events.
+  function deliverToWaitingReceiver(ws, event, payload) {
+    if (!WAITING_RECEIVER_EVENTS.has(payload.type)) {
+      return;
+    }
+
+    if (payload.type === 'admitted' || payload.type === 'join-denied') {
+      if (event.senderRole !== 'sender') {
+        return;
+      }
+
+      if (payload.type === 'join-denied') {
+        // Give up the slot before closing so the denied receiver cannot resume into it
+        removePeer(ws, 'denied').catch((error) => {
+          console.error('Failed to remove denied receiver:', error);
+        });
+        send(ws, { type: 'error', code: 'join-denied', message: 'The sender declined your request to join' });
+        ws.close(4003, 'Join denied');
+        return;
+      }
+
+      ws.admitted = true;
+      saveReconnectSession(ws).catch((error) => {
+        console.error('Failed to update reconnect session:', error);
+      });
+    }
+
+    send(ws, payload);
+  }
+
+  // Delivers a payload to the room, or only to targetPeerId when one is given.
+  // Every instance receives the event; only the one holding the target socket sends it.
+  async function publishRoomEvent(roomId, ws, payload, targetPeerId = null) {
+    const event = {
+      roomId,
+      senderSocketId: ws ? ws.socketId : null,
+      senderPeerId: ws ? ws.peerId : null,
+      senderRole: ws ? ws.role : null,
+      targetPeerId,
+      payload
+    };
+
+    if (roomBus) {
+      await roomBus.publishEvent(event);
+      return;
+    }
+
+    relayPublishedMessage(event);
+  }
+
+  async function publishRelayFrame(roomId, targetPeerId, frame) {
+    if (roomBus) {
+      await roomBus.publishFrame(roomId, targetPeerId, frame);
+      return;
+    }
+
+    deliverRelayFrame(roomId, targetPeerId, frame);
+  }
+
+  // Lets the room bus free what it kept for a room that no longer exists
+  async function deleteRoomEvents(roomId) {
+    if (roomBus) {
+      await roomBus.deleteRoom(roomId);
+    }
+  }
+
+  function deliverRelayFrame(roomId, targetPeerId, frame) {
+    const members = localRoomMembers.get(roomId);
+    if (!members) {
+      return;
+    }
+
+    members.forEach((socketId) => {
+      const ws = sockets.get(socketId);
+      if (!ws || ws.peerId !== targetPeerId || (ws.role === 'receiver' && !ws.admitted)) {
+        return;
+      }
+
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(frame, { binary: true });
+      }
+    });
+  }
+
+  // Shared by the WebSocket `join` flow and POST /api/rooms. A room created
+  // without a sender waits for one to claim it with `senderTokenHash`.
+  async function createRoomRecord(options = {}) {
+    if (maintenance.enabled) {
+      return { error: 'New rooms are paused for maintenance', code: 'maintenance' };
+    }
+
+    const capacity = resolveRoomCapacity(options.capacity);
+    const secret = typeof options.secret === 'string' ? options.secret : '';
+
+    if (secret && (secret.length < ROOM_SECRET_MIN_LENGTH || secret.length > ROOM_SECRET_MAX_LENGTH)) {
+      return {
+        error: `Room passphrase must be ${ROOM_SECRET_MIN_LENGTH}-${ROOM_SECRET_MAX_LENGTH} characters`,
+        invalid: true
+      };
+    }
+
+    const secretHash = secret ? await hashRoomSecret(secret) : null;
+
+    for (let attempt = 0; attempt < 10; attempt += 1) {
+      const roomId = generateRoomCode();
+      const createdAt = Date.now();
+      const room = {
+        createdAt,
+        expiresAt: createdAt + ROOM_EXPIRY,
+        maxExpiresAt: createdAt + ROOM_MAX_LIFETIME,
+        peerCount: options.senderPeerId ? 1 : 0,
+        capacity,
+        senderPeerId: options.senderPeerId || null,
+        senderTokenHash: options.senderTokenHash || null,
+        secretHash,
+        transferMode: 'p2p',
+        instanceId: options.senderPeerId ? INSTANCE_ID : null
+      };
+
+      if (await roomStore.createRoom(roomId, room)) {
+        return { roomId, room };
+      }
+    }
+
+    return { error: 'Failed to create room' };
+  }
+
+  async function createRoom(ws, options = {}) {
+    const powRequired = powDifficulty > 0;
+    if (powRequired) {
+      const solved = verifyPowSolution(ws.powChallenge, options.pow);
+      if (!solved) {
+        metrics.roomEvents.inc({ type: options.pow ? 'pow_invalid' : 'pow_required' });
+        ws.powChallenge = createPowChallenge(powDifficulty);
+        send(ws, {
+          type: 'error',
+          code: 'pow-required',
+          message: 'Solve the proof-of-work challenge to create a room',
+          challenge: describePowChallenge(ws.powChallenge)
+        });
+        return;
+      }
+    }
+
+    // The slot is taken before the room is created so concurrent creates from
+    // one network can't all slip under the cap. Only rooms actually created
+    // keep theirs, so retrying a refused create doesn't extend the lockout or
+    // push up the PoW difficulty for everyone.
+    const roomsKey = `rooms:${ws.clientIp}`;
+    const releaseRoomSlot = () => limits.increment(roomsKey, 60 * 60 * 1000, -1);
+    if ((await limits.increment(roomsKey, 60 * 60 * 1000)) > MAX_ROOMS_PER_IP_PER_HOUR) {
+      await releaseRoomSlot();
+      metrics.limitViolations.inc({ limit: 'rooms_per_ip' });
+      send(ws, { type: 'error', code: 'room-limit', message: 'Too many rooms created from this network. Try again later.' });
+      return;
+    }
+
+    const result = await createRoomRecord({ ...options, senderPeerId: ws.peerId }).catch(async (error) => {
+      await releaseRoomSlot();
+      throw error;
+    });
+    if (result.error) {
+      await releaseRoomSlot();
+      send(ws, { type: 'error', code: result.code, message: result.error });
+      return;
+    }
+
+    // Each solution creates one room
+    if (powRequired) {
+      ws.powChallenge = null;
+    }
+    await limits.increment(`room-rate:${Math.floor(Date.now() / 60000)}`, 2 * 60 * 1000);
+
+    metrics.roomEvents.inc({ type: 'create' });
+    await enterRoomAsSender(ws, result.roomId, result.room);
+  }
+
+  // Takes the sender slot of a room created over the REST API.
+  async function claimRoom(ws, roomId, senderToken) {
+    const normalizedRoomId = String(roomId || '').toUpperCase();
+    const blockedMessage = await checkJoinAllowed(ws);
+
+    if (blockedMessage) {
+      send(ws, { type: 'error', message: blockedMessage });
+      metrics.roomEvents.inc({ type: 'join_throttled' });
+      return;
+    }
+
+    const room = await roomStore.getRoom(normalizedRoomId);
+    if (!room || !room.senderTokenHash || !verifyToken(senderToken, room.senderTokenHash)) {
+      send(ws, { type: 'error', message: 'Invalid or expired room' });
+      metrics.roomEvents.inc({ type: 'claim_invalid' });
+      await recordJoinFailure(ws);
+      return;
+    }
+
+    const result = await roomStore.claimRoom(normalizedRoomId, ws.peerId);
+    if (!result.ok) {
+      const message = result.reason === 'claimed' ? 'This room already has a sender' : 'Invalid or expired room';
+      send(ws, { type: 'error', message });
+      return;
+    }
+
+    metrics.roomEvents.inc({ type: 'claim' });
+    await roomStore.patchRoom(normalizedRoomId, { instanceId: INSTANCE_ID });
+    await enterRoomAsSender(ws, normalizedRoomId, result.room);
+  }
+
+  async function enterRoomAsSender(ws, roomId, room) {
+    ws.roomId = roomId;
+    ws.role = 'sender';
+    await roomStore.recordOwner(roomId, ws.peerId, describeSlotOwner('sender'));
+    await addSocketToRoom(roomId, ws.socketId);
+    const reconnectToken = await openReconnectSession(ws);
+
+    send(ws, {
+      type: 'joined',
+      roomId,
+      peerId: ws.peerId,
+      role: 'sender',
+      capacity: getRoomCapacity(room),
+      protected: Boolean(room.secretHash),
+      expiresAt: room.expiresAt,
+      canExtend: room.expiresAt < room.maxExpiresAt,
+      reconnectToken
+    });
+  }
+
+  function getJoinAttemptKeys(ws) {
+    return [
+      { key: `ip:${ws.clientIp}`, maxFailures: JOIN_MAX_FAILURES_PER_IP },
+      { key: `socket:${ws.socketId}`, maxFailures: JOIN_MAX_FAILURES_PER_SOCKET }
+    ];
+  }
+
+  // Returns an error message when this socket or its IP must wait before guessing again.
+  async function checkJoinAllowed(ws) {
+    const now = Date.now();
+    const entries = await Promise.all(getJoinAttemptKeys(ws).map(({ key }) => joinAttempts.get(key)));
+
+    for (const entry of entries) {
+      if (!entry) {
+        continue;
+      }
+
+      if (entry.lockedUntil > now) {
+        const minutes = Math.ceil((entry.lockedUntil - now) / 60000);
+        return `Too many failed join attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+      }
+
+      const backoffMs = getJoinBackoffMs(entry.failures);
+      if (backoffMs > 0 && now - entry.lastFailureAt < backoffMs) {
+        const seconds = Math.ceil((backoffMs - (now - entry.lastFailureAt)) / 1000);
+        return `Too many failed join attempts. Wait ${seconds}s before trying again`;
+      }
+    }
+
+    return null;
+  }
+
+  async function recordJoinFailure(ws) {
+    await Promise.all(getJoinAttemptKeys(ws).map(async ({ key, maxFailures }) => {
+      const entry = await joinAttempts.recordFailure(key, JOIN_FAILURE_WINDOW_MS);
+      if (entry.failures >= maxFailures) {
+        await joinAttempts.lock(key, JOIN_LOCKOUT_MS);
+        metrics.roomEvents.inc({ type: 'join_locked' });
+        console.warn(`Join attempts locked for ${key} after ${entry.failures} failures`);
+      }
+    }));
+  }
+
+  async function joinRoom(ws, roomId, secret, deviceName) {
+    const normalizedRoomId = String(roomId || '').toUpperCase();
+    const blockedMessage = await checkJoinAllowed(ws);
+
+    if (blockedMessage) {
+      send(ws, { type: 'error', message: blockedMessage });
+      metrics.roomEvents.inc({ type: 'join_throttled' });
+      return;
+    }
+
+    const room = await roomStore.getRoom(normalizedRoomId);
+    if (room && !room.senderPeerId) {
+      send(ws, { type: 'error', code: 'sender-missing', message: 'The sender has not opened this room yet' });
+      return;
+    }
+
+    if (room && room.secretHash) {
+      if (!secret) {
+        send(ws, { type: 'error', code: 'secret-required', message: 'This room requires a passphrase' });
+        return;
+      }
+
+      if (!(await verifyRoomSecret(secret, room.secretHash))) {
+        send(ws, { type: 'error', code: 'secret-invalid', message: 'Incorrect room passphrase' });
+        metrics.roomEvents.inc({ type: 'join_bad_secret' });
+        await recordJoinFailure(ws);
+        return;
+      }
+    }
+
+    const result = await roomStore.joinRoom(normalizedRoomId);
+
+    if (!result || !result.ok) {
+      const reason = result ? result.reason : 'missing';
+      const message = reason === 'full' ? 'Room is full' : 'Invalid or expired room';
+      send(ws, { type: 'error', message });
+      metrics.roomEvents.inc({ type: reason === 'full' ? 'join_full' : 'join_missing' });
+
+      // A full room proves the code exists, so only misses count as guesses
+      if (reason === 'missing') {
+        await recordJoinFailure(ws);
+      }
+      return;
+    }
+
+    ws.roomId = normalizedRoomId;
+    ws.role = 'receiver';
+    ws.admitted = false;
+    ws.senderPeerId = result.room.senderPeerId;
+    await roomStore.recordOwner(normalizedRoomId, ws.peerId, describeSlotOwner('receiver'));
+    await addSocketToRoom(normalizedRoomId, ws.socketId);
+    metrics.roomEvents.inc({ type: 'join' });
+    const reconnectToken = await openReconnectSession(ws);
+
+    send(ws, {
+      type: 'joined',
+      roomId: normalizedRoomId,
+      peerId: ws.peerId,
+      senderPeerId: result.room.senderPeerId,
+      role: 'receiver',
+      status: 'waiting',
+      peerCount: result.room.peerCount,
+      capacity: getRoomCapacity(result.room),
+      expiresAt: result.room.expiresAt,
+      reconnectToken
+    });
+
+    // The sender decides whether to admit the receiver; it opens a dedicated
+    // peer connection for every receiver it admits.
+    await publishRoomEvent(normalizedRoomId, ws, {
+      type: 'join-request',
+      deviceName: sanitizeDeviceName(deviceName),
+      browser: describeBrowser(ws.userAgent),
+      peerCount: result.room.peerCount,
+      expiresAt: result.room.expiresAt
+    }, result.room.senderPeerId);
+  }
+
+  async function openReconnectSession(ws) {
+    const { token, tokenHash } = generateReconnectToken(ws.peerId);
+    ws.reconnectTokenHash = tokenHash;
+    await saveReconnectSession(ws);
+    return token;
+  }
+
+  async function saveReconnectSession(ws, roomId = ws.roomId, ttlMs = ROOM_MAX_LIFETIME) {
+    await reconnectSessions.saveSession(ws.peerId, {
+      roomId,
+      role: ws.role,
+      admitted: Boolean(ws.admitted),
+      senderPeerId: ws.senderPeerId || null,
+      socketId: ws.socketId,
+      tokenHash: ws.reconnectTokenHash
+    }, ttlMs);
+  }
+
+  async function removePeer(ws, reasonType) {
+    if (!ws.roomId) {
+      return;
+    }
+
+    const roomId = ws.roomId;
+    ws.roomId = null;
+    removeSocketFromRoom(roomId, ws.socketId);
+    if (ws.reconnectTokenHash) {
+      ws.reconnectTokenHash = null;
+      await reconnectSessions.deleteSession(ws.peerId);
+    }
+
+    await leaveRoomSlot(roomId, ws, reasonType);
+  }
+
+  // Holds the room slot of a peer whose socket dropped, so it can resume with
+  // its reconnect token. The slot is released once the grace period runs out.
+  async function suspendPeer(ws, reasonType) {
+    if (!ws.roomId || !ws.reconnectTokenHash) {
+      await removePeer(ws, reasonType);
+      return;
+    }
+
+    const roomId = ws.roomId;
+    const graceTimer = setTimeout(() => {
+      expireSuspendedPeer(ws.peerId, reasonType).catch((error) => {
+        console.error('Failed to release reconnect slot:', error);
+      });
+    }, RECONNECT_GRACE_MS);
+    // Registered first so the room stays watched while the peer is away
+    disconnectedPeers.set(ws.peerId, { ws, roomId, graceTimer });
+    ws.roomId = null;
+    removeSocketFromRoom(roomId, ws.socketId);
+
+    await saveReconnectSession(ws, roomId, RECONNECT_GRACE_MS);
+    metrics.roomEvents.inc({ type: 'suspend' });
+    await publishRoomEvent(roomId, ws, { type: 'peer-reconnecting', role: ws.role });
+  }
+
+  async function expireSuspendedPeer(peerId, reasonType) {
+    const suspended = disconnectedPeers.get(peerId);
+    if (!suspended) {
+      return;
+    }
+
+    disconnectedPeers.delete(peerId);
+    syncRoomWatch(suspended.roomId);
+    const session = await reconnectSessions.getSession(peerId);
+    if (session && session.socketId !== suspended.ws.socketId) {
+      return; // Resumed on another instance
+    }
+
+    await reconnectSessions.deleteSession(peerId);
+    await leaveRoomSlot(suspended.roomId, suspended.ws, reasonType);
+  }
+
+  async function resumePeer(ws, token) {
+    if (ws.roomId) {
+      send(ws, { type: 'error', message: 'Already in a room' });
+      return;
+    }
+
+    const parsed = parseReconnectToken(token);
+    const session = parsed ? await reconnectSessions.getSession(parsed.peerId) : null;
+    if (!session || !verifyToken(parsed.secret, session.tokenHash)) {
+      metrics.roomEvents.inc({ type: 'resume_failed' });
+      send(ws, { type: 'error', code: 'reconnect-failed', message: 'Reconnect token is invalid or has expired' });
+      return;
+    }
+
+    const room = await roomStore.getRoom(session.roomId);
+    if (!room) {
+      await reconnectSessions.deleteSession(parsed.peerId);
+      metrics.roomEvents.inc({ type: 'resume_failed' });
+      send(ws, { type: 'error', code: 'reconnect-failed', message: 'Invalid or expired room' });
+      return;
+    }
+
+    // If the peer's old instance died, the orphan sweeper may have released
+    // its slot already; take a new one or give up.
+    if (await roomStore.recordOwner(session.roomId, parsed.peerId, describeSlotOwner(session.role))) {
+      const rejoined = await roomStore.joinRoom(session.roomId);
+      if (!rejoined.ok) {
+        await roomStore.releaseOwner(session.roomId, parsed.peerId);
+        await reconnectSessions.deleteSession(parsed.peerId);
+        metrics.roomEvents.inc({ type: 'resume_failed' });
+        const message = rejoined.reason === 'full' ? 'Room is full' : 'Invalid or expired room';
+        send(ws, { type: 'error', code: 'reconnect-failed', message });
+        return;
+      }
+    }
+
+    const suspended = disconnectedPeers.get(parsed.peerId);
+    if (suspended) {
+      clearTimeout(suspended.graceTimer);
+      disconnectedPeers.delete(parsed.peerId);
+    }
+
+    // A half-open socket this instance still holds for the peer hands over its slot
+    sockets.forEach((other) => {
+      if (other !== ws && other.peerId === parsed.peerId && other.roomId) {
+        removeSocketFromRoom(other.roomId, other.socketId);
+        other.roomId = null;
+        other.reconnectTokenHash = null;
+        other.close(4000, 'Session resumed on another connection');
+      }
+    });
+
+    ws.peerId = parsed.peerId;
+    ws.roomId = session.roomId;
+    ws.role = session.role;
+    ws.admitted = session.admitted;
+    ws.senderPeerId = session.senderPeerId;
+    ws.reconnectTokenHash = session.tokenHash;
+    await addSocketToRoom(ws.roomId, ws.socketId);
+    await saveReconnectSession(ws);
+    if (ws.role === 'sender') {
+      await roomStore.patchRoom(ws.roomId, { instanceId: INSTANCE_ID });
+    }
+    metrics.roomEvents.inc({ type: 'resume' });
+
+    const joined = {
+      type: 'joined',
+      resumed: true,
+      roomId: ws.roomId,
+      peerId: ws.peerId,
+      role: ws.role,
+      peerCount: room.peerCount,
+      capacity: getRoomCapacity(room),
+      protected: Boolean(room.secretHash),
+      expiresAt: room.expiresAt,
+      canExtend: room.expiresAt < room.maxExpiresAt,
+      reconnectToken: token
+    };
+    if (ws.role === 'receiver') {
+      joined.senderPeerId = ws.senderPeerId;
+      joined.status = ws.admitted ? 'admitted' : 'waiting';
+    }
+
+    send(ws, joined);
+    await publishRoomEvent(ws.roomId, ws, { type: 'peer-reconnected', role: ws.role });
+
+    const missedEvents = await reconnectSessions.drainEvents(ws.peerId);
+    missedEvents.forEach((event) => deliverRoomEvent(ws, event));
+  }
+
+  function describeSlotOwner(role) {
+    return { instanceId: INSTANCE_ID, bootId: INSTANCE_BOOT_ID, role };
+  }
+
+  async function leaveRoomSlot(roomId, ws, reasonType) {
+    // Already released (and announced) by the orphan sweeper
+    if (!(await roomStore.releaseOwner(roomId, ws.peerId))) {
+      return;
+    }
+
+    const room = await roomStore.leaveRoom(roomId);
+    metrics.roomEvents.inc({ type: reasonType || 'leave' });
+    await publishRoomEvent(roomId, ws, {
+      type: 'peer-disconnected',
+      role: ws.role,
+      expiresAt: room ? room.expiresAt : null
+    });
+
+    // The last peer out deletes the room
+    if (!room) {
+      await deleteRoomEvents(roomId);
+    }
+  }
+
+  async function extendRoom(ws) {
+    if (ws.role !== 'sender') {
+      send(ws, { type: 'error', message: 'Only the sender can extend the room' });
+      return;
+    }
+
+    const previous = await roomStore.getRoom(ws.roomId);
+    const room = previous ? await roomStore.extendRoom(ws.roomId) : null;
+    if (!room) {
       send(ws, { type: 'error', message: 'Invalid or expired room' });
-      metrics.roomEvents.inc({ type: 'join_missing' });
       return;
     }
 
-    if (!result.ok) {
-      const message = result.reason === 'full' ? 'Room is full' : 'Invalid or expired room';
-      send(ws, { type: 'error', message });
-      metrics.roomEvents.inc({ type: result.reason === 'full' ? 'join_full' : 'join_missing' });
+    if (room.expiresAt <= previous.expiresAt) {
+      send(ws, {
+        type: 'error',
+        code: 'extend-limit',
+        message: `Rooms can stay open for at most ${Math.round(ROOM_MAX_LIFETIME / 60000)} minutes`
+      });
+      return;
+    }
+
+    metrics.roomEvents.inc({ type: 'extend' });
+    const payload = {
+      type: 'room-extended',
+      expiresAt: room.expiresAt,
+      canExtend: room.expiresAt < room.maxExpiresAt
+    };
+    send(ws, payload);
+    await publishRoomEvent(ws.roomId, ws, payload);
+  }
+
+  function rejectMessage(ws, type, reason, message) {
+    metrics.rejectedMessages.inc({
+      type: Object.prototype.hasOwnProperty.call(SIGNALING_SCHEMAS, type) ? type : 'unknown',
+      reason
+    });
+    send(ws, { type: 'error', code: 'invalid-message', message });
+  }
+
+  // Candidates are counted per target and reset on each new offer or answer
+  function countIceCandidate(ws, targetPeerId) {
+    if (!ws.iceCandidateCounts) {
+      ws.iceCandidateCounts = new Map();
+    }
+
+    const count = (ws.iceCandidateCounts.get(targetPeerId) || 0) + 1;
+    ws.iceCandidateCounts.set(targetPeerId, count);
+    return count;
+  }
+
+  function describePowChallenge(challenge) {
+    return { prefix: challenge.prefix, difficulty: challenge.difficulty, expiresAt: challenge.expiresAt };
+  }
+
+  // Rate is the busier of the last full minute and the current one, counted
+  // across instances when Redis is configured.
+  async function refreshPowDifficulty() {
+    const minute = Math.floor(Date.now() / 60000);
+    const [previous, current] = await Promise.all([
+      limits.count(`room-rate:${minute - 1}`),
+      limits.count(`room-rate:${minute}`)
+    ]);
+
+    powDifficulty = getPowDifficulty(Math.max(previous, current));
+    metrics.powDifficulty.set(powDifficulty);
+  }
+
+  // Fixed one-second window per socket. Kept in memory: a socket only ever
+  // talks to one instance, so there is nothing to share through Redis.
+  function allowMessage(ws) {
+    const now = Date.now();
+    if (!ws.messageWindowStart || now - ws.messageWindowStart >= 1000) {
+      ws.messageWindowStart = now;
+      ws.messageCount = 0;
+    }
+
+    ws.messageCount += 1;
+    if (ws.messageCount <= WS_MAX_MESSAGES_PER_SECOND) {
+      return true;
+    }
+
+    metrics.limitViolations.inc({ limit: 'messages_per_socket' });
+    // One error per window is enough for a well-behaved client to back off
+    if (ws.messageCount === WS_MAX_MESSAGES_PER_SECOND + 1) {
+      send(ws, { type: 'error', code: 'rate-limited', message: 'Too many messages. Slow down.' });
+    }
+
+    return false;
+  }
+
+  // Holds one of the client IP's socket slots for as long as the socket is open.
+  async function acquireSocketSlot(ws) {
+    try {
+      const openSockets = await limits.addLease(`sockets:${ws.clientIp}`, ws.socketId, SOCKET_LEASE_MS);
+      if (ws.readyState !== WebSocket.OPEN) {
+        // Closed while we were counting; the close handler has already run
+        await releaseSocketSlot(ws);
+        return false;
+      }
+
+      if (openSockets <= MAX_SOCKETS_PER_IP) {
+        return true;
+      }
+    } catch (error) {
+      console.error('Socket limit check failed:', error);
+      return true;
+    }
+
+    metrics.limitViolations.inc({ limit: 'sockets_per_ip' });
+    await releaseSocketSlot(ws);
+    send(ws, { type: 'error', code: 'too-many-connections', message: 'Too many open connections from this network' });
+    ws.close(4008, 'Too many connections');
+    return false;
+  }
+
+  async function releaseSocketSlot(ws) {
+    await limits.removeLease(`sockets:${ws.clientIp}`, ws.socketId);
+  }
+
+  async function handleMessage(ws, rawMessage) {
+    if (rawMessage.length > MAX_SIGNALING_MESSAGE_BYTES) {
+      rejectMessage(ws, null, 'too_large', 'Message is too large');
+      return;
+    }
+
+    let data;
+
+    try {
+      data = JSON.parse(rawMessage);
+    } catch (error) {
+      rejectMessage(ws, null, 'invalid_json', 'Invalid message format');
+      return;
+    }
+
+    const validationError = validateSignalingMessage(data);
+    if (validationError) {
+      rejectMessage(ws, data && data.type, 'invalid_schema', validationError);
+      return;
+    }
+
+    metrics.signalingMessages.inc({ type: data.type });
+
+    if (data.type === 'ping') {
+      send(ws, { type: 'pong' });
+      return;
+    }
+
+    if (data.type === 'join') {
+      if (data.createNew) {
+        await createRoom(ws, { capacity: data.capacity, secret: data.secret, pow: data.pow });
+        return;
+      }
+
+      if (data.senderToken) {
+        await claimRoom(ws, data.roomId, data.senderToken);
+        return;
+      }
+
+      await joinRoom(ws, data.roomId, data.secret, data.deviceName);
+      return;
+    }
+
+    if (data.type === 'resume') {
+      await resumePeer(ws, data.token);
+      return;
+    }
+
+    if (data.type === 'leave') {
+      await removePeer(ws, 'leave');
+      return;
+    }
+
+    // Long transfers outlive TURN credentials; clients ask for fresh ones
+    if (data.type === 'refresh-ice') {
+      const { rtcConfig, expiresAt } = buildRtcConfig({ userId: ws.roomId || ws.peerId, hostname: ws.hostname });
+      send(ws, { type: 'ice-config', rtcConfig, expiresAt });
+      return;
+    }
+
+    if (!ws.roomId) {
+      send(ws, { type: 'error', message: 'Room not found' });
+      return;
+    }
+
+    if (ws.role === 'receiver' && !ws.admitted) {
+      send(ws, { type: 'error', code: 'awaiting-admission', message: 'Waiting for the sender to admit you' });
+      return;
+    }
+
+    if (data.type === 'extend-room') {
+      await extendRoom(ws);
+      return;
+    }
+
+    if (data.type === 'admit' || data.type === 'deny') {
+      if (ws.role !== 'sender' || typeof data.to !== 'string' || !data.to) {
+        send(ws, { type: 'error', message: 'Only the sender can admit receivers' });
+        return;
+      }
+
+      const admitted = data.type === 'admit';
+      metrics.roomEvents.inc({ type: admitted ? 'admit' : 'deny' });
+      await publishRoomEvent(ws.roomId, ws, { type: admitted ? 'admitted' : 'join-denied' }, data.to);
+      return;
+    }
+
+    if (!FORWARDABLE_MESSAGE_TYPES.has(data.type)) {
+      rejectMessage(ws, data.type, 'not_forwardable', 'Message type cannot be forwarded');
+      return;
+    }
+
+    const targetPeerId = resolveMessageTarget(ws, data);
+    if (!targetPeerId) {
+      send(ws, { type: 'error', message: 'Signaling messages must be addressed to a peer' });
+      return;
+    }
+
+    if ((data.type === 'offer' || data.type === 'answer') && ws.iceCandidateCounts) {
+      ws.iceCandidateCounts.delete(targetPeerId);
+    } else if (data.type === 'ice-candidate' && countIceCandidate(ws, targetPeerId) > MAX_ICE_CANDIDATES_PER_PEER) {
+      rejectMessage(ws, data.type, 'too_many_candidates', `At most ${MAX_ICE_CANDIDATES_PER_PEER} ICE candidates per negotiation`);
+      return;
+    }
+
+    if (data.type.startsWith('relay-')) {
+      const transferId = data.transferId || ws.relayTransfers.get(targetPeerId)?.transferId || null;
+      const relayError = await trackRelayMessage(ws, targetPeerId, data);
+      if (relayError) {
+        sendRelayError(ws, targetPeerId, transferId, relayError);
+        return;
+      }
+    }
+
+    const { to, from, ...payload } = data;
+    await publishRoomEvent(ws.roomId, ws, payload, targetPeerId);
+  }
+
+  // Relay transfers a socket is sending, keyed by target peer. The daily budgets
+  // are charged the declared size up front, so chunks only need a local count
+  // against it. Returns an error message when the message must not be relayed.
+  async function trackRelayMessage(ws, targetPeerId, data) {
+    if (!RELAY_ENABLED) {
+      return 'Relay mode is disabled on this deployment';
+    }
+
+    if (data.type === 'relay-file-metadata') {
+      return startRelayTransfer(ws, targetPeerId, data);
+    }
+
+    if (data.type === 'relay-chunk') {
+      return recordRelayChunk(ws, targetPeerId, Buffer.byteLength(data.payload, 'base64'));
+    }
+
+    if (data.type === 'relay-ack') {
+      return recordRelayAck(ws, targetPeerId, data);
+    }
+
+    const transfer = ws.relayTransfers.get(targetPeerId);
+    if (!transfer) {
+      return 'No relay transfer in progress';
+    }
+
+    ws.relayTransfers.delete(targetPeerId);
+    if (transfer.transferId) {
+      await relaySessions.deleteSession(relaySessionKey(ws.peerId, targetPeerId));
+    }
+    metrics.relayTransfers.inc({ result: transfer.nextOffset === transfer.declaredBytes ? 'completed' : 'incomplete' });
+    return null;
+  }
+
+  // Names the peer and transfer the error is about, so a sender relaying to
+  // several receivers only stops the one that failed
+  function sendRelayError(ws, targetPeerId, transferId, message) {
+    send(ws, { type: 'relay-error', to: targetPeerId, transferId, message });
+  }
+
+  function relaySessionKey(senderPeerId, receiverPeerId) {
+    return `${senderPeerId}:${receiverPeerId}`;
+  }
+
+  async function startRelayTransfer(ws, targetPeerId, data) {
+    const declaredBytes = data.size;
+    if (declaredBytes > RELAY_MAX_FILE_SIZE_BYTES) {
+      metrics.relayTransfers.inc({ result: 'rejected' });
+      return `Relay mode supports files up to ${Math.round(RELAY_MAX_FILE_SIZE_BYTES / (1024 * 1024))} MB`;
+    }
+
+    // A sender back from a dropped connection announces the same transfer again
+    const sessionKey = relaySessionKey(ws.peerId, targetPeerId);
+    const session = data.transferId ? await relaySessions.getSession(sessionKey) : null;
+    if (session && session.transferId === data.transferId && session.declaredBytes === declaredBytes) {
+      return resumeRelayTransfer(ws, targetPeerId, session);
+    }
+
+    const budgetError = await chargeRelayBytes(ws, declaredBytes);
+    if (budgetError) {
+      metrics.relayTransfers.inc({ result: 'rejected' });
+      return budgetError;
+    }
+
+    const transferId = data.transferId || null;
+    ws.relayTransfers.set(targetPeerId, { transferId, declaredBytes, nextOffset: 0, ackedOffset: 0 });
+    if (transferId) {
+      await relaySessions.saveSession(sessionKey, { transferId, declaredBytes, ackedOffset: 0 }, ROOM_MAX_LIFETIME);
+    }
+    metrics.relayTransfers.inc({ result: 'started' });
+
+    // Recorded once per socket so the admin console can tell relayed rooms apart
+    if (!ws.usedRelay) {
+      ws.usedRelay = true;
+      await roomStore.patchRoom(ws.roomId, { transferMode: 'relay' });
+    }
+
+    return null;
+  }
+
+  // Picks a transfer up from the receiver's last acknowledgement and tells the
+  // sender where that is. The old socket could have been a full ack window past
+  // it, so that much is charged again.
+  async function resumeRelayTransfer(ws, targetPeerId, session) {
+    const budgetError = await chargeRelayBytes(ws, Math.min(RELAY_ACK_WINDOW_BYTES, session.declaredBytes - session.ackedOffset));
+    if (budgetError) {
+      metrics.relayTransfers.inc({ result: 'rejected' });
+      return budgetError;
+    }
+
+    ws.relayTransfers.set(targetPeerId, {
+      transferId: session.transferId,
+      declaredBytes: session.declaredBytes,
+      nextOffset: session.ackedOffset,
+      ackedOffset: session.ackedOffset
+    });
+    metrics.relayTransfers.inc({ result: 'resumed' });
+    send(ws, {
+      type: 'relay-ack',
+      from: targetPeerId,
+      to: ws.peerId,
+      transferId: session.transferId,
+      offset: session.ackedOffset,
+      resume: true
+    });
+    return null;
+  }
+
+  async function chargeRelayBytes(ws, bytes) {
+    const day = Math.floor(Date.now() / DAY_MS);
+    const [roomBytes, ipBytes] = await Promise.all([
+      limits.increment(`relay-bytes:room:${ws.roomId}:${day}`, DAY_MS, bytes),
+      limits.increment(`relay-bytes:ip:${ws.clientIp}:${day}`, DAY_MS, bytes)
+    ]);
+
+    if (roomBytes > RELAY_ROOM_DAILY_BYTES || ipBytes > RELAY_IP_DAILY_BYTES) {
+      metrics.limitViolations.inc({ limit: roomBytes > RELAY_ROOM_DAILY_BYTES ? 'relay_room_daily' : 'relay_ip_daily' });
+      return 'Daily relay allowance used up. Try a direct connection or come back tomorrow.';
+    }
+
+    return null;
+  }
+
+  function recordRelayChunk(ws, targetPeerId, bytes) {
+    const transfer = ws.relayTransfers.get(targetPeerId);
+    if (!transfer) {
+      return 'No relay transfer in progress';
+    }
+
+    transfer.nextOffset += bytes;
+    if (transfer.nextOffset > transfer.declaredBytes) {
+      ws.relayTransfers.delete(targetPeerId);
+      metrics.limitViolations.inc({ limit: 'relay_declared_size' });
+      metrics.relayTransfers.inc({ result: 'rejected' });
+      return 'Relay transfer is larger than its declared size';
+    }
+
+    // Transfers without an ID come from older clients that never wait for acks
+    if (transfer.transferId && transfer.nextOffset - transfer.ackedOffset > RELAY_ACK_WINDOW_BYTES) {
+      ws.relayTransfers.delete(targetPeerId);
+      metrics.limitViolations.inc({ limit: 'relay_ack_window' });
+      metrics.relayTransfers.inc({ result: 'rejected' });
+      return 'Relay transfer ran ahead of the receiver';
+    }
+
+    metrics.relayBytes.inc(bytes);
+    return null;
+  }
+
+  // Sent by the receiver. The session keeps the latest offset so a sender that
+  // reconnects, possibly to another instance, knows where to pick up.
+  async function recordRelayAck(ws, senderPeerId, data) {
+    const sessionKey = relaySessionKey(senderPeerId, ws.peerId);
+    const session = await relaySessions.getSession(sessionKey);
+    if (!session || session.transferId !== data.transferId) {
+      return 'No relay transfer in progress';
+    }
+
+    if (!Number.isInteger(data.offset) || data.offset > session.declaredBytes) {
+      return 'Invalid relay acknowledgement';
+    }
+
+    session.ackedOffset = data.offset;
+    await relaySessions.saveSession(sessionKey, session, ROOM_MAX_LIFETIME);
+    return null;
+  }
+
+  // Runs where the sender's socket lives, as the ack is delivered. A `resume`
+  // ack rewinds the transfer: chunks still in flight past that offset are
+  // dropped, and the bytes sent again are charged. Returns false for acks the
+  // sender's transfer can't use, which are not passed on.
+  function applyRelayAck(ws, ack) {
+    const transfer = ws.relayTransfers.get(ack.from);
+    if (!transfer || transfer.transferId !== ack.transferId || ack.offset > transfer.nextOffset) {
+      return false;
+    }
+
+    transfer.ackedOffset = ack.offset;
+    if (ack.resume && ack.offset < transfer.nextOffset) {
+      const resentBytes = transfer.nextOffset - ack.offset;
+      transfer.nextOffset = ack.offset;
+      chargeRelayBytes(ws, resentBytes).then((budgetError) => {
+        if (budgetError && ws.relayTransfers.get(ack.from) === transfer) {
+          ws.relayTransfers.delete(ack.from);
+          metrics.relayTransfers.inc({ result: 'rejected' });
+          sendRelayError(ws, ack.from, transfer.transferId, budgetError);
+        }
+      }).catch((error) => {
+        console.error('Failed to charge resent relay bytes:', error);
+      });
+    }
+
+    return true;
+  }
+
+  // Binary relay chunks skip JSON entirely: the header is checked and the
+  // target swapped for the sender, but the chunk itself is never decoded.
+  async function handleRelayFrame(ws, frame) {
+    const headerBytes = frame[0] === RELAY_FRAME_OFFSET_CHUNK ? RELAY_FRAME_OFFSET_HEADER_BYTES : RELAY_FRAME_HEADER_BYTES;
+    if (frame.length <= headerBytes
+      || frame.length > headerBytes + RELAY_CHUNK_SIZE_BYTES
+      || (frame[0] !== RELAY_FRAME_CHUNK && frame[0] !== RELAY_FRAME_OFFSET_CHUNK)) {
+      rejectMessage(ws, 'relay-chunk', 'invalid_frame', 'Invalid relay frame');
+      return;
+    }
+
+    if (!ws.roomId || (ws.role === 'receiver' && !ws.admitted)) {
+      send(ws, { type: 'error', message: 'Room not found' });
+      return;
+    }
+
+    const targetPeerId = resolveMessageTarget(ws, { to: frame.toString('hex', 1, RELAY_FRAME_HEADER_BYTES) });
+    if (!targetPeerId) {
+      send(ws, { type: 'error', message: 'Signaling messages must be addressed to a peer' });
+      return;
+    }
+
+    // Chunks sent before the sender heard about a rewind arrive at the wrong offset
+    const transfer = ws.relayTransfers.get(targetPeerId);
+    if (transfer && frame[0] === RELAY_FRAME_OFFSET_CHUNK
+      && frame.readUInt32BE(9) * 2 ** 32 + frame.readUInt32BE(13) !== transfer.nextOffset) {
+      metrics.signalingMessages.inc({ type: 'relay-frame-stale' });
+      return;
+    }
+
+    const relayError = RELAY_ENABLED
+      ? recordRelayChunk(ws, targetPeerId, frame.length - headerBytes)
+      : 'Relay mode is disabled on this deployment';
+    if (relayError) {
+      sendRelayError(ws, targetPeerId, transfer?.transferId || null, relayError);
+      return;
+    }
+
+    metrics.signalingMessages.inc({ type: 'relay-frame' });
+    frame.write(ws.peerId, 1, 'hex');
+    await publishRelayFrame(ws.roomId, targetPeerId, frame);
+  }
+
+  // Receivers only ever talk to the sender. The sender has to name the
+  // receiver it is addressing.
+  function resolveMessageTarget(ws, data) {
+    if (ws.role === 'receiver') {
+      return ws.senderPeerId || null;
+    }
+
+    if (typeof data.to === 'string' && data.to && data.to !== ws.peerId) {
+      return data.to;
+    }
+
+    return null;
+  }
+
+  app.get('/api/config', (req, res) => {
+    const { rtcConfig, expiresAt } = buildRtcConfig({ hostname: getRequestHostname(req) });
+    res.json({
+      rtcConfig,
+      iceCredentialsExpiresAt: expiresAt,
+      roomCodeLength: ROOM_CODE_LENGTH,
+      roomCodeAlphabet: ROOM_CHARS,
+      maxRoomSize: MAX_ROOM_SIZE,
+      redisEnabled: Boolean(REDIS_URL),
+      monitoringEnabled: METRICS_ENABLED,
+      publicBaseUrl: PUBLIC_BASE_URL,
+      relay: {
+        enabled: RELAY_ENABLED,
+        maxFileSizeBytes: RELAY_MAX_FILE_SIZE_BYTES,
+        chunkSizeBytes: RELAY_CHUNK_SIZE_BYTES,
+        ackWindowBytes: RELAY_ACK_WINDOW_BYTES
+      },
+      drop: {
+        enabled: DROP_ENABLED,
+        maxFileSizeBytes: DROP_MAX_FILE_SIZE_BYTES,
+        defaultTtlMs: DROP_DEFAULT_TTL_MS,
+        maxTtlMs: DROP_MAX_TTL_MS,
+        maxDownloads: DROP_MAX_DOWNLOADS
+      },
+      limits: {
+        maxMessagesPerSecond: WS_MAX_MESSAGES_PER_SECOND
+      }
+    });
+  });
+
+  // HTTP APIs are disabled unless their bearer token is configured
+  function requireBearerToken(token, label) {
+    const tokenHash = token ? hashToken(token) : null;
+
+    return (req, res, next) => {
+      if (!tokenHash) {
+        res.status(404).json({ error: `${label} is disabled` });
+        return;
+      }
+
+      const header = req.get('authorization') || '';
+      const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+      if (!verifyToken(provided, tokenHash)) {
+        res.status(401).json({ error: 'Invalid API key' });
+        return;
+      }
+
+      next();
+    };
+  }
+
+  // Room lifecycle over HTTP for backend services
+  const requireRoomApiKey = requireBearerToken(ROOM_API_KEY, 'Room API');
+  const requireAdminToken = requireBearerToken(ADMIN_TOKEN, 'Admin console');
+
+  function describeRoom(roomId, room) {
+    return {
+      roomId,
+      status: room.senderPeerId ? 'open' : 'waiting-for-sender',
+      peerCount: room.peerCount,
+      capacity: getRoomCapacity(room),
+      protected: Boolean(room.secretHash),
+      createdAt: room.createdAt,
+      expiresAt: room.expiresAt,
+      maxExpiresAt: room.maxExpiresAt
+    };
+  }
+
+  app.post('/api/rooms', requireRoomApiKey, asyncRoute(async (req, res) => {
+    const { capacity, secret } = req.body || {};
+    const senderToken = crypto.randomBytes(24).toString('base64url');
+    const result = await createRoomRecord({ capacity, secret, senderTokenHash: hashToken(senderToken) });
+
+    if (result.error) {
+      res.status(result.invalid ? 400 : 503).json({ error: result.error });
+      return;
+    }
+
+    metrics.roomEvents.inc({ type: 'api_create' });
+    const baseUrl = PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    res.status(201).json({
+      ...describeRoom(result.roomId, result.room),
+      senderToken,
+      senderUrl: `${baseUrl}/?room=${result.roomId}#sender=${senderToken}`,
+      joinUrl: `${baseUrl}/?room=${result.roomId}`
+    });
+  }));
+
+  app.get('/api/rooms/:id', requireRoomApiKey, asyncRoute(async (req, res) => {
+    const roomId = String(req.params.id).toUpperCase();
+    const room = await roomStore.getRoom(roomId);
+
+    if (!room) {
+      res.status(404).json({ error: 'Room not found' });
       return;
     }
 
-    ws.roomId = normalizedRoomId;
-    ws.role = 'receiver';
-    addSocketToRoom(normalizedRoomId, ws.socketId);
-    metrics.roomEvents.inc({ type: 'join' });
+    res.json(describeRoom(roomId, room));
+  }));
 
-    send(ws, {
-      type: 'joined',
-      roomId: normalizedRoomId,
-      peerId: 'peer2',
-      role: 'receiver',
-      peerCount: result.room.peerCount
-    });
+  app.delete('/api/rooms/:id', requireRoomApiKey, asyncRoute(async (req, res) => {
+    const roomId = String(req.params.id).toUpperCase();
 
-    const pendingOffer = await roomStore.consumePendingOffer(normalizedRoomId);
-    if (pendingOffer) {
-      send(ws, { type: 'offer', offer: pendingOffer });
+    if (!(await closeRoom(roomId, 'close'))) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
     }
 
-    const pendingCandidates = await roomStore.consumePendingCandidates(normalizedRoomId);
-    pendingCandidates.forEach((candidate) => {
-      send(ws, { type: 'ice-candidate', candidate });
-    });
+    res.json({ ok: true, roomId });
+  }));
+
+  // Deletes the room everywhere; each instance disconnects its own members.
+  async function closeRoom(roomId, reasonType) {
+    if (!(await roomStore.deleteRoom(roomId))) {
+      return false;
+    }
+
+    metrics.roomEvents.inc({ type: reasonType });
+    await publishRoomEvent(roomId, null, { type: 'room-closed' });
+    await deleteRoomEvents(roomId);
+    return true;
   }
 
-  async function removePeer(ws, reasonType) {
-    if (!ws.roomId) {
+  // Admin commands reach every instance; each one acts on the sockets it holds.
+  async function publishAdminCommand(command) {
+    if (pubClient) {
+      await pubClient.publish(ADMIN_CHANNEL, JSON.stringify(command));
       return;
     }
 
-    const roomId = ws.roomId;
-    ws.roomId = null;
-    removeSocketFromRoom(roomId, ws.socketId);
-    await roomStore.leaveRoom(roomId);
-    metrics.roomEvents.inc({ type: reasonType || 'leave' });
-    await publishRoomEvent(roomId, ws.socketId, { type: 'peer-disconnected' });
+    handleAdminCommand(command);
   }
 
-  async function handleMessage(ws, rawMessage) {
-    let data;
+  function handleAdminCommand(command) {
+    if (command.action === 'disconnect') {
+      const ws = sockets.get(command.socketId);
+      if (!ws) {
+        return;
+      }
+
+      console.warn(`Admin disconnected socket ${ws.socketId} (${ws.clientIp})`);
+      removePeer(ws, 'kicked').catch((error) => {
+        console.error('Failed to remove kicked socket:', error);
+      });
+      send(ws, { type: 'error', code: 'kicked', message: 'You were disconnected by an administrator' });
+      ws.close(4005, 'Disconnected by administrator');
+      return;
+    }
+
+    if (command.action === 'maintenance') {
+      maintenance = command.maintenance;
+      sockets.forEach((ws) => send(ws, { type: 'maintenance', ...maintenance }));
+    }
+  }
+
+  function getLocalSnapshot() {
+    return {
+      instanceId: INSTANCE_ID,
+      bootId: INSTANCE_BOOT_ID,
+      updatedAt: Date.now(),
+      uptime: process.uptime(),
+      sockets: Array.from(sockets.values()).map((ws) => ({
+        socketId: ws.socketId,
+        peerId: ws.peerId,
+        roomId: ws.roomId || null,
+        role: ws.role || null,
+        admitted: ws.role === 'receiver' ? Boolean(ws.admitted) : undefined,
+        ip: ws.clientIp,
+        connectedAt: ws.connectedAt
+      }))
+    };
+  }
+
+  async function publishInstanceSnapshot() {
+    if (!redisClient) {
+      return;
+    }
+
+    await redisClient.set(`${REDIS_PREFIX}:instance:${INSTANCE_ID}`, JSON.stringify(getLocalSnapshot()), {
+      PX: INSTANCE_SNAPSHOT_INTERVAL_MS * 3
+    });
+  }
+
+  async function listInstanceSnapshots() {
+    if (!redisClient) {
+      return [getLocalSnapshot()];
+    }
+
+    const snapshots = [];
+    for await (const keys of redisClient.scanIterator({ MATCH: `${REDIS_PREFIX}:instance:*`, COUNT: 100 })) {
+      const batch = Array.isArray(keys) ? keys : [keys];
+      if (batch.length > 0) {
+        const values = await redisClient.mGet(batch);
+        values.filter(Boolean).forEach((raw) => snapshots.push(JSON.parse(raw)));
+      }
+    }
+
+    // Our own entry may be up to one interval stale
+    return [getLocalSnapshot(), ...snapshots.filter((snapshot) => snapshot.instanceId !== INSTANCE_ID)];
+  }
+
+  // Slots whose owning instance stopped publishing its snapshot are released,
+  // and their peers announced as disconnected. A room whose sender went with
+  // the instance is closed.
+  async function sweepOrphanedSlots() {
+    const liveOwners = new Map();
+    const isLive = async (owner) => {
+      if (owner.instanceId === INSTANCE_ID) {
+        return owner.bootId === INSTANCE_BOOT_ID;
+      }
+
+      if (!liveOwners.has(owner.instanceId)) {
+        const raw = await redisClient.get(`${REDIS_PREFIX}:instance:${owner.instanceId}`);
+        liveOwners.set(owner.instanceId, raw ? JSON.parse(raw).bootId : null);
+      }
+      return liveOwners.get(owner.instanceId) === owner.bootId;
+    };
+
+    for (const { roomId } of await roomStore.listRooms()) {
+      const orphans = [];
+      for (const owner of await roomStore.listOwners(roomId)) {
+        if (!(await isLive(owner))) {
+          orphans.push(owner);
+        }
+      }
+
+      if (orphans.length === 0) {
+        continue;
+      }
+
+      const { released, room } = await roomStore.releaseOrphans(roomId, orphans.map((owner) => owner.peerId));
+      if (released === 0) {
+        continue;
+      }
+
+      metrics.roomEvents.inc({ type: 'orphan_released' }, released);
+      console.warn(`Released ${released} orphaned slot(s) in room ${roomId}`);
+      if (!room || orphans.some((owner) => owner.role === 'sender')) {
+        if (await closeRoom(roomId, 'orphan_closed')) {
+          continue;
+        }
+
+        // The last slot took the room with it
+        metrics.roomEvents.inc({ type: 'orphan_closed' });
+        await publishRoomEvent(roomId, null, { type: 'room-closed' });
+        continue;
+      }
+
+      for (const owner of orphans) {
+        await publishRoomEvent(roomId, { socketId: null, peerId: owner.peerId, role: owner.role }, {
+          type: 'peer-disconnected',
+          role: owner.role,
+          expiresAt: room.expiresAt
+        });
+      }
+    }
+  }
+
+  // Drop-off: the browser uploads an encrypted file and shares an expiring
+  // link. `metadata` is the encrypted file name and type; only the key in the
+  // link's fragment can read it.
+  const DROP_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+  function describeDrop(id, record, downloads) {
+    return {
+      id,
+      size: record.size,
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt,
+      downloadsRemaining: Math.max(record.maxDownloads - downloads, 0),
+      protected: Boolean(record.passphraseHash),
+      metadata: record.metadata
+    };
+  }
+
+  // Returns the live drop record and its download count, or null. Expired and
+  // used-up drops are deleted on sight.
+  async function findDrop(id) {
+    if (!dropStore || !DROP_ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    const record = await dropStore.getRecord(id);
+    if (!record) {
+      return null;
+    }
+
+    const downloads = await limits.count(`drop-downloads:${id}`);
+    if (record.expiresAt <= Date.now() || downloads >= record.maxDownloads) {
+      await dropStore.delete(id);
+      metrics.dropEvents.inc({ type: 'expired' });
+      return null;
+    }
+
+    return { record, downloads };
+  }
 
+  function readDropPassphrase(req) {
     try {
-      data = JSON.parse(rawMessage);
+      return decodeURIComponent(req.get('x-drop-passphrase') || '');
     } catch (error) {
-      send(ws, { type: 'error', message: 'Invalid message format' });
+      return '';
+    }
+  }
+
+  app.post('/api/drops', asyncRoute(async (req, res) => {
+    if (!dropStore) {
+      res.status(404).json({ error: 'Drop-off is disabled' });
       return;
     }
 
-    metrics.signalingMessages.inc({ type: data.type || 'unknown' });
+    if (maintenance.enabled) {
+      res.status(503).json({ error: 'Drop-off is paused for maintenance' });
+      return;
+    }
 
-    if (data.type === 'ping') {
-      send(ws, { type: 'pong' });
+    const size = Number(req.get('content-length'));
+    if (!Number.isInteger(size) || size <= 0) {
+      res.status(411).json({ error: 'Content-Length is required' });
       return;
     }
 
-    if (data.type === 'join') {
-      if (data.createNew) {
-        await createRoom(ws);
-        return;
+    if (size > DROP_MAX_FILE_SIZE_BYTES) {
+      res.status(413).json({ error: `Drop-off supports files up to ${Math.round(DROP_MAX_FILE_SIZE_BYTES / (1024 * 1024))} MB` });
+      return;
+    }
+
+    const metadata = req.get('x-drop-metadata') || '';
+    const ttlMs = Number(req.query.expiresIn || DROP_DEFAULT_TTL_MS);
+    const maxDownloads = Number(req.query.maxDownloads || 1);
+    const passphrase = readDropPassphrase(req);
+
+    if (!metadata || metadata.length > DROP_METADATA_MAX_LENGTH || !/^[A-Za-z0-9_-]+$/.test(metadata)) {
+      res.status(400).json({ error: 'Invalid drop metadata' });
+      return;
+    }
+
+    if (!Number.isFinite(ttlMs) || ttlMs < 60 * 1000 || ttlMs > DROP_MAX_TTL_MS) {
+      res.status(400).json({ error: `Expiry must be between 1 minute and ${Math.round(DROP_MAX_TTL_MS / (60 * 60 * 1000))} hours` });
+      return;
+    }
+
+    if (!Number.isInteger(maxDownloads) || maxDownloads < 1 || maxDownloads > DROP_MAX_DOWNLOADS) {
+      res.status(400).json({ error: `Download limit must be between 1 and ${DROP_MAX_DOWNLOADS}` });
+      return;
+    }
+
+    if (passphrase && (passphrase.length < ROOM_SECRET_MIN_LENGTH || passphrase.length > ROOM_SECRET_MAX_LENGTH)) {
+      res.status(400).json({ error: `Passphrase must be ${ROOM_SECRET_MIN_LENGTH}-${ROOM_SECRET_MAX_LENGTH} characters` });
+      return;
+    }
+
+    const clientIp = getClientIp(req);
+    if ((await limits.increment(`drops:${clientIp}`, 60 * 60 * 1000)) > DROP_UPLOADS_PER_IP_PER_HOUR) {
+      metrics.limitViolations.inc({ limit: 'drops_per_ip' });
+      res.status(429).json({ error: 'Too many uploads from this network. Try again later.' });
+      return;
+    }
+
+    const id = crypto.randomBytes(16).toString('base64url');
+    const now = Date.now();
+    const record = {
+      createdAt: now,
+      expiresAt: now + ttlMs,
+      maxDownloads,
+      size,
+      metadata,
+      passphraseHash: passphrase ? await hashRoomSecret(passphrase) : null
+    };
+
+    // Content-Length is enforced on the way through, not trusted
+    const body = createByteLimit(size);
+    req.on('close', () => {
+      if (!req.complete) {
+        body.destroy(new Error('Upload aborted'));
+      }
+    });
+    req.pipe(body);
+
+    try {
+      await dropStore.save(id, record, body, size);
+    } catch (error) {
+      if (error.code !== 'too-large') {
+        console.error('Drop upload failed:', error);
       }
 
-      await joinRoom(ws, data.roomId);
+      if (!res.headersSent && !req.destroyed) {
+        res.status(error.code === 'too-large' ? 413 : 500).json({ error: 'Upload failed' });
+      }
       return;
     }
 
-    if (!ws.roomId) {
-      send(ws, { type: 'error', message: 'Room not found' });
+    metrics.dropEvents.inc({ type: 'upload' });
+    const baseUrl = PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    res.status(201).json({
+      ...describeDrop(id, record, 0),
+      downloadUrl: `${baseUrl}/d/${id}`
+    });
+  }));
+
+  app.get('/api/drops/:id', asyncRoute(async (req, res) => {
+    const drop = await findDrop(req.params.id);
+    if (!drop) {
+      res.status(404).json({ error: 'This link has expired or does not exist' });
       return;
     }
 
-    if (data.type === 'relay-file-metadata') {
-      if (!RELAY_ENABLED) {
-        send(ws, { type: 'relay-error', message: 'Relay mode is disabled on this deployment' });
+    res.set('Cache-Control', 'no-store');
+    res.json(describeDrop(req.params.id, drop.record, drop.downloads));
+  }));
+
+  app.get('/api/drops/:id/content', asyncRoute(async (req, res) => {
+    const id = req.params.id;
+    const drop = await findDrop(id);
+    if (!drop) {
+      res.status(404).json({ error: 'This link has expired or does not exist' });
+      return;
+    }
+
+    const { record } = drop;
+    if (record.passphraseHash) {
+      const failureKey = `drop-passphrase:${getClientIp(req)}`;
+      if ((await limits.count(failureKey)) >= JOIN_MAX_FAILURES_PER_IP) {
+        metrics.limitViolations.inc({ limit: 'drop_passphrase' });
+        res.status(429).json({ error: 'Too many wrong passphrases. Try again later.' });
         return;
       }
 
-      if (Number(data.size || 0) > RELAY_MAX_FILE_SIZE_BYTES) {
-        send(ws, {
-          type: 'relay-error',
-          message: `Relay mode supports files up to ${Math.round(RELAY_MAX_FILE_SIZE_BYTES / (1024 * 1024))} MB`
-        });
+      if (!(await verifyRoomSecret(readDropPassphrase(req), record.passphraseHash))) {
+        await limits.increment(failureKey, JOIN_FAILURE_WINDOW_MS);
+        metrics.dropEvents.inc({ type: 'passphrase_invalid' });
+        res.status(401).json({ error: 'Wrong passphrase' });
         return;
       }
     }
 
-    if (data.type === 'offer') {
-      await roomStore.savePendingOffer(ws.roomId, data.offer);
-      const room = await roomStore.getRoom(ws.roomId);
-      if (room && room.peerCount > 1) {
-        await publishRoomEvent(ws.roomId, ws.socketId, data);
-      }
+    // Counted before streaming so parallel requests can't exceed the limit
+    const downloads = await limits.increment(`drop-downloads:${id}`, record.expiresAt - Date.now());
+    if (downloads > record.maxDownloads) {
+      res.status(404).json({ error: 'This link has expired or does not exist' });
       return;
     }
 
-    if (data.type === 'ice-candidate') {
-      const room = await roomStore.getRoom(ws.roomId);
-      if (room && room.peerCount < 2) {
-        await roomStore.addPendingCandidate(ws.roomId, data.candidate);
-        return;
+    try {
+      const content = await dropStore.openContent(id);
+      res.set({
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': String(record.size),
+        'Cache-Control': 'no-store'
+      });
+      await pipeline(content, res);
+      metrics.dropEvents.inc({ type: 'download' });
+    } catch (error) {
+      console.error('Drop download failed:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: 'Download failed' });
       }
+      return;
     }
 
-    await publishRoomEvent(ws.roomId, ws.socketId, data);
-  }
+    // The response is already sent; a leftover drop is cleaned up on next sight
+    if (downloads === record.maxDownloads) {
+      await dropStore.delete(id).catch((error) => {
+        console.error(`Failed to delete used-up drop ${id}:`, error);
+      });
+    }
+  }));
+
+  app.get('/d/:id', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'drop.html'));
+  });
+
+  app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'admin.html'));
+  });
+
+  app.get('/api/admin/overview', requireAdminToken, asyncRoute(async (req, res) => {
+    const now = Date.now();
+    const [rooms, instances] = await Promise.all([roomStore.listRooms(), listInstanceSnapshots()]);
 
-  app.get('/api/config', (req, res) => {
     res.json({
-      rtcConfig: buildRtcConfig(),
-      roomCodeLength: ROOM_CODE_LENGTH,
-      roomCodeAlphabet: ROOM_CHARS,
-      redisEnabled: Boolean(REDIS_URL),
-      monitoringEnabled: METRICS_ENABLED,
-      publicBaseUrl: PUBLIC_BASE_URL,
-      relay: {
-        enabled: RELAY_ENABLED,
-        maxFileSizeBytes: RELAY_MAX_FILE_SIZE_BYTES,
-        chunkSizeBytes: RELAY_CHUNK_SIZE_BYTES
-      }
+      instanceId: INSTANCE_ID,
+      maintenance,
+      instances,
+      rooms: rooms
+        .map((room) => ({
+          ...describeRoom(room.roomId, room),
+          ageMs: now - room.createdAt,
+          transferMode: room.transferMode || 'p2p',
+          instanceId: room.instanceId || null
+        }))
+        .sort((a, b) => b.createdAt - a.createdAt)
     });
-  });
+  }));
+
+  app.delete('/api/admin/rooms/:id', requireAdminToken, asyncRoute(async (req, res) => {
+    const roomId = String(req.params.id).toUpperCase();
+
+    if (!(await closeRoom(roomId, 'admin_close'))) {
+      res.status(404).json({ error: 'Room not found' });
+      return;
+    }
+
+    console.warn(`Admin closed room ${roomId}`);
+    res.json({ ok: true, roomId });
+  }));
+
+  app.post('/api/admin/sockets/:id/disconnect', requireAdminToken, asyncRoute(async (req, res) => {
+    await publishAdminCommand({ action: 'disconnect', socketId: String(req.params.id) });
+    res.status(202).json({ ok: true });
+  }));
+
+  app.put('/api/admin/maintenance', requireAdminToken, asyncRoute(async (req, res) => {
+    const { enabled, message } = req.body || {};
+    const nextMaintenance = {
+      enabled: Boolean(enabled),
+      message: typeof message === 'string' ? message.trim().slice(0, MAINTENANCE_MESSAGE_MAX_LENGTH) : '',
+      since: enabled ? Date.now() : null
+    };
+
+    if (redisClient) {
+      await redisClient.set(MAINTENANCE_KEY, JSON.stringify(nextMaintenance));
+    }
+
+    console.warn(`Admin ${nextMaintenance.enabled ? 'enabled' : 'disabled'} maintenance mode`);
+    await publishAdminCommand({ action: 'maintenance', maintenance: nextMaintenance });
+    res.json({ ok: true, maintenance: nextMaintenance });
+  }));
 
   app.get('/health', async (req, res) => {
     let backend = 'memory';
@@ -671,31 +3848,62 @@ async function start() {
   });
 
   if (METRICS_ENABLED) {
-    app.get('/metrics', async (req, res) => {
+    app.get('/metrics', asyncRoute(async (req, res) => {
       metrics.websocketConnections.set(wss.clients.size);
       metrics.localRooms.set(localRoomMembers.size);
       res.set('Content-Type', metrics.registry.contentType);
       res.end(await metrics.registry.metrics());
-    });
+    }));
   }
 
-  wss.on('connection', (ws) => {
+  // Registered last so it sees errors from every route above
+  app.use(handleRouteError);
+
+  wss.on('connection', (ws, req) => {
     ws.socketId = crypto.randomUUID();
+    ws.clientIp = getClientIp(req);
+    ws.userAgent = req.headers['user-agent'] || '';
+    ws.hostname = getRequestHostname(req);
+    ws.peerId = generatePeerId();
+    ws.connectedAt = Date.now();
     ws.isAlive = true;
+    ws.slotAcquired = acquireSocketSlot(ws);
+    ws.messageQueue = Promise.resolve();
+    ws.relayTransfers = new Map();
     sockets.set(ws.socketId, ws);
     metrics.websocketConnections.set(wss.clients.size);
 
+    if (powDifficulty > 0) {
+      ws.powChallenge = createPowChallenge(powDifficulty);
+    }
+
     send(ws, {
       type: 'connected',
-      message: 'WebSocket connection established'
+      message: 'WebSocket connection established',
+      challenge: ws.powChallenge ? describePowChallenge(ws.powChallenge) : undefined
     });
 
+    if (maintenance.enabled) {
+      send(ws, { type: 'maintenance', ...maintenance });
+    }
+
     ws.on('pong', () => {
       ws.isAlive = true;
     });
 
-    ws.on('message', (message) => {
-      handleMessage(ws, message).catch((error) => {
+    ws.on('message', (message, isBinary) => {
+      if (!allowMessage(ws)) {
+        return;
+      }
+
+      // One message at a time, so relay frames can't overtake the JSON sent before them
+      ws.messageQueue = ws.messageQueue.then(async () => {
+        if (!(await ws.slotAcquired)) {
+          return;
+        }
+
+        await (isBinary ? handleRelayFrame(ws, message) : handleMessage(ws, message));
+      }).catch((error) => {
         console.error('WebSocket message error:', error);
         send(ws, { type: 'error', message: 'Server error while handling message' });
       });
@@ -704,46 +3912,138 @@ async function start() {
     ws.on('close', () => {
       sockets.delete(ws.socketId);
       metrics.websocketConnections.set(wss.clients.size);
-      removePeer(ws, 'disconnect').catch((error) => {
+      releaseSocketSlot(ws).catch((error) => {
+        console.error('Failed to release socket slot:', error);
+      });
+      suspendPeer(ws, 'disconnect').catch((error) => {
         console.error('Socket close cleanup failed:', error);
       });
     });
 
-    ws.on('error', () => {
+    ws.on('error', (error) => {
+      if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+        metrics.limitViolations.inc({ limit: 'payload_size' });
+      }
+
       sockets.delete(ws.socketId);
       metrics.websocketConnections.set(wss.clients.size);
-      removePeer(ws, 'error').catch((cleanupError) => {
+      releaseSocketSlot(ws).catch((cleanupError) => {
+        console.error('Failed to release socket slot:', cleanupError);
+      });
+      suspendPeer(ws, 'error').catch((cleanupError) => {
         console.error('Socket error cleanup failed:', cleanupError);
       });
     });
   });
 
+  // Room ID -> the expiresAt this instance last warned its local members about
+  const expiryWarnings = new Map();
+
   const roomWatcherInterval = setInterval(() => {
     const roomIds = Array.from(localRoomMembers.keys());
+    Array.from(expiryWarnings.keys())
+      .filter((roomId) => !localRoomMembers.has(roomId))
+      .forEach((roomId) => expiryWarnings.delete(roomId));
+
     roomIds.forEach((roomId) => {
       roomStore.getRoom(roomId).then((room) => {
-        if (room) {
+        const members = localRoomMembers.get(roomId);
+        if (!members) {
           return;
         }
 
-        const members = localRoomMembers.get(roomId);
-        if (!members) {
+        if (room) {
+          const remainingMs = room.expiresAt - Date.now();
+          if (remainingMs > ROOM_EXPIRY_WARNING_MS || expiryWarnings.get(roomId) === room.expiresAt) {
+            return;
+          }
+
+          expiryWarnings.set(roomId, room.expiresAt);
+          members.forEach((socketId) => {
+            send(sockets.get(socketId), {
+              type: 'room-expiring',
+              expiresAt: room.expiresAt,
+              canExtend: room.expiresAt < room.maxExpiresAt
+            });
+          });
           return;
         }
 
+        expiryWarnings.delete(roomId);
         members.forEach((socketId) => {
-          const ws = sockets.get(socketId);
-          send(ws, { type: 'room-expired' });
-          if (ws) {
-            ws.close();
-          }
+          send(sockets.get(socketId), { type: 'room-expired' });
         });
+        closeLocalRoom(roomId);
+        return deleteRoomEvents(roomId);
       }).catch((error) => {
         console.error('Room watcher failed:', error);
       });
     });
+  }, ROOM_WATCH_INTERVAL_MS);
+
+  const storeSweepInterval = setInterval(() => {
+    if (joinAttempts instanceof MemoryJoinAttemptStore) {
+      joinAttempts.prune();
+    }
+
+    if (reconnectSessions instanceof MemoryReconnectStore) {
+      reconnectSessions.prune();
+    }
+
+    if (relaySessions instanceof MemoryRelaySessionStore) {
+      relaySessions.prune();
+    }
+
+    if (limits instanceof MemoryLimitStore) {
+      limits.prune();
+    }
+
+    if (roomStore instanceof MemoryRoomStore) {
+      roomStore.prune();
+    }
   }, 60 * 1000);
 
+  let orphanSweepRunning = false;
+  const orphanSweepInterval = setInterval(() => {
+    if (!(roomStore instanceof RedisRoomStore) || orphanSweepRunning) {
+      return;
+    }
+
+    orphanSweepRunning = true;
+    sweepOrphanedSlots().catch((error) => {
+      console.error('Orphaned slot sweep failed:', error);
+    }).finally(() => {
+      orphanSweepRunning = false;
+    });
+  }, ORPHAN_SWEEP_INTERVAL_MS);
+
+  const instanceSnapshotInterval = setInterval(() => {
+    publishInstanceSnapshot().catch((error) => {
+      console.error('Failed to publish instance snapshot:', error);
+    });
+  }, INSTANCE_SNAPSHOT_INTERVAL_MS);
+  publishInstanceSnapshot().catch((error) => {
+    console.error('Failed to publish instance snapshot:', error);
+  });
+
+  const dropSweepInterval = setInterval(() => {
+    if (!dropStore) {
+      return;
+    }
+
+    dropStore.deleteExpired().then((deleted) => {
+      metrics.dropEvents.inc({ type: 'expired' }, deleted);
+    }).catch((error) => {
+      console.error('Drop sweep failed:', error);
+    });
+  }, DROP_SWEEP_INTERVAL_MS);
+
+  const powRateInterval = setInterval(() => {
+    refreshPowDifficulty().catch((error) => {
+      console.error('Failed to refresh proof-of-work difficulty:', error);
+    });
+  }, POW_RATE_REFRESH_MS);
+
   const heartbeatInterval = setInterval(() => {
     wss.clients.forEach((ws) => {
       if (!ws.isAlive) {
@@ -753,8 +4053,13 @@ async function start() {
 
       ws.isAlive = false;
       ws.ping();
+      limits.addLease(`sockets:${ws.clientIp}`, ws.socketId, SOCKET_LEASE_MS).catch((error) => {
+        console.error('Failed to refresh socket slot:', error);
+      });
     });
-  }, 30 * 1000);
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const stunServer = STUN_SERVER_ENABLED ? startStunServer(metrics) : null;
 
   server.listen(PORT, HOST, () => {
     console.log(`Server running at http://localhost:${PORT}`);
@@ -774,6 +4079,19 @@ async function start() {
   async function shutdown() {
     clearInterval(roomWatcherInterval);
     clearInterval(heartbeatInterval);
+    clearInterval(storeSweepInterval);
+    clearInterval(instanceSnapshotInterval);
+    clearInterval(orphanSweepInterval);
+    clearInterval(powRateInterval);
+    clearInterval(dropSweepInterval);
+    if (stunServer) {
+      stunServer.close();
+    }
+    disconnectedPeers.forEach((suspended) => clearTimeout(suspended.graceTimer));
+
+    if (roomBus) {
+      await roomBus.close();
+    }
 
     if (subClient) {
       await subClient.quit();
@@ -784,6 +4102,7 @@ async function start() {
     }
 
     if (redisClient) {
+      await redisClient.del(`${REDIS_PREFIX}:instance:${INSTANCE_ID}`);
       await redisClient.quit();
     }
 